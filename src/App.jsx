@@ -1,10 +1,19 @@
 import { ThemeProvider } from './contexts/ThemeContext';
+import { JournalProvider } from './contexts/JournalContext';
+import { AccountProvider } from './contexts/AccountContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
 import HomePage from './HomePage';
 
 function App() {
   return (
     <ThemeProvider>
-      <HomePage />
+      <JournalProvider>
+        <AccountProvider>
+          <CurrencyProvider>
+            <HomePage />
+          </CurrencyProvider>
+        </AccountProvider>
+      </JournalProvider>
     </ThemeProvider>
   )
 }
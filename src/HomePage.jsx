@@ -7,7 +7,10 @@ import './HomePage.css';
 // Code splitting: Lazy load calculator components for better performance
 const PositionSizeCalculator = lazy(() => import('./components/PositionSizeCalculator'));
 const RiskRewardCalculator = lazy(() => import('./components/RiskRewardCalculator'));
+const OptionsCalculator = lazy(() => import('./components/OptionsCalculator'));
+const RiskOfRuinCalculator = lazy(() => import('./components/RiskOfRuinCalculator'));
 const MTFChecklist = lazy(() => import('./components/MTFChecklist/MTFChecklistRefactored'));
+const TradeJournal = lazy(() => import('./components/TradeJournal/TradeJournal'));
 
 export default function HomePage() {
     return (
@@ -32,11 +35,29 @@ export default function HomePage() {
                     </section>
                 </Suspense>
 
+                <Suspense fallback={<SkeletonLoader type="calculator" />}>
+                    <section id="options" className="calculator-section">
+                        <OptionsCalculator />
+                    </section>
+                </Suspense>
+
+                <Suspense fallback={<SkeletonLoader type="calculator" />}>
+                    <section id="risk-of-ruin" className="calculator-section">
+                        <RiskOfRuinCalculator />
+                    </section>
+                </Suspense>
+
                 <Suspense fallback={<SkeletonLoader type="checklist" />}>
                     <section id="mtf-checklist" className="calculator-section">
                         <MTFChecklist />
                     </section>
                 </Suspense>
+
+                <Suspense fallback={<SkeletonLoader type="calculator" />}>
+                    <section id="trade-journal" className="calculator-section">
+                        <TradeJournal />
+                    </section>
+                </Suspense>
             </div>
         </div>
     );
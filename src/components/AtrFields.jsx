@@ -0,0 +1,96 @@
+import { memo, useState } from 'react';
+import FormInput from './FormInput';
+import { parseOhlcBars, calculateATR } from '../utils/tradingCalculators';
+
+const DEFAULT_ATR_PERIOD = 14;
+
+/**
+ * ATR and multiplier inputs for volatility stops
+ * The ATR can be typed in or calculated from pasted OHLC bars
+ * @param {Object} props - Component properties
+ * @param {string} props.atr - ATR value
+ * @param {string} props.multiplier - ATR multiple (k)
+ * @param {Function} props.onChange - (field: 'atr' | 'multiplier', value) => void
+ * @param {number} props.defaultMultiplier - Shown as placeholder and used when blank
+ */
+function AtrFields({ atr, multiplier, onChange, defaultMultiplier }) {
+    const [isPasteOpen, setIsPasteOpen] = useState(false);
+    const [barsText, setBarsText] = useState('');
+    const [period, setPeriod] = useState(String(DEFAULT_ATR_PERIOD));
+    const [pasteStatus, setPasteStatus] = useState(null);
+
+    const handleCalculate = () => {
+        const result = calculateATR({ bars: parseOhlcBars(barsText), period });
+
+        if (result.success) {
+            onChange('atr', String(result.data.atr));
+            setPasteStatus({
+                isError: false,
+                message: result.data.isFullPeriod
+                    ? `ATR(${result.data.period}) from ${result.data.barsUsed} bars`
+                    : `Only ${result.data.barsUsed} bars - averaged what was there (ATR ${result.data.period} needs ${result.data.period + 1})`
+            });
+        } else {
+            setPasteStatus({ isError: true, message: result.error });
+        }
+    };
+
+    return (
+        <div className="atr-fields">
+            <div className="atr-row">
+                <FormInput
+                    label="ATR"
+                    value={atr}
+                    onChange={(e) => onChange('atr', e.target.value)}
+                    placeholder="1.25"
+                    step="0.01"
+                />
+                <FormInput
+                    label="ATR Multiplier"
+                    value={multiplier}
+                    onChange={(e) => onChange('multiplier', e.target.value)}
+                    placeholder={String(defaultMultiplier)}
+                    step="0.1"
+                    suffix="×"
+                />
+            </div>
+
+            <button type="button" className="atr-paste-toggle" onClick={() => setIsPasteOpen(!isPasteOpen)}>
+                {isPasteOpen ? '▾' : '▸'} Calculate ATR from OHLC bars
+            </button>
+
+            {isPasteOpen && (
+                <div className="atr-paste">
+                    <textarea
+                        className="form-input atr-paste-input"
+                        value={barsText}
+                        onChange={(e) => setBarsText(e.target.value)}
+                        rows={5}
+                        placeholder={'One bar per line, oldest first: [date,] open, high, low, close [, volume]\n2024-01-02,50.10,51.20,49.80,50.90'}
+                        aria-label="OHLC bars"
+                    />
+                    <div className="atr-row">
+                        <FormInput
+                            label="Period"
+                            value={period}
+                            onChange={(e) => setPeriod(e.target.value)}
+                            placeholder={String(DEFAULT_ATR_PERIOD)}
+                            step="1"
+                        />
+                        <button type="button" className="atr-paste-btn" onClick={handleCalculate}>
+                            Calculate ATR
+                        </button>
+                    </div>
+                    {pasteStatus && (
+                        <span className={pasteStatus.isError ? 'field-error' : 'atr-paste-status'}>
+                            {pasteStatus.message}
+                        </span>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(AtrFields);
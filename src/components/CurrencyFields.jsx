@@ -0,0 +1,72 @@
+import { memo } from 'react';
+import FormInput from './FormInput';
+import { CURRENCIES } from '../constants/currencies';
+
+/**
+ * Account and quote currency pickers, with the FX rate between them when they differ
+ * The last rate entered for a pair is remembered and shown with its date
+ * @param {Object} props - Component properties
+ * @param {string} props.accountCurrency - Account base currency code
+ * @param {string} props.quoteCurrency - Instrument quote currency code
+ * @param {string} props.fxRate - Account currency per 1 unit of quote currency
+ * @param {string|null} props.fxRateUpdatedAt - ISO date the rate was last entered
+ * @param {Function} props.onCurrencyChange - (field, code) => void
+ * @param {Function} props.onFxRateChange - (value) => void
+ */
+function CurrencyFields({ accountCurrency, quoteCurrency, fxRate, fxRateUpdatedAt, onCurrencyChange, onFxRateChange }) {
+    const isConverted = quoteCurrency !== accountCurrency;
+
+    return (
+        <>
+            <div className="instrument-row">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="account-currency">Account Currency</label>
+                    <select
+                        id="account-currency"
+                        className="form-input"
+                        value={accountCurrency}
+                        onChange={(e) => onCurrencyChange('accountCurrency', e.target.value)}
+                    >
+                        {Object.values(CURRENCIES).map((currency) => (
+                            <option key={currency.code} value={currency.code}>{currency.code} – {currency.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="quote-currency">Quote Currency</label>
+                    <select
+                        id="quote-currency"
+                        className="form-input"
+                        value={quoteCurrency}
+                        onChange={(e) => onCurrencyChange('quoteCurrency', e.target.value)}
+                    >
+                        {Object.values(CURRENCIES).map((currency) => (
+                            <option key={currency.code} value={currency.code}>{currency.code} – {currency.label}</option>
+                        ))}
+                    </select>
+                </div>
+                {isConverted && (
+                    <FormInput
+                        label={`FX Rate (${accountCurrency} per 1 ${quoteCurrency})`}
+                        value={fxRate}
+                        onChange={(e) => onFxRateChange(e.target.value)}
+                        placeholder="1.0000"
+                        step="0.0001"
+                        required
+                    />
+                )}
+            </div>
+            {isConverted && (
+                <p className="trading-costs-hint">
+                    Prices and contract specs are in {quoteCurrency}; risk and results are in {accountCurrency}.
+                    {fxRateUpdatedAt
+                        ? ` Rate saved ${new Date(fxRateUpdatedAt).toLocaleDateString()}; update it if it has moved.`
+                        : ' The rate is remembered for this pair.'}
+                </p>
+            )}
+        </>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(CurrencyFields);
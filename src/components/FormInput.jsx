@@ -8,6 +8,7 @@ const FormInput = forwardRef(({
   type = "number",
   placeholder,
   required = false,
+  disabled = false,
   step,
   prefix,
   suffix
@@ -25,6 +26,7 @@ const FormInput = forwardRef(({
           onChange={onChange}
           placeholder={placeholder}
           required={required}
+          disabled={disabled}
           step={step}
         />
         {suffix && <span className="input-suffix">{suffix}</span>}
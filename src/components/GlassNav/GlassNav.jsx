@@ -20,11 +20,29 @@ export default function GlassNav() {
             icon: '⚖️',
             description: 'Analyze risk-reward ratios'
         },
+        {
+            id: 'options',
+            label: 'Options',
+            icon: '🎯',
+            description: 'Size defined-risk option trades'
+        },
+        {
+            id: 'risk-of-ruin',
+            label: 'Risk of Ruin',
+            icon: '🛡️',
+            description: 'Ruin odds and drawdown recovery'
+        },
         {
             id: 'mtf-checklist',
             label: 'MTF Checklist',
             icon: '✓',
             description: 'Multi-timeframe analysis'
+        },
+        {
+            id: 'trade-journal',
+            label: 'Journal',
+            icon: '📓',
+            description: 'Review recorded decisions'
         }
     ];
 
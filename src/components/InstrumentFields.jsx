@@ -0,0 +1,203 @@
+import { memo, useState } from 'react';
+import FormInput from './FormInput';
+import { ASSET_CLASSES, SIZING_MODELS, INSTRUMENT_PRESETS } from '../constants/instruments';
+import { TRADING_LIMITS } from '../constants/tradingLimits';
+import {
+    loadInstrumentPresets,
+    saveInstrumentPreset,
+    deleteInstrumentPreset
+} from '../utils/calculatorSettings';
+
+// Spec inputs shown per asset class; blank inputs use the SIZING_MODELS default.
+// Money specs are quoted in the instrument's quote currency
+const SPEC_FIELDS = {
+    futures: [
+        { field: 'tickSize', label: 'Tick Size', step: '0.00001' },
+        { field: 'tickValue', label: 'Tick Value', step: '0.01', isMoney: true },
+        { field: 'marginPerUnit', label: 'Margin / Contract (optional)', step: '1', isMoney: true }
+    ],
+    forex: [
+        { field: 'tickSize', label: 'Pip Size', step: '0.0001' },
+        { field: 'pipValue', label: 'Pip Value / Lot', step: '0.01', isMoney: true },
+        { field: 'lotSize', label: 'Lot Size (units)', step: '1000' },
+        { field: 'marginPerUnit', label: 'Margin / Lot (optional)', step: '1', isMoney: true }
+    ],
+    options: [
+        { field: 'tickSize', label: 'Tick Size', step: '0.01' },
+        { field: 'multiplier', label: 'Contract Multiplier', step: '1' }
+    ]
+};
+
+// Quantity precision applies to every asset class (fractional shares, crypto, micro lots)
+const PRECISION_FIELDS = ['quantityDecimals', 'quantityStep', 'minQuantity'];
+
+const DECIMAL_OPTIONS = Array.from({ length: TRADING_LIMITS.MAX_SHARES_DECIMALS + 1 }, (_, decimals) => decimals);
+
+// Copy only the spec and precision fields, as strings for the inputs
+const toInstrument = (preset) => {
+    const instrument = { assetClass: preset.assetClass };
+    [...(SPEC_FIELDS[preset.assetClass] || []).map(({ field }) => field), ...PRECISION_FIELDS].forEach((field) => {
+        instrument[field] = preset[field] !== undefined ? String(preset[field]) : '';
+    });
+    return instrument;
+};
+
+/**
+ * Instrument picker for position sizing: asset class, contract specs, quantity precision and presets
+ * @param {Object} props - Component properties
+ * @param {Object} props.instrument - { assetClass, tickSize, tickValue, ... }
+ * @param {Function} props.onChange - (instrument) => void
+ * @param {string} [props.currencySymbol] - Quote currency symbol for the money specs
+ */
+function InstrumentFields({ instrument, onChange, currencySymbol = '$' }) {
+    const [userPresets, setUserPresets] = useState(() => loadInstrumentPresets());
+    const [presetId, setPresetId] = useState('');
+    const [presetName, setPresetName] = useState('');
+
+    const fields = SPEC_FIELDS[instrument.assetClass] || [];
+    const defaults = SIZING_MODELS[instrument.assetClass];
+
+    const handlePresetChange = (id) => {
+        setPresetId(id);
+        const preset = [...INSTRUMENT_PRESETS, ...userPresets].find(item => item.id === id);
+        if (preset) onChange(toInstrument(preset));
+    };
+
+    const handleSpecChange = (field, value) => {
+        setPresetId('');
+        onChange({ ...instrument, [field]: value });
+    };
+
+    const handleSavePreset = () => {
+        const updated = saveInstrumentPreset(presetName, instrument);
+        if (updated) {
+            setUserPresets(updated);
+            setPresetId(updated[updated.length - 1].id);
+            setPresetName('');
+        }
+    };
+
+    const handleDeletePreset = () => {
+        setUserPresets(deleteInstrumentPreset(presetId));
+        setPresetId('');
+    };
+
+    const isUserPreset = userPresets.some(preset => preset.id === presetId);
+
+    return (
+        <div className="instrument-fields">
+            <div className="instrument-row">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="instrument-preset">Instrument</label>
+                    <select
+                        id="instrument-preset"
+                        className="form-input"
+                        value={presetId}
+                        onChange={(e) => handlePresetChange(e.target.value)}
+                    >
+                        <option value="">Custom</option>
+                        <optgroup label="Common contracts">
+                            {INSTRUMENT_PRESETS.map((preset) => (
+                                <option key={preset.id} value={preset.id}>{preset.name}</option>
+                            ))}
+                        </optgroup>
+                        {userPresets.length > 0 && (
+                            <optgroup label="My presets">
+                                {userPresets.map((preset) => (
+                                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                                ))}
+                            </optgroup>
+                        )}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="instrument-asset-class">Asset Class</label>
+                    <select
+                        id="instrument-asset-class"
+                        className="form-input"
+                        value={instrument.assetClass}
+                        onChange={(e) => {
+                            setPresetId('');
+                            onChange({ assetClass: e.target.value });
+                        }}
+                    >
+                        {Object.values(ASSET_CLASSES).map((assetClass) => (
+                            <option key={assetClass.id} value={assetClass.id}>{assetClass.label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {fields.length > 0 && (
+                <div className="instrument-row">
+                    {fields.map(({ field, label, step, isMoney }) => (
+                        <FormInput
+                            key={field}
+                            label={label}
+                            value={instrument[field] ?? ''}
+                            onChange={(e) => handleSpecChange(field, e.target.value)}
+                            placeholder={defaults[field] !== undefined ? String(defaults[field]) : ''}
+                            step={step}
+                            prefix={isMoney ? currencySymbol : undefined}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <div className="instrument-row">
+                <div className="form-group">
+                    <label className="form-label" htmlFor="instrument-quantity-decimals">Quantity Precision</label>
+                    <select
+                        id="instrument-quantity-decimals"
+                        className="form-input"
+                        value={instrument.quantityDecimals ?? ''}
+                        onChange={(e) => handleSpecChange('quantityDecimals', e.target.value)}
+                    >
+                        <option value="">Default ({defaults.quantityDecimals === 0 ? 'whole' : `${defaults.quantityDecimals} decimals`})</option>
+                        {DECIMAL_OPTIONS.map((decimals) => (
+                            <option key={decimals} value={decimals}>
+                                {decimals === 0 ? 'Whole units' : `${decimals} decimal${decimals > 1 ? 's' : ''}`}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+                <FormInput
+                    label="Order Step (optional)"
+                    value={instrument.quantityStep ?? ''}
+                    onChange={(e) => handleSpecChange('quantityStep', e.target.value)}
+                    placeholder="e.g. 0.001"
+                    step="any"
+                />
+                <FormInput
+                    label="Min Order (optional)"
+                    value={instrument.minQuantity ?? ''}
+                    onChange={(e) => handleSpecChange('minQuantity', e.target.value)}
+                    placeholder="e.g. 0.0001"
+                    step="any"
+                />
+            </div>
+
+            <div className="instrument-preset-actions">
+                <input
+                    type="text"
+                    className="form-input"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    placeholder="Preset name"
+                    aria-label="Preset name"
+                />
+                <button type="button" onClick={handleSavePreset} className="instrument-preset-btn">
+                    Save Preset
+                </button>
+                {isUserPreset && (
+                    <button type="button" onClick={handleDeletePreset} className="instrument-preset-btn">
+                        Delete Preset
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(InstrumentFields);
@@ -1,16 +1,76 @@
 /**
  * Presentation Component: Checklist Header
  * Pure UI component for the MTF checklist header
+ * UPDATED: Includes the instrument (symbol) being analyzed
+ * UPDATED: Can add the current setup to the watchlist
  */
 
 import Button from '../Button';
+import { ASSET_CLASSES } from '../../constants/instruments';
+
+function SymbolFields({ symbol, onSymbolChange, onAddToWatchlist }) {
+    if (!symbol || !onSymbolChange) return null;
+
+    return (
+        <div className="symbol-fields">
+            <input
+                type="text"
+                className="form-input symbol-ticker-input"
+                value={symbol.ticker}
+                onChange={(e) => onSymbolChange('ticker', e.target.value)}
+                placeholder="Ticker"
+                aria-label="Ticker symbol"
+            />
+            <input
+                type="text"
+                className="form-input"
+                value={symbol.name}
+                onChange={(e) => onSymbolChange('name', e.target.value)}
+                placeholder="Name (optional)"
+                aria-label="Instrument name"
+            />
+            <input
+                type="text"
+                className="form-input"
+                value={symbol.exchange}
+                onChange={(e) => onSymbolChange('exchange', e.target.value)}
+                placeholder="Exchange (optional)"
+                aria-label="Exchange"
+            />
+            <select
+                className="form-input"
+                value={symbol.assetClass}
+                onChange={(e) => onSymbolChange('assetClass', e.target.value)}
+                aria-label="Asset class"
+            >
+                {Object.values(ASSET_CLASSES).map((assetClass) => (
+                    <option key={assetClass.id} value={assetClass.id}>{assetClass.label}</option>
+                ))}
+            </select>
+            {onAddToWatchlist && (
+                <button
+                    type="button"
+                    onClick={onAddToWatchlist}
+                    className="btn btn-secondary btn-sm btn-watch"
+                    disabled={!symbol.ticker.trim()}
+                    title={symbol.ticker.trim() ? 'Save this checklist to the watchlist' : 'Enter a ticker first'}
+                >
+                    👁️ Add to Watchlist
+                </button>
+            )}
+        </div>
+    );
+}
 
 export default function ChecklistHeader({
     styleConfig,
     timeframeLabels,
     showChangeStyleConfirm,
     onChangeStyle,
-    onCancelChange
+    onCancelChange,
+    symbol,
+    onSymbolChange,
+    onAddToWatchlist
 }) {
     if (!styleConfig || !timeframeLabels) {
         return (
@@ -19,6 +79,7 @@ export default function ChecklistHeader({
                 <p className="calculator-subtitle">
                     Step-by-step validation across multiple timeframes for disciplined trade entry
                 </p>
+                <SymbolFields symbol={symbol} onSymbolChange={onSymbolChange} />
             </div>
         );
     }
@@ -27,7 +88,9 @@ export default function ChecklistHeader({
         <div className="calculator-header">
             <div className="header-content">
                 <div className="header-left">
-                    <h2 className="calculator-title">Multi-Timeframe Entry Checklist</h2>
+                    <h2 className="calculator-title">
+                        {symbol?.ticker ? `${symbol.ticker} · ` : ''}Multi-Timeframe Entry Checklist
+                    </h2>
                     <p className="calculator-subtitle">
                         Step-by-step validation across {timeframeLabels.higher} → {timeframeLabels.mid} → {timeframeLabels.lower}
                     </p>
@@ -60,6 +123,11 @@ export default function ChecklistHeader({
                     )}
                 </div>
             </div>
+            <SymbolFields
+                symbol={symbol}
+                onSymbolChange={onSymbolChange}
+                onAddToWatchlist={onAddToWatchlist}
+            />
         </div>
     );
 }
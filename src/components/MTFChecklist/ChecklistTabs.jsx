@@ -0,0 +1,100 @@
+import { memo, useState } from 'react';
+
+/**
+ * Tab strip for running several named checklists in parallel
+ * @param {Object} props - Component properties
+ * @param {Array} props.slots - Slots: [{ id, name, ticker }]
+ * @param {string} props.activeId - Active slot ID
+ * @param {Function} props.onSelect - (slotId) => void
+ * @param {Function} props.onAdd - () => void
+ * @param {Function} props.onRename - (slotId, name) => void
+ * @param {Function} props.onClose - (slotId) => void
+ */
+function ChecklistTabs({ slots, activeId, onSelect, onAdd, onRename, onClose }) {
+    const [editingId, setEditingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+    const [pendingCloseId, setPendingCloseId] = useState(null);
+
+    const startRename = (slot) => {
+        setEditingId(slot.id);
+        setDraftName(slot.name);
+    };
+
+    const commitRename = () => {
+        if (draftName.trim()) {
+            onRename(editingId, draftName.trim());
+        }
+        setEditingId(null);
+    };
+
+    const handleClose = (slotId) => {
+        if (pendingCloseId !== slotId) {
+            setPendingCloseId(slotId);
+            return;
+        }
+
+        onClose(slotId);
+        setPendingCloseId(null);
+    };
+
+    return (
+        <div className="checklist-tabs" role="tablist">
+            {slots.map((slot) => (
+                <div
+                    key={slot.id}
+                    className={`checklist-tab ${slot.id === activeId ? 'active' : ''}`}
+                >
+                    {editingId === slot.id ? (
+                        <input
+                            type="text"
+                            className="checklist-tab-input"
+                            value={draftName}
+                            onChange={(e) => setDraftName(e.target.value)}
+                            onBlur={commitRename}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') commitRename();
+                                if (e.key === 'Escape') setEditingId(null);
+                            }}
+                            aria-label="Checklist name"
+                            autoFocus
+                        />
+                    ) : (
+                        <button
+                            type="button"
+                            role="tab"
+                            aria-selected={slot.id === activeId}
+                            className="checklist-tab-label"
+                            onClick={() => onSelect(slot.id)}
+                            onDoubleClick={() => startRename(slot)}
+                            title="Double-click to rename"
+                        >
+                            {slot.name}
+                            {slot.ticker && <span className="checklist-tab-ticker">{slot.ticker}</span>}
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        className={`checklist-tab-close ${pendingCloseId === slot.id ? 'confirm' : ''}`}
+                        onClick={() => handleClose(slot.id)}
+                        onBlur={() => setPendingCloseId(null)}
+                        aria-label={`Close ${slot.name}`}
+                        title={pendingCloseId === slot.id ? 'Click again to discard this checklist' : 'Close checklist'}
+                    >
+                        {pendingCloseId === slot.id ? '✓' : '×'}
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                className="checklist-tab-add"
+                onClick={onAdd}
+                aria-label="New checklist"
+            >
+                +
+            </button>
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(ChecklistTabs);
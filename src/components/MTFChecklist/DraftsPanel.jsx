@@ -0,0 +1,154 @@
+import { memo, useState } from 'react';
+import {
+    EXPIRY_OPTIONS,
+    loadExpiryPolicy,
+    saveExpiryPolicy,
+    getTimeUntilExpiration,
+    listSnapshots,
+    createSnapshot,
+    duplicateSnapshot,
+    deleteSnapshot
+} from '../../utils/checklistStorage';
+
+/**
+ * Describe how long the auto-save of a slot is kept
+ */
+const formatExpiration = (hours) => {
+    if (hours === null) return 'Not saved yet';
+    if (hours === Infinity) return 'Auto-save never expires';
+    if (hours === 0) return 'Auto-save has expired';
+    return `Auto-save expires in ${hours}h`;
+};
+
+/**
+ * Drafts panel: auto-save expiry setting and named snapshots
+ * @param {Object} props - Component properties
+ * @param {string} props.slotId - Checklist slot the auto-save belongs to
+ * @param {Function} props.getCurrentState - () => { tradingStyle, timeframeConfig, checklistState }
+ * @param {Function} props.onRestore - (state) => void
+ */
+function DraftsPanel({ slotId, getCurrentState, onRestore }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [policy, setPolicy] = useState(() => loadExpiryPolicy());
+    const [snapshots, setSnapshots] = useState(() => listSnapshots());
+    const [snapshotName, setSnapshotName] = useState('');
+    const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+    const updatePolicy = (field, value) => {
+        const updated = { ...policy, [field]: value };
+        setPolicy(updated);
+        saveExpiryPolicy(updated);
+    };
+
+    const handleSnapshot = () => {
+        const updated = createSnapshot(snapshotName, getCurrentState());
+        if (updated) {
+            setSnapshots(updated);
+            setSnapshotName('');
+        }
+    };
+
+    const handleDelete = (id) => {
+        if (pendingDeleteId !== id) {
+            setPendingDeleteId(id);
+            return;
+        }
+
+        setSnapshots(deleteSnapshot(id));
+        setPendingDeleteId(null);
+    };
+
+    return (
+        <div className="drafts-panel">
+            <div className="drafts-header">
+                <h3 className="drafts-title">💾 Drafts</h3>
+                {/* Read on every render so it follows the policy and the latest save */}
+                <span className="drafts-expiration">{formatExpiration(getTimeUntilExpiration(slotId))}</span>
+                <button type="button" onClick={() => setIsOpen(!isOpen)} className="btn btn-secondary btn-sm">
+                    {isOpen ? 'Hide' : `Snapshots (${snapshots.length})`}
+                </button>
+            </div>
+
+            {isOpen && (
+                <>
+                    <div className="drafts-row">
+                        <label className="drafts-label" htmlFor="auto-save-expiry">Keep auto-saves for</label>
+                        <select
+                            id="auto-save-expiry"
+                            className="form-input"
+                            value={policy.expiry}
+                            onChange={(e) => updatePolicy('expiry', e.target.value)}
+                        >
+                            {Object.values(EXPIRY_OPTIONS).map((option) => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                        {policy.expiry === EXPIRY_OPTIONS.custom.id && (
+                            <input
+                                type="number"
+                                className="form-input"
+                                min="1"
+                                step="1"
+                                value={policy.customHours}
+                                onChange={(e) => updatePolicy('customHours', e.target.value)}
+                                aria-label="Custom expiry in hours"
+                                placeholder="Hours"
+                            />
+                        )}
+                    </div>
+
+                    <div className="drafts-row">
+                        <input
+                            type="text"
+                            className="form-input"
+                            value={snapshotName}
+                            onChange={(e) => setSnapshotName(e.target.value)}
+                            placeholder="Snapshot name (optional)"
+                            aria-label="Snapshot name"
+                        />
+                        <button type="button" onClick={handleSnapshot} className="btn btn-primary btn-sm">
+                            📸 Save Snapshot
+                        </button>
+                    </div>
+
+                    {snapshots.length === 0 ? (
+                        <p className="drafts-empty">No snapshots yet. Snapshots are kept until you delete them.</p>
+                    ) : (
+                        <ul className="drafts-list">
+                            {snapshots.map((snapshot) => (
+                                <li key={snapshot.id} className="drafts-item">
+                                    <div className="drafts-item-main">
+                                        <strong>{snapshot.name}</strong>
+                                        <span className="drafts-meta">
+                                            {snapshot.state.checklistState.symbol?.ticker || 'No ticker'}
+                                            {' · '}{new Date(snapshot.createdAt).toLocaleString()}
+                                        </span>
+                                    </div>
+                                    <div className="drafts-actions">
+                                        <button type="button" onClick={() => onRestore(snapshot.state)} className="btn btn-primary btn-sm">
+                                            Restore
+                                        </button>
+                                        <button type="button" onClick={() => setSnapshots(duplicateSnapshot(snapshot.id))} className="btn btn-secondary btn-sm">
+                                            Duplicate
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDelete(snapshot.id)}
+                                            onBlur={() => setPendingDeleteId(null)}
+                                            className="btn btn-secondary btn-sm"
+                                        >
+                                            {pendingDeleteId === snapshot.id ? 'Confirm Delete' : 'Delete'}
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(DraftsPanel);
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import Button from '../Button';
 import { downloadTradeData } from '../../utils/checklistStorage';
 import { TIMEFRAME_CONFIGS } from '../../utils/TimeframeConfig';
+import { formatShares, formatCurrency } from '../../constants/tradingLimits';
 
 /**
  * Final Decision Panel Component
@@ -14,9 +15,9 @@ import { TIMEFRAME_CONFIGS } from '../../utils/TimeframeConfig';
  * @param {Object} props.positionResult - Position size calculation result
  * @param {string} props.tradingStyle - Trading style ID
  * @param {Object} props.timeframeLabels - Timeframe labels: { higher, mid, lower }
- * @param {Function} props.onExecuteTrade - Execute trade handler
- * @param {Function} props.onPassTrade - Pass trade handler
- * @param {Function} props.onSaveForLater - Save for later handler
+ * @param {Function} props.onExecuteTrade - Execute trade handler, receives the decision
+ * @param {Function} props.onPassTrade - Pass trade handler, receives the decision
+ * @param {Function} props.onSaveForLater - Save for later handler, receives the decision
  * @param {Function} props.onReset - Reset checklist handler
  * @param {Object} props.fullState - Complete checklist state for export
  */
@@ -75,7 +76,7 @@ function FinalDecisionPanel({
         if (!recommendation) return null;
 
         const badgeClass = `recommendation-badge ${recommendation.color}`;
-        const riskPercent = higherValidation?.recommendedRisk || styleConfig?.riskPerTrade || 2;
+        const riskPercent = higherValidation?.recommendedRisk ?? (styleConfig?.riskPerTrade || 2);
 
         return (
             <div className={badgeClass}>
@@ -101,11 +102,30 @@ function FinalDecisionPanel({
             expectedHoldTime: styleConfig.holdTime
         };
 
-        // Download trade data as JSON
-        downloadTradeData(fullState, decision);
+        // Download trade data as JSON (with the style so it can be imported back)
+        downloadTradeData({
+            ...fullState,
+            tradingStyle,
+            timeframeConfig: {
+                higher: styleConfig.higher.code,
+                mid: styleConfig.mid.code,
+                lower: styleConfig.lower.code
+            }
+        }, decision);
 
         // Call parent handler
-        onExecuteTrade();
+        onExecuteTrade(decision);
+    };
+
+    const handleSaveForLater = () => {
+        const decision = {
+            action: 'save',
+            timestamp: new Date().toISOString(),
+            recommendation: recommendation,
+            tradingStyle: tradingStyle
+        };
+
+        onSaveForLater(decision);
     };
 
     const handlePassTrade = () => {
@@ -192,19 +212,19 @@ function FinalDecisionPanel({
                         <div className="position-details-grid">
                             <div className="detail-item">
                                 <span className="detail-label">Shares:</span>
-                                <span className="detail-value highlight">{positionResult.shares}</span>
+                                <span className="detail-value highlight">{formatShares(positionResult.shares, positionResult.quantityDecimals)}</span>
                             </div>
                             <div className="detail-item">
                                 <span className="detail-label">Position Value:</span>
-                                <span className="detail-value">${positionResult.positionValue}</span>
+                                <span className="detail-value">{formatCurrency(positionResult.positionValue, positionResult.accountCurrency)}</span>
                             </div>
                             <div className="detail-item">
-                                <span className="detail-label">Dollar Risk:</span>
-                                <span className="detail-value risk">${positionResult.riskAmount}</span>
+                                <span className="detail-label">Risk Amount:</span>
+                                <span className="detail-value risk">{formatCurrency(positionResult.riskAmount, positionResult.accountCurrency)}</span>
                             </div>
                             <div className="detail-item">
                                 <span className="detail-label">Risk Per Share:</span>
-                                <span className="detail-value">${positionResult.riskPerShare}</span>
+                                <span className="detail-value">{formatCurrency(positionResult.riskPerShare, positionResult.quoteCurrency)}</span>
                             </div>
                         </div>
                     </div>
@@ -256,7 +276,7 @@ function FinalDecisionPanel({
                             </Button>
                             <Button
                                 type="button"
-                                onClick={onSaveForLater}
+                                onClick={handleSaveForLater}
                                 variant="secondary"
                                 className="btn-save"
                             >
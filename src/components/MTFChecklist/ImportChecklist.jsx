@@ -0,0 +1,96 @@
+import { memo, useRef, useState } from 'react';
+import { parseTradeImport } from '../../utils/checklistStorage';
+import { getTimeframeConfig } from '../../utils/TimeframeConfig';
+
+/**
+ * Import a trade checklist JSON file (as written by the Execute Trade download)
+ * The parsed file can be reopened as a checklist or recorded in the journal
+ * @param {Object} props - Component properties
+ * @param {Function} props.onOpenChecklist - (imported) => void
+ * @param {Function} props.onAddToJournal - (imported) => void
+ */
+function ImportChecklist({ onOpenChecklist, onAddToJournal }) {
+    const fileInputRef = useRef(null);
+    const [imported, setImported] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const result = parseTradeImport(await file.text());
+        if (result.success) {
+            setImported(result.data);
+            setError(null);
+        } else {
+            setImported(null);
+            setError(`${file.name}: ${result.error}`);
+        }
+    };
+
+    const handleOpen = () => {
+        onOpenChecklist(imported);
+        setImported(null);
+    };
+
+    const handleJournal = () => {
+        onAddToJournal(imported);
+        setImported(null);
+    };
+
+    const config = imported ? getTimeframeConfig(imported.tradingStyle) : null;
+
+    return (
+        <div className="checklist-import">
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFileChange}
+                className="checklist-import-input"
+                aria-label="Import trade checklist file"
+            />
+            <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                className="btn btn-secondary btn-sm"
+            >
+                📂 Import JSON
+            </button>
+
+            {error && (
+                <span className="checklist-import-error" role="alert">{error}</span>
+            )}
+
+            {imported && (
+                <div className="checklist-import-preview">
+                    <span>
+                        <strong>{imported.checklistState.symbol.ticker || 'Untitled'}</strong>
+                        {' · '}{config.icon} {config.label}
+                        {imported.finalDecision && ` · ${imported.finalDecision.action}`}
+                        {imported.exportDate && ` · exported ${new Date(imported.exportDate).toLocaleDateString()}`}
+                    </span>
+                    <button type="button" onClick={handleOpen} className="btn btn-primary btn-sm">
+                        Open as Checklist
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleJournal}
+                        className="btn btn-secondary btn-sm"
+                        disabled={!imported.finalDecision}
+                        title={imported.finalDecision ? 'Record this decision in the journal' : 'File has no final decision'}
+                    >
+                        Add to Journal
+                    </button>
+                    <button type="button" onClick={() => setImported(null)} className="btn btn-secondary btn-sm">
+                        Cancel
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(ImportChecklist);
@@ -2,8 +2,18 @@ import React, { useState, useEffect } from 'react';
 import ChecklistCheckbox from './ChecklistCheckbox';
 import Button from '../Button';
 import FormInput from '../FormInput';
-import { calculatePositionSize } from '../../utils/tradingCalculators';
-import { shouldAutoCheckPositionSize } from '../../utils/checklistValidation';
+import AtrFields from '../AtrFields';
+import CurrencyFields from '../CurrencyFields';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { calculatePositionSize, calculateAtrStop } from '../../utils/tradingCalculators';
+import {
+    shouldAutoCheckPositionSize,
+    getStopAtrMultiple,
+    shouldAutoCheckStopDistance
+} from '../../utils/checklistValidation';
+import { getValidationRule } from '../../utils/TimeframeConfig';
+import { getChecklistSizingInstrument } from '../../constants/instruments';
+import { formatShares, formatCurrency, getCurrencySymbol } from '../../constants/tradingLimits';
 
 /**
  * Lower Timeframe Check Section Component (Generic)
@@ -14,11 +24,13 @@ import { shouldAutoCheckPositionSize } from '../../utils/checklistValidation';
  * @param {string} props.timeframeCode - Code of timeframe (e.g., "15min", "4hour", "daily")
  * @param {string} props.midTimeframeName - Name of mid timeframe for back button
  * @param {string} props.tradingStyle - Trading style ID
+ * @param {string} props.assetClass - Symbol asset class (crypto sizes fractional quantities)
  * @param {Object} props.checks - Timeframe check state
  * @param {Function} props.onCheckChange - Check change handler
  * @param {Object} props.positionData - Position size calculation inputs
  * @param {Function} props.onPositionDataChange - Position data change handler
  * @param {number} props.recommendedRiskPercent - Recommended risk % based on higher timeframe
+ * @param {Object|null} props.drawdownThrottle - Active drawdown risk cut, if any
  * @param {Function} props.onContinue - Continue button handler
  * @param {Function} props.onBack - Back button handler
  * @param {Object} props.validation - Validation result
@@ -29,11 +41,13 @@ function LowerTimeframeSection({
     timeframeCode,
     midTimeframeName,
     tradingStyle,
+    assetClass,
     checks,
     onCheckChange,
     positionData,
     onPositionDataChange,
     recommendedRiskPercent,
+    drawdownThrottle,
     onContinue,
     onBack,
     validation,
@@ -41,6 +55,8 @@ function LowerTimeframeSection({
 }) {
     const [positionResult, setPositionResult] = useState(null);
     const [positionError, setPositionError] = useState(null);
+    const [atrStopError, setAtrStopError] = useState(null);
+    const { accountCurrency, quoteCurrency, fxRate, fxRateUpdatedAt, updateCurrency, updateFxRate } = useCurrency();
 
     // Calculate position size when inputs change
     useEffect(() => {
@@ -49,7 +65,11 @@ function LowerTimeframeSection({
                 accountSize: positionData.accountSize,
                 riskPercent: positionData.riskPercent,
                 entryPrice: positionData.entry,
-                stopLoss: positionData.stop
+                stopLoss: positionData.stop,
+                instrument: getChecklistSizingInstrument(assetClass),
+                accountCurrency,
+                quoteCurrency,
+                fxRate
             });
 
             if (result.success) {
@@ -68,7 +88,35 @@ function LowerTimeframeSection({
                 setPositionError(result.error);
             }
         }
-    }, [positionData.accountSize, positionData.riskPercent, positionData.entry, positionData.stop, tradingStyle]);
+    }, [positionData.accountSize, positionData.riskPercent, positionData.entry, positionData.stop, tradingStyle, assetClass, accountCurrency, quoteCurrency, fxRate]);
+
+    // Stop distance in ATR multiples, judged against the style's band
+    const atrRule = getValidationRule('atrStop', tradingStyle);
+    const stopAtrMultiple = getStopAtrMultiple(positionData.entry, positionData.stop, positionData.atr);
+    const isStopDistanceOk = shouldAutoCheckStopDistance(stopAtrMultiple, atrRule);
+
+    // Auto-check stop distance when it sits within the ATR band
+    useEffect(() => {
+        if (isStopDistanceOk && !checks.stopDistanceOk) {
+            onCheckChange('stopDistanceOk', true);
+        }
+    }, [isStopDistanceOk, checks.stopDistanceOk, onCheckChange]);
+
+    // Long-side volatility stop: entry - multiplier x ATR
+    const applyAtrStop = () => {
+        const result = calculateAtrStop({
+            entryPrice: positionData.entry,
+            atr: positionData.atr,
+            multiplier: positionData.atrMultiplier || atrRule?.multiplier
+        });
+
+        if (result.success) {
+            onPositionDataChange('stop', result.data.stopLoss);
+            setAtrStopError(null);
+        } else {
+            setAtrStopError(result.error);
+        }
+    };
 
     const checkItems = [
         {
@@ -79,7 +127,7 @@ function LowerTimeframeSection({
         {
             id: 'stopDistanceOk',
             label: `Stop distance on ${timeframeName} allows proper position size`,
-            tooltip: `The distance to your stop on ${timeframeName} should allow for a reasonable position size. If stop is too far, position size becomes too small to be worthwhile.`
+            tooltip: `The distance to your stop on ${timeframeName} should allow for a reasonable position size. If stop is too far, position size becomes too small to be worthwhile. Enter the ATR to check it automatically: ${atrRule?.description || ''}`
         },
         {
             id: 'notAfterExtended',
@@ -127,20 +175,33 @@ function LowerTimeframeSection({
                 <div className="position-calculator-inline">
                     <h4 className="inline-calc-title">Position Size Calculator</h4>
 
-                    {recommendedRiskPercent < maxRisk * 100 && (
+                    {recommendedRiskPercent < maxRisk && (
                         <div className="risk-recommendation">
                             <span className="warning-icon">⚠️</span>
-                            <span>Recommended risk: {recommendedRiskPercent}% (due to higher timeframe consolidation)</span>
+                            <span>
+                                Recommended risk: {recommendedRiskPercent}% (due to {drawdownThrottle
+                                    ? `${drawdownThrottle.drawdownPercent.toFixed(1)}% account drawdown`
+                                    : 'higher timeframe consolidation'})
+                            </span>
                         </div>
                     )}
 
+                    <CurrencyFields
+                        accountCurrency={accountCurrency}
+                        quoteCurrency={quoteCurrency}
+                        fxRate={fxRate}
+                        fxRateUpdatedAt={fxRateUpdatedAt}
+                        onCurrencyChange={updateCurrency}
+                        onFxRateChange={updateFxRate}
+                    />
+
                     <div className="position-inputs-grid">
                         <FormInput
                             label="Account Size"
                             value={positionData.accountSize}
                             onChange={(e) => onPositionDataChange('accountSize', e.target.value)}
                             placeholder="10000"
-                            prefix="$"
+                            prefix={getCurrencySymbol(accountCurrency)}
                             disabled={isLocked}
                         />
                         <FormInput
@@ -158,7 +219,7 @@ function LowerTimeframeSection({
                             onChange={(e) => onPositionDataChange('entry', e.target.value)}
                             placeholder="50.00"
                             step="0.01"
-                            prefix="$"
+                            prefix={getCurrencySymbol(quoteCurrency)}
                             disabled={isLocked}
                         />
                         <FormInput
@@ -167,25 +228,60 @@ function LowerTimeframeSection({
                             onChange={(e) => onPositionDataChange('stop', e.target.value)}
                             placeholder="48.00"
                             step="0.01"
-                            prefix="$"
+                            prefix={getCurrencySymbol(quoteCurrency)}
                             disabled={isLocked}
                         />
                     </div>
 
+                    {/* Volatility stop */}
+                    <AtrFields
+                        atr={positionData.atr ?? ''}
+                        multiplier={positionData.atrMultiplier ?? ''}
+                        onChange={(field, value) => onPositionDataChange(field === 'atr' ? 'atr' : 'atrMultiplier', value)}
+                        defaultMultiplier={atrRule?.multiplier}
+                    />
+                    <div className="atr-stop-actions">
+                        <button
+                            type="button"
+                            className="atr-paste-btn"
+                            onClick={applyAtrStop}
+                            disabled={isLocked}
+                        >
+                            Set Stop = Entry − {positionData.atrMultiplier || atrRule?.multiplier}× ATR
+                        </button>
+                        {stopAtrMultiple !== null && atrRule && (
+                            <span className={`atr-stop-status ${isStopDistanceOk ? 'ok' : 'off'}`}>
+                                Stop is {stopAtrMultiple.toFixed(2)}× ATR
+                                {' '}({isStopDistanceOk ? 'within' : 'outside'} {atrRule.min}–{atrRule.max}× for {timeframeName})
+                            </span>
+                        )}
+                    </div>
+                    {atrStopError && (
+                        <div className="field-error">{atrStopError}</div>
+                    )}
+
                     {/* Position Result Display */}
                     {positionResult && (
                         <div className="position-result-inline success">
                             <div className="position-result-item highlight">
-                                <span className="position-label">Shares to Buy:</span>
-                                <span className="position-value">{positionResult.shares}</span>
+                                <span className="position-label">
+                                    {positionResult.positionType === 'Short' ? 'Shares to Short:' : 'Shares to Buy:'}
+                                </span>
+                                <span className="position-value">{formatShares(positionResult.shares, positionResult.quantityDecimals)}</span>
                             </div>
                             <div className="position-result-item">
                                 <span className="position-label">Position Value:</span>
-                                <span className="position-value">${positionResult.positionValue}</span>
+                                <span className="position-value">{formatCurrency(positionResult.positionValue, positionResult.accountCurrency)}</span>
                             </div>
+                            {positionResult.positionType === 'Short' && (
+                                <div className="position-result-item">
+                                    <span className="position-label">Margin Required:</span>
+                                    <span className="position-value">{formatCurrency(positionResult.marginRequired, positionResult.accountCurrency)}</span>
+                                </div>
+                            )}
                             <div className="position-result-item">
-                                <span className="position-label">Dollar Risk:</span>
-                                <span className="position-value risk">${positionResult.riskAmount}</span>
+                                <span className="position-label">Risk Amount:</span>
+                                <span className="position-value risk">{formatCurrency(positionResult.riskAmount, positionResult.accountCurrency)}</span>
                             </div>
                             <div className="position-result-item">
                                 <span className="position-label">% of Account:</span>
@@ -211,9 +307,10 @@ function LowerTimeframeSection({
                             disabled={isLocked}
                             tooltip={item.tooltip}
                             autoChecked={
-                                item.id === 'positionSizeValid' &&
-                                positionResult &&
-                                shouldAutoCheckPositionSize(parseFloat(positionData.riskPercent), maxRisk)
+                                (item.id === 'positionSizeValid' &&
+                                    positionResult &&
+                                    shouldAutoCheckPositionSize(parseFloat(positionData.riskPercent), maxRisk)) ||
+                                (item.id === 'stopDistanceOk' && isStopDistanceOk)
                             }
                         />
                     ))}
@@ -7,9 +7,12 @@
  * - Utility functions for business logic
  */
 
-import { useMemo, useEffect, useCallback } from 'react';
+import { useState, useMemo, useEffect, useCallback } from 'react';
 import { useChecklistState } from '../../hooks/useChecklistState';
 import { useMTFValidationOptimized } from '../../hooks/useMTFValidationOptimized';
+import { useJournal } from '../../contexts/JournalContext';
+import { useAccount } from '../../contexts/AccountContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import ChecklistHeader from './ChecklistHeader';
 import TradingStyleSelector from './TradingStyleSelector';
 import HigherTimeframeSection from './HigherTimeframeSection';
@@ -17,14 +20,38 @@ import MidTimeframeSection from './MidTimeframeSection';
 import LowerTimeframeSection from './LowerTimeframeSection';
 import FinalDecisionPanel from './FinalDecisionPanel';
 import ProgressBar from './ProgressBar';
+import ChecklistTabs from './ChecklistTabs';
+import Watchlist from './Watchlist';
+import ImportChecklist from './ImportChecklist';
+import DraftsPanel from './DraftsPanel';
 import Button from '../Button';
-import { getLastSaveTime } from '../../utils/checklistStorage';
+import {
+    getLastSaveTime,
+    saveChecklistState,
+    loadWatchlist,
+    saveWatchlistItem,
+    removeWatchlistItem,
+    listChecklistSlots,
+    createChecklistSlot,
+    renameChecklistSlot,
+    deleteChecklistSlot,
+    setActiveChecklistSlot
+} from '../../utils/checklistStorage';
+import { createJournalEntry } from '../../utils/journalStorage';
+import { calculatePositionSize } from '../../utils/tradingCalculators';
+import { getChecklistSizingInstrument } from '../../constants/instruments';
+import { getSerializableState } from '../../selectors/checklistSelectors';
 import './MTFChecklist.css';
 
 /**
- * Main container component - orchestrates the checklist flow
+ * Single checklist - orchestrates the checklist flow for one slot
+ * @param {Object} props - Component properties
+ * @param {string} props.slotId - Storage slot of this checklist
+ * @param {Function} props.onTickerChange - Reports the ticker so the tab can show it
+ * @param {Function} props.onAddToWatchlist - Saves a checklist to the watchlist, returns success
+ * @param {Function} props.onRestoreState - Replaces this checklist with a saved state (snapshots)
  */
-function MTFChecklist() {
+function MTFChecklistFlow({ slotId, onTickerChange, onAddToWatchlist, onRestoreState }) {
     // Custom hook for state management (REDUCER PATTERN)
     const {
         tradingStyle,
@@ -45,6 +72,8 @@ function MTFChecklist() {
         updatePatternType,
         updateGapPercentage,
         updateMidPrice,
+        updateMidScaleOut,
+        updateMidManagement,
         proceedToLower,
         backToHigher,
         updateLowerTF,
@@ -56,8 +85,19 @@ function MTFChecklist() {
         resetChecklist,
         restoreSavedState,
         dismissRestorePrompt,
-        updateValidationResults
-    } = useChecklistState();
+        updateValidationResults,
+        updateSymbol
+    } = useChecklistState(slotId);
+
+    // Keep the tab label in sync with the symbol
+    const ticker = checklistState.symbol.ticker;
+    useEffect(() => {
+        onTickerChange(slotId, ticker);
+    }, [slotId, ticker, onTickerChange]);
+
+    // Drawdown from the account equity curve can cut the recommended risk
+    const { drawdownThrottle } = useAccount();
+    const { accountCurrency, quoteCurrency, fxRate } = useCurrency();
 
     // Custom hook for validation logic (OPTIMIZED)
     const {
@@ -68,7 +108,7 @@ function MTFChecklist() {
         recommendedRiskPercent,
         timeframeLabels,
         validationResults
-    } = useMTFValidationOptimized(checklistState, styleConfig, tradingStyle, timeframeConfig);
+    } = useMTFValidationOptimized(checklistState, styleConfig, tradingStyle, timeframeConfig, drawdownThrottle);
 
     // Update state with validation results
     useEffect(() => {
@@ -96,42 +136,96 @@ function MTFChecklist() {
         }
     }, [lowerValidation?.isPassed, proceedToFinal]);
 
-    const handleExecuteTrade = useCallback(() => {
-        alert('Trade executed! Trade data has been downloaded as JSON.');
+    // Every final decision is recorded in the trade journal
+    const { addEntry } = useJournal();
+
+    const recordDecision = useCallback((decision) => {
+        addEntry(createJournalEntry({
+            checklistState,
+            tradingStyle,
+            timeframeConfig,
+            decision,
+            currencies: { accountCurrency, quoteCurrency, fxRate }
+        }));
+    }, [addEntry, checklistState, tradingStyle, timeframeConfig, accountCurrency, quoteCurrency, fxRate]);
+
+    const handleExecuteTrade = useCallback((decision) => {
+        recordDecision(decision);
+        alert('Trade executed! Trade data has been downloaded as JSON and logged to your journal.');
         executeTrade();
-    }, [executeTrade]);
+    }, [recordDecision, executeTrade]);
 
     const handlePassTrade = useCallback((decision) => {
+        recordDecision(decision);
         passTrade(decision);
         alert('Trade passed and recorded.');
-    }, [passTrade]);
+    }, [recordDecision, passTrade]);
 
-    const handleSaveForLater = useCallback(() => {
-        alert('Checklist saved! You can resume within 24 hours.');
-    }, []);
+    // Same shape as the auto-save, for the watchlist and snapshots
+    const getCurrentState = useCallback(() => ({
+        tradingStyle,
+        timeframeConfig,
+        checklistState: getSerializableState(checklistState)
+    }), [tradingStyle, timeframeConfig, checklistState]);
+
+    // Watchlist items don't expire, unlike the auto-saved slot
+    const addToWatchlist = useCallback(
+        () => onAddToWatchlist(getCurrentState()),
+        [onAddToWatchlist, getCurrentState]
+    );
+
+    const handleRestoreSnapshot = useCallback(
+        (state) => onRestoreState(slotId, state),
+        [onRestoreState, slotId]
+    );
+
+    const handleAddToWatchlist = useCallback(() => {
+        if (addToWatchlist()) {
+            alert(`${ticker.trim().toUpperCase()} added to your watchlist.`);
+        }
+    }, [addToWatchlist, ticker]);
+
+    const handleSaveForLater = useCallback((decision) => {
+        recordDecision(decision);
+        if (addToWatchlist()) {
+            alert('Checklist saved to your watchlist! Resume it any time.');
+        } else {
+            alert('Checklist saved! Enter a ticker to keep it on your watchlist, or take a snapshot to keep it past auto-save expiry.');
+        }
+    }, [recordDecision, addToWatchlist]);
 
     // Memoized position result for final panel - only recalculate when position data changes
+    const { positionData } = checklistState.lowerTF;
+    const { assetClass } = checklistState.symbol;
     const positionResult = useMemo(() => {
-        return checklistState.lowerTF.positionData.accountSize ? {
-            shares: 0,
-            positionValue: '0.00',
-            riskAmount: '0.00',
-            riskPerShare: '0.00'
-        } : null;
-    }, [checklistState.lowerTF.positionData.accountSize]);
+        const result = calculatePositionSize({
+            accountSize: positionData.accountSize,
+            riskPercent: positionData.riskPercent,
+            entryPrice: positionData.entry,
+            stopLoss: positionData.stop,
+            instrument: getChecklistSizingInstrument(assetClass),
+            accountCurrency,
+            quoteCurrency,
+            fxRate
+        });
+        return result.success ? result.data : null;
+    }, [positionData, assetClass, accountCurrency, quoteCurrency, fxRate]);
 
     // =========================================================================
     // RENDER: Style Selection Screen
     // =========================================================================
     if (currentStep === 'styleSelection' || !tradingStyle) {
         return (
-            <div className="calculator-card mtf-checklist">
-                <ChecklistHeader />
+            <>
+                <ChecklistHeader
+                    symbol={checklistState.symbol}
+                    onSymbolChange={updateSymbol}
+                />
                 <TradingStyleSelector
                     onStyleSelect={handleStyleSelect}
                     currentStyle={tradingStyle}
                 />
-            </div>
+            </>
         );
     }
 
@@ -139,7 +233,7 @@ function MTFChecklist() {
     // RENDER: Main Checklist Flow
     // =========================================================================
     return (
-        <div className="calculator-card mtf-checklist">
+        <>
             {/* Header */}
             <ChecklistHeader
                 styleConfig={styleConfig}
@@ -147,6 +241,16 @@ function MTFChecklist() {
                 showChangeStyleConfirm={showChangeStyleConfirm}
                 onChangeStyle={handleChangeStyle}
                 onCancelChange={cancelChangeStyle}
+                symbol={checklistState.symbol}
+                onSymbolChange={updateSymbol}
+                onAddToWatchlist={handleAddToWatchlist}
+            />
+
+            {/* Auto-save expiry and snapshots */}
+            <DraftsPanel
+                slotId={slotId}
+                getCurrentState={getCurrentState}
+                onRestore={handleRestoreSnapshot}
             />
 
             {/* Restore Prompt */}
@@ -155,7 +259,7 @@ function MTFChecklist() {
                     <span className="restore-icon">💾</span>
                     <div className="restore-content">
                         <strong>Saved checklist found</strong>
-                        <p>Last saved: {getLastSaveTime()?.toLocaleString()}</p>
+                        <p>Last saved: {getLastSaveTime(slotId)?.toLocaleString()}</p>
                     </div>
                     <div className="restore-actions">
                         <button onClick={restoreSavedState} className="btn btn-primary btn-sm">
@@ -209,6 +313,10 @@ function MTFChecklist() {
                     onGapPercentageChange={updateGapPercentage}
                     prices={checklistState.midTF.prices}
                     onPriceChange={updateMidPrice}
+                    scaleOut={checklistState.midTF.scaleOut}
+                    onScaleOutChange={updateMidScaleOut}
+                    management={checklistState.midTF.management}
+                    onManagementChange={updateMidManagement}
                     onContinue={handleMidContinue}
                     onBack={backToHigher}
                     validation={midValidation}
@@ -223,11 +331,13 @@ function MTFChecklist() {
                     timeframeCode={timeframeConfig.lower}
                     midTimeframeName={timeframeLabels.mid}
                     tradingStyle={tradingStyle}
+                    assetClass={checklistState.symbol.assetClass}
                     checks={checklistState.lowerTF}
                     onCheckChange={updateLowerTF}
                     positionData={checklistState.lowerTF.positionData}
                     onPositionDataChange={updatePositionData}
                     recommendedRiskPercent={recommendedRiskPercent}
+                    drawdownThrottle={drawdownThrottle}
                     onContinue={handleLowerContinue}
                     onBack={backToMid}
                     validation={lowerValidation}
@@ -252,6 +362,130 @@ function MTFChecklist() {
                     fullState={checklistState}
                 />
             )}
+        </>
+    );
+}
+
+/**
+ * Main container component - runs several named checklists side by side
+ * Each tab remounts the flow so it loads its own saved slot
+ */
+function MTFChecklist() {
+    const [registry, setRegistry] = useState(() => listChecklistSlots());
+    const [watchlist, setWatchlist] = useState(() => loadWatchlist());
+
+    // Resuming unmounts the flow first so its unmount save can't overwrite the resumed state
+    const [pendingResume, setPendingResume] = useState(null);
+
+    useEffect(() => {
+        if (!pendingResume) return;
+        saveChecklistState(pendingResume.state, pendingResume.slotId);
+        setRegistry(setActiveChecklistSlot(pendingResume.slotId));
+        setPendingResume(null);
+    }, [pendingResume]);
+
+    const handleSelect = useCallback((slotId) => {
+        setRegistry(setActiveChecklistSlot(slotId));
+    }, []);
+
+    const handleAdd = useCallback(() => {
+        setRegistry(createChecklistSlot());
+    }, []);
+
+    const handleRename = useCallback((slotId, name) => {
+        setRegistry(renameChecklistSlot(slotId, name));
+    }, []);
+
+    const handleClose = useCallback((slotId) => {
+        setRegistry(deleteChecklistSlot(slotId));
+    }, []);
+
+    const handleAddToWatchlist = useCallback((state) => {
+        const saved = saveWatchlistItem(state);
+        if (saved) {
+            setWatchlist(loadWatchlist());
+        }
+        return saved;
+    }, []);
+
+    const handleRemoveFromWatchlist = useCallback((ticker) => {
+        removeWatchlistItem(ticker);
+        setWatchlist(loadWatchlist());
+    }, []);
+
+    // Resume into the tab already holding this ticker, or a new tab named after it
+    const handleResume = useCallback((item) => {
+        const existing = registry.slots.find(slot => slot.ticker?.toUpperCase() === item.ticker);
+        const slotId = existing ? existing.id : createChecklistSlot(item.ticker).activeId;
+        setPendingResume({ slotId, state: item.state });
+    }, [registry.slots]);
+
+    const handleRestoreState = useCallback((slotId, state) => {
+        setPendingResume({ slotId, state });
+    }, []);
+
+    // Imported files open in a new tab, or go straight to the journal
+    const { addEntry } = useJournal();
+    const { accountCurrency, quoteCurrency, fxRate } = useCurrency();
+
+    const handleOpenImported = useCallback((imported) => {
+        const name = imported.checklistState.symbol.ticker || 'Imported';
+        setPendingResume({
+            slotId: createChecklistSlot(name).activeId,
+            state: {
+                tradingStyle: imported.tradingStyle,
+                timeframeConfig: imported.timeframeConfig,
+                checklistState: imported.checklistState
+            }
+        });
+    }, []);
+
+    const handleJournalImported = useCallback(async (imported) => {
+        const saved = await addEntry(createJournalEntry({
+            checklistState: imported.checklistState,
+            tradingStyle: imported.tradingStyle,
+            timeframeConfig: imported.timeframeConfig,
+            decision: imported.finalDecision,
+            currencies: { accountCurrency, quoteCurrency, fxRate }
+        }));
+        alert(saved ? 'Imported trade added to your journal.' : 'Could not add the imported trade to the journal.');
+    }, [addEntry, accountCurrency, quoteCurrency, fxRate]);
+
+    const handleTickerChange = useCallback((slotId, ticker) => {
+        setRegistry(prev => ({
+            ...prev,
+            slots: prev.slots.map(slot => (slot.id === slotId ? { ...slot, ticker } : slot))
+        }));
+    }, []);
+
+    return (
+        <div className="calculator-card mtf-checklist">
+            <ChecklistTabs
+                slots={registry.slots}
+                activeId={registry.activeId}
+                onSelect={handleSelect}
+                onAdd={handleAdd}
+                onRename={handleRename}
+                onClose={handleClose}
+            />
+            <Watchlist
+                items={watchlist}
+                onResume={handleResume}
+                onRemove={handleRemoveFromWatchlist}
+            />
+            <ImportChecklist
+                onOpenChecklist={handleOpenImported}
+                onAddToJournal={handleJournalImported}
+            />
+            {!pendingResume && (
+                <MTFChecklistFlow
+                    key={registry.activeId}
+                    slotId={registry.activeId}
+                    onTickerChange={handleTickerChange}
+                    onAddToWatchlist={handleAddToWatchlist}
+                    onRestoreState={handleRestoreState}
+                />
+            )}
         </div>
     );
 }
@@ -1,10 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import ChecklistCheckbox from './ChecklistCheckbox';
 import Button from '../Button';
 import FormInput from '../FormInput';
-import { calculateRiskReward } from '../../utils/tradingCalculators';
+import TradeManagementPlanner from '../TradeManagementPlanner';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { formatCurrency, getCurrencySymbol } from '../../constants/tradingLimits';
+import { calculateScaleOutPlan } from '../../utils/tradingCalculators';
 import { validateGapPercent, shouldAutoCheckRR } from '../../utils/checklistValidation';
 import { getValidationRule, getTooltipGuidance } from '../../utils/TimeframeConfig';
+import { buildMidExitPlan } from '../../selectors/checklistSelectors';
 
 /**
  * Mid Timeframe Check Section Component (Generic)
@@ -24,6 +28,10 @@ import { getValidationRule, getTooltipGuidance } from '../../utils/TimeframeConf
  * @param {Function} props.onGapPercentageChange - Gap percentage change handler
  * @param {Object} props.prices - Entry, stop, target prices
  * @param {Function} props.onPriceChange - Price change handler
+ * @param {Array} props.scaleOut - Partial exits before the final target: [{ price, allocation }]
+ * @param {Function} props.onScaleOutChange - (targets) => void
+ * @param {Object} props.management - Trade management rules: { breakEvenAtR, trailStepR, trailDistanceR }
+ * @param {Function} props.onManagementChange - (field, value) => void
  * @param {Function} props.onContinue - Continue button handler
  * @param {Function} props.onBack - Back button handler
  * @param {Object} props.validation - Validation result
@@ -43,43 +51,62 @@ function MidTimeframeSection({
     onGapPercentageChange,
     prices,
     onPriceChange,
+    scaleOut = [],
+    onScaleOutChange,
+    management,
+    onManagementChange,
     onContinue,
     onBack,
     validation,
     isLocked
 }) {
     const [rrResult, setRrResult] = useState(null);
+    const [rrError, setRrError] = useState(null);
+    // Prices are in the instrument's quote currency
+    const { quoteCurrency } = useCurrency();
+    const priceSymbol = getCurrencySymbol(quoteCurrency);
     const [gapValidation, setGapValidation] = useState(null);
 
     // Get validation rules for this timeframe
     const gapRule = getValidationRule('gapTolerance', timeframeCode);
     const volumeRule = getValidationRule('volumeMultiplier', timeframeCode);
 
-    // Calculate R:R when prices change
+    const exitPlan = useMemo(() => buildMidExitPlan(prices.target, scaleOut), [prices.target, scaleOut]);
+
+    // Calculate R:R when prices change (blended across scale-out exits)
     useEffect(() => {
         if (prices.entry && prices.stop && prices.target) {
-            const result = calculateRiskReward({
+            const result = calculateScaleOutPlan({
                 entryPrice: prices.entry,
                 stopLoss: prices.stop,
-                targetPrice: prices.target
+                targets: exitPlan
             });
 
             if (result.success) {
                 setRrResult(result.data);
-                // Auto-check R:R if >= 2:1 and not already checked
-                const shouldCheck = shouldAutoCheckRR(result.data.rrRatio, 2.0);
+                setRrError(null);
+                // Auto-check R:R if blended >= 2:1 and not already checked
+                const shouldCheck = shouldAutoCheckRR(result.data.blendedRR, 2.0);
                 if (shouldCheck && !checks.rrAtLeast2to1) {
                     // Pass true as second parameter to set checked state
                     onCheckChange('rrAtLeast2to1', true);
                 }
             } else {
                 setRrResult(null);
+                setRrError(scaleOut.length > 0 ? result.error : null);
             }
         } else {
             // Clear result if prices are incomplete
             setRrResult(null);
+            setRrError(null);
         }
-    }, [prices.entry, prices.stop, prices.target, checks.rrAtLeast2to1, onCheckChange]);
+    }, [prices.entry, prices.stop, prices.target, scaleOut, exitPlan, checks.rrAtLeast2to1, onCheckChange]);
+
+    const updateScaleOut = (index, field, value) => {
+        onScaleOutChange(scaleOut.map((exit, i) => (i === index ? { ...exit, [field]: value } : exit)));
+    };
+
+    const finalAllocation = exitPlan.at(-1).allocation;
 
     // Validate gap percentage
     useEffect(() => {
@@ -207,7 +234,7 @@ function MidTimeframeSection({
                         onChange={(e) => onPriceChange('entry', e.target.value)}
                         placeholder="50.00"
                         step="0.01"
-                        prefix="$"
+                        prefix={priceSymbol}
                         disabled={isLocked}
                     />
                     <FormInput
@@ -216,38 +243,96 @@ function MidTimeframeSection({
                         onChange={(e) => onPriceChange('stop', e.target.value)}
                         placeholder="48.00"
                         step="0.01"
-                        prefix="$"
+                        prefix={priceSymbol}
                         disabled={isLocked}
                     />
                     <FormInput
-                        label="Target Price"
+                        label={scaleOut.length > 0 ? `Final Target (${parseFloat(finalAllocation.toFixed(2))}%)` : 'Target Price'}
                         value={prices.target}
                         onChange={(e) => onPriceChange('target', e.target.value)}
                         placeholder="56.00"
                         step="0.01"
-                        prefix="$"
+                        prefix={priceSymbol}
                         disabled={isLocked}
                     />
                 </div>
 
+                {/* Scale-out exits before the final target */}
+                {scaleOut.map((exit, index) => (
+                    <div key={index} className="scale-out-row">
+                        <FormInput
+                            label={`Scale-Out ${index + 1}`}
+                            value={exit.price}
+                            onChange={(e) => updateScaleOut(index, 'price', e.target.value)}
+                            placeholder="52.00"
+                            step="0.01"
+                            prefix={priceSymbol}
+                            disabled={isLocked}
+                        />
+                        <FormInput
+                            label="Exit %"
+                            value={exit.allocation}
+                            onChange={(e) => updateScaleOut(index, 'allocation', e.target.value)}
+                            placeholder="33"
+                            step="1"
+                            suffix="%"
+                            disabled={isLocked}
+                        />
+                        <button
+                            type="button"
+                            className="scale-out-remove"
+                            onClick={() => onScaleOutChange(scaleOut.filter((_, i) => i !== index))}
+                            disabled={isLocked}
+                            aria-label={`Remove scale-out ${index + 1}`}
+                        >
+                            ×
+                        </button>
+                    </div>
+                ))}
+                {!isLocked && (
+                    <button
+                        type="button"
+                        className="scale-out-add"
+                        onClick={() => onScaleOutChange([...scaleOut, { price: '', allocation: '' }])}
+                    >
+                        + Add Scale-Out Target
+                    </button>
+                )}
+                {rrError && (
+                    <div className="checklist-warning small">
+                        <span className="warning-icon">⚠️</span>
+                        <span>{rrError}</span>
+                    </div>
+                )}
+
                 {/* R:R Result Display */}
                 {rrResult && (
                     <div className={`rr-result-inline ${rrResult.isValidTrade ? 'success' : 'warning'}`}>
                         <div className="rr-result-item">
-                            <span className="rr-label">R:R Ratio:</span>
-                            <span className="rr-value">1:{rrResult.rrRatio}</span>
+                            <span className="rr-label">{scaleOut.length > 0 ? 'Blended R:R:' : 'R:R Ratio:'}</span>
+                            <span className="rr-value">1:{rrResult.blendedRR}</span>
                         </div>
                         <div className="rr-result-item">
                             <span className="rr-label">Risk/Share:</span>
-                            <span className="rr-value">${rrResult.riskPerShare}</span>
+                            <span className="rr-value">{formatCurrency(rrResult.riskPerShare, quoteCurrency)}</span>
                         </div>
                         <div className="rr-result-item">
-                            <span className="rr-label">Reward/Share:</span>
-                            <span className="rr-value">${rrResult.rewardPerShare}</span>
+                            <span className="rr-label">{scaleOut.length > 0 ? 'Avg Reward/Share:' : 'Reward/Share:'}</span>
+                            <span className="rr-value">{formatCurrency(rrResult.weightedRewardPerShare, quoteCurrency)}</span>
                         </div>
                     </div>
                 )}
 
+                {rrResult && (
+                    <TradeManagementPlanner
+                        entryPrice={prices.entry}
+                        stopLoss={prices.stop}
+                        targets={exitPlan}
+                        settings={management}
+                        onSettingsChange={onManagementChange}
+                    />
+                )}
+
                 {/* Checkboxes */}
                 <div className="checklist-items">
                     {checkItems.map((item) => (
@@ -259,7 +344,7 @@ function MidTimeframeSection({
                             onChange={() => onCheckChange(item.id)}
                             disabled={isLocked}
                             tooltip={item.tooltip}
-                            autoChecked={item.id === 'rrAtLeast2to1' && rrResult && shouldAutoCheckRR(rrResult.rrRatio)}
+                            autoChecked={item.id === 'rrAtLeast2to1' && rrResult && shouldAutoCheckRR(rrResult.blendedRR)}
                         />
                     ))}
                 </div>
@@ -0,0 +1,89 @@
+import { memo, useState } from 'react';
+import { getTimeframeConfig } from '../../utils/TimeframeConfig';
+import { getProgressPercentage } from '../../selectors/checklistSelectors';
+
+/**
+ * Describe the step a saved checklist stopped at
+ * @param {Object} item - Watchlist item
+ * @returns {string} Step label, e.g. 'Daily (Setup)'
+ */
+function getStepLabel(item) {
+    const config = getTimeframeConfig(item.state.tradingStyle);
+    const step = item.state.checklistState.currentStep;
+
+    if (step === 'higher') return `${config.higher.name} (Context)`;
+    if (step === 'mid') return `${config.mid.name} (Setup)`;
+    if (step === 'lower') return `${config.lower.name} (Entry)`;
+    if (step === 'final') return 'Decision';
+    return 'Style selection';
+}
+
+/**
+ * Watchlist of in-progress setups
+ * Each ticker keeps its own saved checklist until removed
+ * @param {Object} props - Component properties
+ * @param {Array} props.items - Watchlist items: [{ ticker, state, savedAt }]
+ * @param {Function} props.onResume - (item) => void
+ * @param {Function} props.onRemove - (ticker) => void
+ */
+function Watchlist({ items, onResume, onRemove }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="watchlist">
+            <div className="watchlist-header">
+                <h3 className="watchlist-title">👁️ Watchlist</h3>
+                <button type="button" onClick={() => setIsOpen(!isOpen)} className="btn btn-secondary btn-sm">
+                    {isOpen ? 'Hide' : `Show (${items.length})`}
+                </button>
+            </div>
+
+            {isOpen && (
+                items.length === 0 ? (
+                    <p className="watchlist-empty">
+                        Enter a ticker and click "Add to Watchlist" to keep a setup for later.
+                    </p>
+                ) : (
+                    <ul className="watchlist-items">
+                        {items.map((item) => {
+                            const { checklistState, tradingStyle } = item.state;
+                            const config = getTimeframeConfig(tradingStyle);
+                            const progress = getProgressPercentage(checklistState);
+
+                            return (
+                                <li key={item.ticker} className="watchlist-item">
+                                    <div className="watchlist-item-main">
+                                        <strong className="watchlist-ticker">{item.ticker}</strong>
+                                        {checklistState.symbol?.name && (
+                                            <span className="watchlist-name">{checklistState.symbol.name}</span>
+                                        )}
+                                        <span className="watchlist-meta">
+                                            {config.icon} {config.label} · {getStepLabel(item)} · saved {new Date(item.savedAt).toLocaleString()}
+                                        </span>
+                                    </div>
+                                    <div className="watchlist-progress" title={`${progress}% complete`}>
+                                        <div className="progress-summary-bar">
+                                            <div className="progress-summary-fill" style={{ width: `${progress}%` }} />
+                                        </div>
+                                        <span className="watchlist-progress-text">{progress}%</span>
+                                    </div>
+                                    <div className="watchlist-actions">
+                                        <button type="button" onClick={() => onResume(item)} className="btn btn-primary btn-sm">
+                                            Resume
+                                        </button>
+                                        <button type="button" onClick={() => onRemove(item.ticker)} className="btn btn-secondary btn-sm">
+                                            Remove
+                                        </button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(Watchlist);
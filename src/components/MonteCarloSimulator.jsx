@@ -0,0 +1,243 @@
+import { memo, useMemo, useState } from 'react';
+import FormInput from './FormInput';
+import Button from './Button';
+import ErrorMessage from './ErrorMessage';
+import InfoBadge from './InfoBadge';
+import { useJournal } from '../contexts/JournalContext';
+import { useAccount } from '../contexts/AccountContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useMonteCarloSimulation } from '../hooks/useMonteCarloSimulation';
+import { calculateExpectancy } from '../utils/monteCarlo';
+import { calculatePayoffStats } from '../utils/tradeStatistics';
+import { getClosedTrades } from '../selectors/journalSelectors';
+import { TIMEFRAME_CONFIGS, calculateRiskPercent } from '../utils/TimeframeConfig';
+import { TRADING_LIMITS, formatCurrency, getCurrencySymbol } from '../constants/tradingLimits';
+
+const EMPTY_INPUTS = {
+    winRate: '',
+    rrRatio: '',
+    riskPercent: '',
+    tradeCount: '',
+    pathCount: '',
+    startingEquity: '',
+    ruinPercent: ''
+};
+
+/**
+ * Collapsible Monte Carlo simulator: expectancy of the plan and the spread of
+ * equity paths it produces. Blank inputs fall back to the journal win rate,
+ * the calculator's R:R, the style's risk percent and the account balance.
+ * @param {Object} props - Component properties
+ * @param {string} [props.rrRatio] - R:R from the calculator result
+ */
+function MonteCarloSimulator({ rrRatio }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [inputs, setInputs] = useState(EMPTY_INPUTS);
+    const [tradingStyle, setTradingStyle] = useState('swing');
+    const [isConsolidating, setIsConsolidating] = useState(false);
+    const { result, error, isRunning, runSimulation } = useMonteCarloSimulation();
+
+    const { entries } = useJournal();
+    const { equity } = useAccount();
+    const { accountCurrency } = useCurrency();
+    const journalStats = useMemo(() => calculatePayoffStats(getClosedTrades(entries)), [entries]);
+
+    const defaults = {
+        winRate: journalStats?.winRate || '',
+        rrRatio: rrRatio || '',
+        riskPercent: String(calculateRiskPercent(tradingStyle, isConsolidating)),
+        startingEquity: parseFloat(equity?.currentBalance) > 0 ? equity.currentBalance : ''
+    };
+    const resolve = (field) => inputs[field] || defaults[field] || '';
+
+    const expectancy = calculateExpectancy({
+        winRate: resolve('winRate'),
+        rrRatio: resolve('rrRatio'),
+        riskPercent: resolve('riskPercent')
+    });
+
+    const updateInput = (field, value) => {
+        setInputs(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleRun = () => {
+        runSimulation({
+            winRate: resolve('winRate'),
+            rrRatio: resolve('rrRatio'),
+            riskPercent: resolve('riskPercent'),
+            tradeCount: inputs.tradeCount,
+            pathCount: inputs.pathCount,
+            startingEquity: resolve('startingEquity'),
+            ruinPercent: inputs.ruinPercent
+        });
+    };
+
+    return (
+        <div className="trading-costs monte-carlo">
+            <button
+                type="button"
+                className="trading-costs-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+            >
+                {isOpen ? '▾' : '▸'} Expectancy & Monte Carlo Simulation
+                {expectancy.success && (
+                    <span className="trading-costs-badge">{expectancy.data.expectancyR}R / trade</span>
+                )}
+            </button>
+
+            {isOpen && (
+                <>
+                    <div className="trading-costs-grid">
+                        <FormInput
+                            label="Win Rate"
+                            value={inputs.winRate}
+                            onChange={(e) => updateInput('winRate', e.target.value)}
+                            placeholder={defaults.winRate || '50'}
+                            step="0.1"
+                            suffix="%"
+                        />
+                        <FormInput
+                            label="R:R"
+                            value={inputs.rrRatio}
+                            onChange={(e) => updateInput('rrRatio', e.target.value)}
+                            placeholder={defaults.rrRatio || '2'}
+                            step="0.1"
+                        />
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="monte-carlo-style">Style Risk</label>
+                            <select
+                                id="monte-carlo-style"
+                                className="form-input"
+                                value={tradingStyle}
+                                onChange={(e) => setTradingStyle(e.target.value)}
+                            >
+                                {Object.values(TIMEFRAME_CONFIGS).map((config) => (
+                                    <option key={config.id} value={config.id}>{config.icon} {config.label}</option>
+                                ))}
+                            </select>
+                            <label className="monte-carlo-toggle">
+                                <input
+                                    type="checkbox"
+                                    checked={isConsolidating}
+                                    onChange={(e) => setIsConsolidating(e.target.checked)}
+                                />
+                                Consolidating
+                            </label>
+                        </div>
+                        <FormInput
+                            label="Risk Percent"
+                            value={inputs.riskPercent}
+                            onChange={(e) => updateInput('riskPercent', e.target.value)}
+                            placeholder={defaults.riskPercent}
+                            step="0.1"
+                            suffix="%"
+                        />
+                        <FormInput
+                            label="Trades per Path"
+                            value={inputs.tradeCount}
+                            onChange={(e) => updateInput('tradeCount', e.target.value)}
+                            placeholder={String(TRADING_LIMITS.DEFAULT_SIMULATED_TRADES)}
+                            step="1"
+                        />
+                        <FormInput
+                            label="Paths"
+                            value={inputs.pathCount}
+                            onChange={(e) => updateInput('pathCount', e.target.value)}
+                            placeholder={String(TRADING_LIMITS.DEFAULT_SIMULATION_PATHS)}
+                            step="100"
+                        />
+                        <FormInput
+                            label="Starting Equity"
+                            value={inputs.startingEquity}
+                            onChange={(e) => updateInput('startingEquity', e.target.value)}
+                            placeholder={defaults.startingEquity || '10000'}
+                            prefix={getCurrencySymbol(accountCurrency)}
+                        />
+                        <FormInput
+                            label="Ruin at Loss of"
+                            value={inputs.ruinPercent}
+                            onChange={(e) => updateInput('ruinPercent', e.target.value)}
+                            placeholder={String(TRADING_LIMITS.DEFAULT_RUIN_DRAWDOWN)}
+                            step="1"
+                            suffix="%"
+                        />
+                        <p className="trading-costs-hint">
+                            {journalStats
+                                ? `Blank win rate uses the journal (${journalStats.winRate}% over ${journalStats.tradeCount} closed trades). `
+                                : 'Record closed trades in the journal to default the win rate. '}
+                            Blank risk uses the style's risk per trade.
+                        </p>
+                    </div>
+
+                    {expectancy.success && (
+                        <p className="monte-carlo-expectancy">
+                            Expectancy <strong>{expectancy.data.expectancyR}R</strong>
+                            {expectancy.data.expectancyPercent !== null && ` (${expectancy.data.expectancyPercent}% of equity)`} per trade.
+                            Break-even win rate at 1:{expectancy.data.rrRatio} is {expectancy.data.breakEvenWinRate}%.
+                        </p>
+                    )}
+
+                    <div className="button-group">
+                        <Button type="button" onClick={handleRun} variant="primary" disabled={isRunning}>
+                            {isRunning ? 'Simulating...' : 'Run Simulation'}
+                        </Button>
+                    </div>
+
+                    <ErrorMessage message={error} />
+
+                    {result && (
+                        <>
+                            <div className="results-grid monte-carlo-results">
+                                <div className="result-item">
+                                    <span className="result-label">Median Ending Equity</span>
+                                    <span className={`result-value ${parseFloat(result.medianReturnPercent) >= 0 ? 'success' : 'risk'}`}>
+                                        {formatCurrency(result.endingEquity.median, accountCurrency)} ({result.medianReturnPercent}%)
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Ending Equity 5th–95th</span>
+                                    <span className="result-value">
+                                        {formatCurrency(result.endingEquity.p5, accountCurrency)} – {formatCurrency(result.endingEquity.p95, accountCurrency)}
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Median Max Drawdown</span>
+                                    <span className="result-value warning">{result.maxDrawdown.median}%</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Max Drawdown 90th / 95th / 99th</span>
+                                    <span className="result-value risk">
+                                        {result.maxDrawdown.p90}% / {result.maxDrawdown.p95}% / {result.maxDrawdown.p99}%
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Risk of Ruin ({result.ruinPercent}% loss)</span>
+                                    <span className={`result-value ${parseFloat(result.riskOfRuin) > 0 ? 'risk' : 'success'}`}>
+                                        {result.riskOfRuin}%
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Profitable Paths</span>
+                                    <span className="result-value">{result.profitablePercent}%</span>
+                                </div>
+                            </div>
+                            <p className="trading-costs-hint">
+                                {result.pathCount.toLocaleString()} paths of {result.tradeCount} trades from {formatCurrency(result.startingEquity, accountCurrency)}.
+                            </p>
+                            <InfoBadge
+                                message={result.expectancy.isPositive
+                                    ? 'Positive expectancy: the plan is viable at this win rate and R:R.'
+                                    : 'Negative expectancy: the plan loses money over time at this win rate and R:R.'}
+                                variant={result.expectancy.isPositive ? 'success' : 'warning'}
+                            />
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(MonteCarloSimulator);
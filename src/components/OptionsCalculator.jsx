@@ -0,0 +1,279 @@
+import { useState } from 'react';
+import { calculateOptionPayoff, calculateOptionPositionSize } from '../utils/optionsCalculators';
+import {
+    OPTION_STRATEGIES,
+    DEFAULT_OPTION_STRATEGY,
+    DEFAULT_OPTION_MULTIPLIER,
+    createEmptyOptionLegs
+} from '../constants/optionStrategies';
+import { formatCurrency, getCurrencySymbol } from '../constants/tradingLimits';
+import { useCurrency } from '../contexts/CurrencyContext';
+import Button from './Button';
+import FormInput from './FormInput';
+import CurrencyFields from './CurrencyFields';
+import ErrorMessage from './ErrorMessage';
+import InfoBadge from './InfoBadge';
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+function OptionsCalculator() {
+    // State management
+    const [strategy, setStrategy] = useState(DEFAULT_OPTION_STRATEGY);
+    const [legs, setLegs] = useState(() => createEmptyOptionLegs(DEFAULT_OPTION_STRATEGY));
+    const [multiplier, setMultiplier] = useState('');
+    const [accountSize, setAccountSize] = useState('');
+    const [riskPercent, setRiskPercent] = useState('');
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isCalculating, setIsCalculating] = useState(false);
+    const {
+        accountCurrency, quoteCurrency, fxRate, fxRateUpdatedAt, updateCurrency, updateFxRate
+    } = useCurrency();
+
+    const definition = OPTION_STRATEGIES[strategy];
+
+    // Legs shared with the new strategy (e.g. the long call of a spread) keep their values
+    const handleStrategyChange = (e) => {
+        const nextStrategy = e.target.value;
+        setStrategy(nextStrategy);
+        setLegs(prev => Object.fromEntries(
+            Object.entries(createEmptyOptionLegs(nextStrategy)).map(([key, empty]) => [key, prev[key] || empty])
+        ));
+        setResult(null);
+        setError(null);
+    };
+
+    const handleLegChange = (key, field, value) => {
+        setLegs(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+    };
+
+    // Calculation logic using centralized API handler
+    // Without account size and risk only the payoff of one contract is shown
+    const calculateOptions = async () => {
+        setIsCalculating(true);
+
+        // Small delay to show loading state (simulates processing)
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const isSizing = !isBlank(accountSize) || !isBlank(riskPercent);
+        const response = isSizing
+            ? calculateOptionPositionSize({
+                accountSize, riskPercent, strategy, legs, multiplier, accountCurrency, quoteCurrency, fxRate
+            })
+            : calculateOptionPayoff({ strategy, legs, multiplier });
+
+        if (response.success) {
+            setResult(response.data);
+            setError(null);
+        } else {
+            setResult(null);
+            setError(response.error);
+        }
+
+        setIsCalculating(false);
+    };
+
+    // Event handler
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        calculateOptions();
+    };
+
+    // Clear form data
+    function clearData(e) {
+        if (e && e.preventDefault) e.preventDefault();
+        setLegs(createEmptyOptionLegs(strategy));
+        setMultiplier('');
+        setAccountSize('');
+        setRiskPercent('');
+        setResult(null);
+        setError(null);
+    }
+
+    const isSized = result?.contracts !== undefined;
+    const premiumLabel = result?.premiumType === 'credit' ? 'Credit' : 'Debit';
+    const priceSymbol = getCurrencySymbol(quoteCurrency);
+    // Per-contract figures are in the quote currency, sized totals in the account currency
+    const formatQuote = (value) => formatCurrency(value, result?.quoteCurrency || quoteCurrency);
+    const formatAccount = (value) => formatCurrency(value, result?.accountCurrency);
+
+    return (
+        <div className="calculator-card">
+            <div className="calculator-header">
+                <h2 className="calculator-title">Options Calculator</h2>
+                <p className="calculator-subtitle">
+                    Max loss, max profit and break-evens at expiration. Add account risk to size contracts.
+                </p>
+            </div>
+
+            <form className="calculator-form" onSubmit={handleSubmit}>
+                <div className="form-group">
+                    <label className="form-label" htmlFor="option-strategy">Strategy</label>
+                    <select
+                        id="option-strategy"
+                        className="form-input"
+                        value={strategy}
+                        onChange={handleStrategyChange}
+                    >
+                        {Object.values(OPTION_STRATEGIES).map((option) => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                    </select>
+                    <p className="option-strategy-hint">{definition.description}</p>
+                </div>
+
+                {definition.legs.map((leg) => (
+                    <div key={leg.key} className="option-leg-row">
+                        <FormInput
+                            label={`${leg.label} Strike`}
+                            value={legs[leg.key].strike}
+                            onChange={(e) => handleLegChange(leg.key, 'strike', e.target.value)}
+                            placeholder="100.00"
+                            step="0.5"
+                            prefix={priceSymbol}
+                            required
+                        />
+                        <FormInput
+                            label={`${leg.label} Premium`}
+                            value={legs[leg.key].premium}
+                            onChange={(e) => handleLegChange(leg.key, 'premium', e.target.value)}
+                            placeholder="2.50"
+                            step="0.01"
+                            prefix={priceSymbol}
+                            required
+                        />
+                    </div>
+                ))}
+
+                <FormInput
+                    label="Contract Multiplier"
+                    value={multiplier}
+                    onChange={(e) => setMultiplier(e.target.value)}
+                    placeholder={String(DEFAULT_OPTION_MULTIPLIER)}
+                    step="1"
+                    suffix="×"
+                />
+
+                <CurrencyFields
+                    accountCurrency={accountCurrency}
+                    quoteCurrency={quoteCurrency}
+                    fxRate={fxRate}
+                    fxRateUpdatedAt={fxRateUpdatedAt}
+                    onCurrencyChange={updateCurrency}
+                    onFxRateChange={updateFxRate}
+                />
+
+                <FormInput
+                    label="Account Size (optional, for sizing)"
+                    value={accountSize}
+                    onChange={(e) => setAccountSize(e.target.value)}
+                    placeholder="10000"
+                    prefix={getCurrencySymbol(accountCurrency)}
+                />
+
+                <FormInput
+                    label="Risk Percent (optional, for sizing)"
+                    value={riskPercent}
+                    onChange={(e) => setRiskPercent(e.target.value)}
+                    placeholder="2"
+                    step="0.1"
+                    suffix="%"
+                />
+
+                <div className="button-group">
+                    <Button
+                        type="submit"
+                        variant="primary"
+                        disabled={isCalculating}
+                    >
+                        {isCalculating ? 'Calculating...' : 'Calculate Option Trade'}
+                    </Button>
+                    <Button
+                        type="button"
+                        onClick={clearData}
+                        variant="secondary"
+                        disabled={isCalculating}
+                    >
+                        Clear
+                    </Button>
+                </div>
+            </form>
+
+            {result && (
+                <div className={`results-card ${result.isValidTrade ? 'success' : 'warning'}`}>
+                    <h3 className="results-title">Results</h3>
+                    <div className="results-grid">
+                        <div className="result-item">
+                            <span className="result-label">Strategy</span>
+                            <span className="result-value">{result.label}</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Net {premiumLabel} / Contract</span>
+                            <span className="result-value">{formatQuote(result.netPremiumPerContract)}</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Max Loss / Contract</span>
+                            <span className="result-value risk">{formatQuote(result.maxLossPerContract)}</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Max Profit / Contract</span>
+                            <span className="result-value success">
+                                {result.isProfitUnlimited ? 'Unlimited' : formatQuote(result.maxProfitPerContract)}
+                            </span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">{result.breakEvens.length > 1 ? 'Break-Evens' : 'Break-Even'}</span>
+                            <span className="result-value">
+                                {result.breakEvens.map(price => `${priceSymbol}${price}`).join(' / ')}
+                            </span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">R:R Ratio</span>
+                            <span className={`result-value ${result.isValidTrade ? 'success' : 'warning'}`}>
+                                {result.isProfitUnlimited ? 'Unlimited' : `1:${result.rrRatio}`}
+                            </span>
+                        </div>
+                        {isSized && (
+                            <>
+                                <div className="result-item">
+                                    <span className="result-label">Contracts</span>
+                                    <span className="result-value primary">{result.contracts}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Risk Amount</span>
+                                    <span className="result-value">{formatAccount(result.riskAmount)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Total Max Loss</span>
+                                    <span className="result-value risk">
+                                        {formatAccount(result.totalMaxLoss)} ({result.maxLossPercent}%)
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Total Max Profit</span>
+                                    <span className="result-value success">
+                                        {result.totalMaxProfit === null ? 'Unlimited' : formatAccount(result.totalMaxProfit)}
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Total {premiumLabel}</span>
+                                    <span className="result-value">{formatAccount(result.totalPremium)}</span>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                    <InfoBadge
+                        message={result.isValidTrade
+                            ? 'Max profit covers max loss at expiration.'
+                            : 'Max profit is below max loss. This trade needs a high win rate to pay off.'}
+                        variant={result.isValidTrade ? 'success' : 'warning'}
+                    />
+                </div>
+            )}
+
+            <ErrorMessage message={error} />
+        </div>
+    );
+}
+
+export default OptionsCalculator;
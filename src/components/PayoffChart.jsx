@@ -0,0 +1,165 @@
+import { memo, useMemo, useState } from 'react';
+import { calculateRiskReward } from '../utils/tradingCalculators';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { formatCurrency, getCurrencySymbol } from '../constants/tradingLimits';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 240;
+const PADDING = { top: 36, right: 16, bottom: 28, left: 16 };
+const PLOT_WIDTH = CHART_WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+// Share of the stop-to-target span shown beyond the outermost level
+const RANGE_MARGIN = 0.1;
+
+const formatSigned = (value, decimals = 2) => `${value < 0 ? '-' : '+'}${Math.abs(value).toFixed(decimals)}`;
+
+/**
+ * P&L-at-price chart: stop, entry and targets on a price axis, with the
+ * profit and loss of closing the whole position at each price (in the quote currency)
+ * Colors come from the theme variables, so it follows the ThemeContext theme
+ * @param {Object} props - Component properties
+ * @param {string} props.entryPrice - Entry price
+ * @param {string} props.stopLoss - Stop loss
+ * @param {Array} props.targets - Exits: [{ price, allocation }]
+ * @param {string} [props.shares] - Position size; P&L is per share when blank
+ */
+function PayoffChart({ entryPrice, stopLoss, targets, shares }) {
+    const [hoverPrice, setHoverPrice] = useState(null);
+    const { quoteCurrency } = useCurrency();
+
+    // Allocations don't matter here, only that every target sits on the profit side
+    const checks = useMemo(
+        () => targets.map(target => calculateRiskReward({ entryPrice, stopLoss, targetPrice: target.price })),
+        [entryPrice, stopLoss, targets]
+    );
+
+    if (checks.length === 0 || checks.some(check => !check.success)) return null;
+
+    const entry = parseFloat(entryPrice);
+    const stop = parseFloat(stopLoss);
+    const riskPerShare = Math.abs(entry - stop);
+    const direction = checks[0].data.positionType === 'Long' ? 1 : -1;
+    const parsedShares = parseFloat(shares);
+    const isPerShare = !(parsedShares > 0);
+    const quantity = isPerShare ? 1 : parsedShares;
+    const priceDecimals = Math.max(2, String(entryPrice).split('.')[1]?.length || 0);
+
+    const pnlAt = (price) => (price - entry) * direction * quantity;
+    const rAt = (price) => ((price - entry) * direction) / riskPerShare;
+
+    const levels = [
+        { key: 'stop', type: 'stop', label: 'Stop', price: stop },
+        { key: 'entry', type: 'entry', label: 'Entry', price: entry },
+        ...targets.map((target, index) => ({
+            key: `target-${index}`,
+            type: 'target',
+            label: targets.length > 1 ? `T${index + 1}` : 'Target',
+            price: parseFloat(target.price)
+        }))
+    ];
+
+    // Price axis spans every level plus a margin; P&L is linear, so its range is set by the ends
+    const prices = levels.map(level => level.price);
+    const margin = (Math.max(...prices) - Math.min(...prices)) * RANGE_MARGIN;
+    const low = Math.max(0, Math.min(...prices) - margin);
+    const high = Math.max(...prices) + margin;
+    const pnlLow = Math.min(pnlAt(low), pnlAt(high));
+    const pnlHigh = Math.max(pnlAt(low), pnlAt(high));
+
+    const toX = (price) => PADDING.left + ((price - low) / (high - low)) * PLOT_WIDTH;
+    const toY = (pnl) => PADDING.top + ((pnlHigh - pnl) / (pnlHigh - pnlLow)) * PLOT_HEIGHT;
+    const zeroY = toY(0);
+    const entryX = toX(entry);
+
+    // Profit and loss zones between the P&L line and zero
+    const profitEdge = direction === 1 ? high : low;
+    const lossEdge = direction === 1 ? low : high;
+    const zone = (edge) => `${entryX},${zeroY} ${toX(edge)},${toY(pnlAt(edge))} ${toX(edge)},${zeroY}`;
+
+    const formatPnl = (price) => {
+        const pnl = pnlAt(price);
+        return `${pnl < 0 ? '-' : '+'}${formatCurrency(Math.abs(pnl), quoteCurrency)}${isPerShare ? '/share' : ''}`;
+    };
+
+    const handleMouseMove = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * CHART_WIDTH;
+        const ratio = Math.min(1, Math.max(0, (x - PADDING.left) / PLOT_WIDTH));
+        setHoverPrice(low + ratio * (high - low));
+    };
+
+    return (
+        <div className="payoff-chart">
+            <h3 className="payoff-chart-title">P&L at Price</h3>
+            <svg
+                className="payoff-chart-svg"
+                viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                role="img"
+                aria-label={`P&L at price: stop ${stop} at -1R, entry ${entry}, ${levels.filter(level => level.type === 'target').map(level => `${level.label} ${level.price} at ${formatSigned(rAt(level.price))}R`).join(', ')}`}
+                onMouseMove={handleMouseMove}
+                onMouseLeave={() => setHoverPrice(null)}
+            >
+                <polygon className="payoff-chart-zone profit" points={zone(profitEdge)} />
+                <polygon className="payoff-chart-zone loss" points={zone(lossEdge)} />
+                <line className="payoff-chart-zero" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={zeroY} y2={zeroY} />
+                <line
+                    className="payoff-chart-line"
+                    x1={toX(low)}
+                    y1={toY(pnlAt(low))}
+                    x2={toX(high)}
+                    y2={toY(pnlAt(high))}
+                />
+
+                {levels.map((level, index) => {
+                    const x = toX(level.price);
+                    const r = rAt(level.price);
+                    // Alternate label rows so close levels don't overlap
+                    const labelY = index % 2 === 0 ? 14 : 28;
+                    return (
+                        <g key={level.key} className={`payoff-chart-level ${level.type}`}>
+                            <line x1={x} x2={x} y1={PADDING.top} y2={CHART_HEIGHT - PADDING.bottom} />
+                            <circle cx={x} cy={toY(pnlAt(level.price))} r="4" />
+                            <text x={x} y={labelY} textAnchor="middle">
+                                {level.type === 'entry' ? level.label : `${level.label} ${formatSigned(r)}R`}
+                            </text>
+                            <text className="payoff-chart-price" x={x} y={CHART_HEIGHT - 8} textAnchor="middle">
+                                {level.price.toFixed(priceDecimals)}
+                            </text>
+                        </g>
+                    );
+                })}
+
+                {hoverPrice !== null && (
+                    <line
+                        className="payoff-chart-cursor"
+                        x1={toX(hoverPrice)}
+                        x2={toX(hoverPrice)}
+                        y1={PADDING.top}
+                        y2={CHART_HEIGHT - PADDING.bottom}
+                    />
+                )}
+            </svg>
+
+            <div className="payoff-chart-readout" aria-live="polite">
+                {hoverPrice !== null ? (
+                    <>
+                        At {getCurrencySymbol(quoteCurrency)}{hoverPrice.toFixed(priceDecimals)}:{' '}
+                        <span className={pnlAt(hoverPrice) >= 0 ? 'success' : 'risk'}>
+                            {formatPnl(hoverPrice)} ({formatSigned(rAt(hoverPrice))}R)
+                        </span>
+                    </>
+                ) : (
+                    levels.filter(level => level.type !== 'entry').map(level => (
+                        <span key={level.key} className={level.type === 'stop' ? 'risk' : 'success'}>
+                            {level.label}: {formatPnl(level.price)} ({formatSigned(rAt(level.price))}R)
+                        </span>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(PayoffChart);
@@ -0,0 +1,169 @@
+import { memo, useState } from 'react';
+import FormInput from './FormInput';
+import { formatCurrency, formatShares, TRADING_LIMITS } from '../constants/tradingLimits';
+
+const EMPTY_POSITION = { ticker: '', entry: '', stop: '', shares: '' };
+
+/**
+ * Collapsible open-positions registry with total heat against the cap
+ * Executed checklist trades are listed until their exit is recorded in the journal;
+ * other positions are added here by hand
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.heat - calculatePortfolioHeat data
+ * @param {string|null} props.heatError - Heat cap error
+ * @param {string} props.heatCap - Heat cap in percent (blank disables it)
+ * @param {string} props.accountCurrency - Currency the risk amounts are in
+ * @param {Function} props.onHeatCapChange - (value) => void
+ * @param {Function} props.onAdd - (position) => error message or null
+ * @param {Function} props.onRemove - (id) => void
+ */
+function PortfolioHeatPanel({ heat, heatError, heatCap, accountCurrency, onHeatCapChange, onAdd, onRemove }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(EMPTY_POSITION);
+    const [addError, setAddError] = useState(null);
+
+    const positions = heat?.positions || [];
+
+    const updateDraft = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+        setAddError(null);
+    };
+
+    const handleAdd = () => {
+        const error = onAdd(draft);
+        setAddError(error);
+        if (!error) setDraft(EMPTY_POSITION);
+    };
+
+    const summary = heat
+        ? `${formatCurrency(heat.totalRisk, accountCurrency)}${heat.totalRiskPercent !== null ? ` (${heat.totalRiskPercent}%)` : ''}`
+        : null;
+
+    return (
+        <div className="trading-costs portfolio-heat">
+            <button
+                type="button"
+                className="trading-costs-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+            >
+                {isOpen ? '▾' : '▸'} Open Positions & Heat
+                {positions.length > 0 && (
+                    <span className={`trading-costs-badge ${heat?.isOverCap ? 'over' : ''}`}>
+                        {positions.length} · {summary}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="portfolio-heat-body">
+                    <FormInput
+                        label="Heat Cap (total open risk)"
+                        value={heatCap}
+                        onChange={(e) => onHeatCapChange(e.target.value)}
+                        placeholder={String(TRADING_LIMITS.DEFAULT_HEAT_CAP)}
+                        step="0.5"
+                        suffix="%"
+                        error={heatError}
+                    />
+
+                    {heat && heat.heatCapAmount !== null && (
+                        <div className="portfolio-heat-meter" title={`${heat.totalRiskPercent}% of ${heat.heatCap}%`}>
+                            <div
+                                className={`portfolio-heat-fill ${heat.isOverCap ? 'over' : ''}`}
+                                style={{ width: `${Math.min(100, (parseFloat(heat.totalRisk) / parseFloat(heat.heatCapAmount)) * 100)}%` }}
+                            />
+                        </div>
+                    )}
+
+                    {heat && (
+                        <p className={`portfolio-heat-total ${heat.isOverCap ? 'over' : ''}`}>
+                            Open risk at stop: {summary}
+                            {heat.heatCapAmount !== null && (
+                                heat.isOverCap
+                                    ? ` — over the ${heat.heatCap}% cap (${formatCurrency(heat.heatCapAmount, accountCurrency)})`
+                                    : ` — ${formatCurrency(heat.remainingRisk, accountCurrency)} left under the ${heat.heatCap}% cap`
+                            )}
+                        </p>
+                    )}
+
+                    {positions.length === 0 ? (
+                        <p className="trading-costs-hint">No open positions.</p>
+                    ) : (
+                        <ul className="portfolio-heat-list">
+                            {positions.map((position) => (
+                                <li key={position.id} className="portfolio-heat-item">
+                                    <div className="portfolio-heat-item-main">
+                                        <strong>{position.ticker || 'Untitled'}</strong>
+                                        <span className="portfolio-heat-meta">
+                                            {formatShares(position.shares || 0, TRADING_LIMITS.MAX_SHARES_DECIMALS)} @ {position.entry || '—'}, stop {position.stop || '—'}
+                                            {position.source === 'journal' && ' · from journal'}
+                                        </span>
+                                    </div>
+                                    <span className="portfolio-heat-risk">
+                                        {position.riskAmount !== null
+                                            ? `${formatCurrency(position.riskAmount, accountCurrency)}${position.riskPercent !== null ? ` (${position.riskPercent}%)` : ''}`
+                                            : 'No size/stop'}
+                                    </span>
+                                    {position.source === 'manual' && (
+                                        <button
+                                            type="button"
+                                            className="instrument-preset-btn"
+                                            onClick={() => onRemove(position.id)}
+                                            aria-label={`Remove ${position.ticker || 'position'}`}
+                                        >
+                                            ✕
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className="portfolio-heat-add">
+                        <FormInput
+                            label="Ticker"
+                            type="text"
+                            value={draft.ticker}
+                            onChange={(e) => updateDraft('ticker', e.target.value)}
+                            placeholder="AAPL"
+                        />
+                        <FormInput
+                            label="Entry"
+                            value={draft.entry}
+                            onChange={(e) => updateDraft('entry', e.target.value)}
+                            placeholder="50.00"
+                            step="0.01"
+                        />
+                        <FormInput
+                            label="Stop"
+                            value={draft.stop}
+                            onChange={(e) => updateDraft('stop', e.target.value)}
+                            placeholder="48.00"
+                            step="0.01"
+                        />
+                        <FormInput
+                            label="Size"
+                            value={draft.shares}
+                            onChange={(e) => updateDraft('shares', e.target.value)}
+                            placeholder="100"
+                            step="any"
+                        />
+                        <button type="button" className="instrument-preset-btn" onClick={handleAdd}>
+                            + Add Position
+                        </button>
+                    </div>
+                    {addError && <p className="portfolio-heat-error" role="alert">{addError}</p>}
+
+                    <p className="trading-costs-hint">
+                        Executed checklist trades stay listed until you record their exit in the Trade Journal.
+                        New positions are cut down so total heat stays under the cap.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(PortfolioHeatPanel);
@@ -1,8 +1,39 @@
-import { useState, useEffect, useRef } from 'react';
-import { calculatePositionSize } from '../utils/tradingCalculators';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { calculateAtrStop, compareSizingStrategies } from '../utils/tradingCalculators';
+import { calculatePayoffStats } from '../utils/tradeStatistics';
+import { getClosedTrades } from '../selectors/journalSelectors';
+import { useJournal } from '../contexts/JournalContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useTradingCosts } from '../hooks/useTradingCosts';
+import { usePortfolioHeat } from '../hooks/usePortfolioHeat';
 import Button from './Button';
 import FormInput from './FormInput';
 import ErrorMessage from './ErrorMessage';
+import InfoBadge from './InfoBadge';
+import TradingCostsFields from './TradingCostsFields';
+import InstrumentFields from './InstrumentFields';
+import CurrencyFields from './CurrencyFields';
+import AtrFields from './AtrFields';
+import PortfolioHeatPanel from './PortfolioHeatPanel';
+import SizingStrategyFields from './SizingStrategyFields';
+import { DEFAULT_ASSET_CLASS, SIZING_MODELS } from '../constants/instruments';
+import { TRADING_LIMITS, formatShares, formatCurrency, getCurrencySymbol } from '../constants/tradingLimits';
+import { SIZING_STRATEGIES, DEFAULT_SIZING_STRATEGY } from '../constants/sizingStrategies';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Volatility stop used when the multiplier is left blank
+const DEFAULT_ATR_MULTIPLIER = 2;
+
+const EMPTY_STRATEGY_INPUTS = {
+    winRate: '',
+    payoffRatio: '',
+    kellyFraction: '',
+    startingBalance: '',
+    delta: '',
+    unitsPerLevel: '',
+    fixedDollarRisk: ''
+};
 
 function PositionSizeCalculator() {
     // State management
@@ -10,6 +41,23 @@ function PositionSizeCalculator() {
     const [riskPercent, setRiskPercent] = useState('');
     const [entryPrice, setEntryPrice] = useState('');
     const [stopLoss, setStopLoss] = useState('');
+    // Stop mode: 'manual' (typed) or 'atr' (entry -/+ multiplier x ATR)
+    const [stopMode, setStopMode] = useState('manual');
+    const [atrInputs, setAtrInputs] = useState({ atr: '', multiplier: '', direction: 'long' });
+    const [atrStop, setAtrStop] = useState(null);
+    const [targetPrice, setTargetPrice] = useState('');
+    const [leverage, setLeverage] = useState('');
+    const [instrument, setInstrument] = useState({ assetClass: DEFAULT_ASSET_CLASS });
+    const { costs, updateCost, hasCosts } = useTradingCosts();
+    const { accountCurrency, quoteCurrency, fxRate, fxRateUpdatedAt, updateCurrency, updateFxRate } = useCurrency();
+    const { heat, heatError, heatCap, updateHeatCap, addPosition, removePosition } = usePortfolioHeat(accountSize);
+    const [sizingStrategy, setSizingStrategy] = useState(DEFAULT_SIZING_STRATEGY);
+    const [strategyInputs, setStrategyInputs] = useState(EMPTY_STRATEGY_INPUTS);
+    const [comparison, setComparison] = useState(null);
+
+    // Kelly defaults to the journal's realized win rate and payoff
+    const { entries } = useJournal();
+    const journalStats = useMemo(() => calculatePayoffStats(getClosedTrades(entries)), [entries]);
     const [result, setResult] = useState(null);
     const [error, setError] = useState(null);
     const [isCalculating, setIsCalculating] = useState(false);
@@ -18,8 +66,10 @@ function PositionSizeCalculator() {
     // Refs for focus management
     const accountRef = useRef(null);
     const riskRef = useRef(null);
+    const leverageRef = useRef(null);
     const entryRef = useRef(null);
     const stopRef = useRef(null);
+    const targetRef = useRef(null);
 
     // Error focus management - focus field with error
     useEffect(() => {
@@ -28,13 +78,15 @@ function PositionSizeCalculator() {
         const focusMap = {
             'accountSize': accountRef,
             'riskPercent': riskRef,
+            'leverage': leverageRef,
             'entryPrice': entryRef,
-            'stopLoss': stopRef
+            'stopLoss': stopRef,
+            'targetPrice': targetRef
         };
 
-        const targetRef = focusMap[errorField];
-        if (targetRef && targetRef.current) {
-            targetRef.current.focus();
+        const fieldRef = focusMap[errorField];
+        if (fieldRef && fieldRef.current) {
+            fieldRef.current.focus();
         }
     }, [errorField]);
 
@@ -47,12 +99,61 @@ function PositionSizeCalculator() {
         // Small delay to show loading state (simulates processing)
         await new Promise(resolve => setTimeout(resolve, 100));
 
-        const response = calculatePositionSize({
+        // Volatility mode derives the stop from ATR first
+        let stop = stopLoss;
+        if (stopMode === 'atr') {
+            const stopResponse = calculateAtrStop({
+                entryPrice,
+                atr: atrInputs.atr,
+                multiplier: atrInputs.multiplier || DEFAULT_ATR_MULTIPLIER,
+                direction: atrInputs.direction
+            });
+
+            if (!stopResponse.success) {
+                setResult(null);
+                setAtrStop(null);
+                setError(stopResponse.error);
+                setErrorField(stopResponse.field === 'entryPrice' ? 'entryPrice' : null);
+                setIsCalculating(false);
+                return;
+            }
+            setAtrStop(stopResponse.data);
+            stop = stopResponse.data.stopLoss;
+        } else {
+            setAtrStop(null);
+        }
+
+        // Every strategy is sized side by side; the selected one drives the results
+        const compared = compareSizingStrategies({
             accountSize,
             riskPercent,
             entryPrice,
-            stopLoss
+            stopLoss: stop,
+            targetPrice,
+            costs,
+            instrument,
+            leverage,
+            openRisk: heat?.totalRisk,
+            heatCap,
+            accountCurrency,
+            quoteCurrency,
+            fxRate,
+            kelly: {
+                winRate: strategyInputs.winRate || journalStats?.winRate,
+                payoffRatio: strategyInputs.payoffRatio || journalStats?.payoffRatio,
+                fraction: strategyInputs.kellyFraction
+            },
+            fixedRatio: {
+                startingBalance: strategyInputs.startingBalance,
+                delta: strategyInputs.delta,
+                unitsPerLevel: strategyInputs.unitsPerLevel
+            },
+            fixedDollarRisk: strategyInputs.fixedDollarRisk
         });
+        const response = compared.success
+            ? compared.data.strategies.find(strategy => strategy.id === sizingStrategy).response
+            : compared;
+        setComparison(compared.success ? compared.data.strategies : null);
 
         if (response.success) {
             setResult(response.data);
@@ -79,28 +180,65 @@ function PositionSizeCalculator() {
         setRiskPercent("");
         setEntryPrice("");
         setStopLoss("");
+        setAtrInputs({ atr: '', multiplier: '', direction: 'long' });
+        setAtrStop(null);
+        setTargetPrice("");
         setResult(null);
+        setComparison(null);
         setError(null);
     }
 
+    // Price inputs follow the instrument's tick grid; FX quotes aren't currency amounts
+    const priceStep = instrument.tickSize || SIZING_MODELS[instrument.assetClass].tickSize || '0.01';
+    const accountSymbol = getCurrencySymbol(accountCurrency);
+    const quoteSymbol = getCurrencySymbol(quoteCurrency);
+    const pricePrefix = instrument.assetClass === 'forex' ? undefined : quoteSymbol;
+    // Results are in the currency they were calculated in, even if the pickers changed since
+    const formatMoney = (value) => formatCurrency(value, result?.accountCurrency);
+
     return (
         <div className="calculator-card">
             <div className="calculator-header">
                 <h2 className="calculator-title">Position Size Calculator</h2>
-                <p className="calculator-subtitle">Calculate optimal position sizing based on your risk tolerance</p>
+                <p className="calculator-subtitle">Calculate optimal position sizing based on your risk tolerance. Stop above entry sizes a short. Pick an instrument to size futures, forex or options.</p>
             </div>
 
             <form className="calculator-form" onSubmit={handleSubmit}>
+                <InstrumentFields instrument={instrument} onChange={setInstrument} currencySymbol={quoteSymbol} />
+
+                <CurrencyFields
+                    accountCurrency={accountCurrency}
+                    quoteCurrency={quoteCurrency}
+                    fxRate={fxRate}
+                    fxRateUpdatedAt={fxRateUpdatedAt}
+                    onCurrencyChange={updateCurrency}
+                    onFxRateChange={updateFxRate}
+                />
+
                 <FormInput
                     ref={accountRef}
                     label="Account Size"
                     value={accountSize}
                     onChange={(e) => setAccountSize(e.target.value)}
                     placeholder="10000"
-                    prefix="$"
+                    prefix={accountSymbol}
                     required
                 />
 
+                <div className="form-group">
+                    <label className="form-label" htmlFor="sizing-strategy">Sizing Strategy</label>
+                    <select
+                        id="sizing-strategy"
+                        className="form-input"
+                        value={sizingStrategy}
+                        onChange={(e) => setSizingStrategy(e.target.value)}
+                    >
+                        {Object.values(SIZING_STRATEGIES).map((strategy) => (
+                            <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+                        ))}
+                    </select>
+                </div>
+
                 <FormInput
                     ref={riskRef}
                     label="Risk Percent"
@@ -109,7 +247,17 @@ function PositionSizeCalculator() {
                     placeholder="2"
                     step="0.1"
                     suffix="%"
-                    required
+                    required={sizingStrategy === SIZING_STRATEGIES.fixedFractional.id}
+                />
+
+                <FormInput
+                    ref={leverageRef}
+                    label="Leverage (buying power)"
+                    value={leverage}
+                    onChange={(e) => setLeverage(e.target.value)}
+                    placeholder={String(TRADING_LIMITS.DEFAULT_LEVERAGE)}
+                    step="0.5"
+                    suffix="x"
                 />
 
                 <FormInput
@@ -118,20 +266,89 @@ function PositionSizeCalculator() {
                     value={entryPrice}
                     onChange={(e) => setEntryPrice(e.target.value)}
                     placeholder="50.00"
-                    step="0.01"
-                    prefix="$"
+                    step={priceStep}
+                    prefix={pricePrefix}
                     required
                 />
 
+                <div className="stop-mode-toggle" role="group" aria-label="Stop mode">
+                    <button
+                        type="button"
+                        className={stopMode === 'manual' ? 'active' : ''}
+                        onClick={() => setStopMode('manual')}
+                    >
+                        Manual Stop
+                    </button>
+                    <button
+                        type="button"
+                        className={stopMode === 'atr' ? 'active' : ''}
+                        onClick={() => setStopMode('atr')}
+                    >
+                        ATR Stop
+                    </button>
+                </div>
+
+                {stopMode === 'manual' ? (
+                    <FormInput
+                        ref={stopRef}
+                        label="Stop Loss"
+                        value={stopLoss}
+                        onChange={(e) => setStopLoss(e.target.value)}
+                        placeholder="48.00"
+                        step={priceStep}
+                        prefix={pricePrefix}
+                        required
+                    />
+                ) : (
+                    <>
+                        <div className="form-group">
+                            <label className="form-label" htmlFor="atr-direction">Direction</label>
+                            <select
+                                id="atr-direction"
+                                className="form-input"
+                                value={atrInputs.direction}
+                                onChange={(e) => setAtrInputs(prev => ({ ...prev, direction: e.target.value }))}
+                            >
+                                <option value="long">Long (stop below entry)</option>
+                                <option value="short">Short (stop above entry)</option>
+                            </select>
+                        </div>
+                        <AtrFields
+                            atr={atrInputs.atr}
+                            multiplier={atrInputs.multiplier}
+                            onChange={(field, value) => setAtrInputs(prev => ({ ...prev, [field]: value }))}
+                            defaultMultiplier={DEFAULT_ATR_MULTIPLIER}
+                        />
+                    </>
+                )}
+
                 <FormInput
-                    ref={stopRef}
-                    label="Stop Loss"
-                    value={stopLoss}
-                    onChange={(e) => setStopLoss(e.target.value)}
-                    placeholder="48.00"
-                    step="0.01"
-                    prefix="$"
-                    required
+                    ref={targetRef}
+                    label="Target Price (optional, for R:R)"
+                    value={targetPrice}
+                    onChange={(e) => setTargetPrice(e.target.value)}
+                    placeholder="56.00"
+                    step={priceStep}
+                    prefix={pricePrefix}
+                />
+
+                <SizingStrategyFields
+                    inputs={strategyInputs}
+                    onChange={(field, value) => setStrategyInputs(prev => ({ ...prev, [field]: value }))}
+                    journalStats={journalStats}
+                    currencySymbol={accountSymbol}
+                />
+
+                <TradingCostsFields costs={costs} onChange={updateCost} hasCosts={hasCosts} currencySymbol={accountSymbol} />
+
+                <PortfolioHeatPanel
+                    heat={heat}
+                    heatError={heatError}
+                    heatCap={heatCap}
+                    accountCurrency={accountCurrency}
+                    onHeatCapChange={updateHeatCap}
+                    onAdd={addPosition}
+                    onRemove={removePosition}
                 />
 
                 <div className="button-group">
@@ -158,20 +375,57 @@ function PositionSizeCalculator() {
                     <h3 className="results-title">Results</h3>
                     <div className="results-grid">
                         <div className="result-item">
-                            <span className="result-label">Shares to Buy</span>
-                            <span className="result-value primary">{result.shares}</span>
+                            <span className="result-label">Position Type</span>
+                            <span className="result-value">{result.positionType}</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">
+                                {capitalize(result.unit)} to {result.positionType === 'Short' ? 'Short' : 'Buy'}
+                            </span>
+                            <span className="result-value primary">{formatShares(result.shares, result.quantityDecimals)}</span>
                         </div>
                         <div className="result-item">
                             <span className="result-label">Position Value</span>
-                            <span className="result-value">${result.positionValue}</span>
+                            <span className="result-value">
+                                {formatMoney(result.positionValue)}
+                                {result.quoteCurrency !== result.accountCurrency && ` (${formatCurrency(result.positionValueQuote, result.quoteCurrency)})`}
+                            </span>
                         </div>
+                        {result.marginRequired !== null && (
+                            <div className="result-item">
+                                <span className="result-label">Margin Required</span>
+                                <span className="result-value">{formatMoney(result.marginRequired)}</span>
+                            </div>
+                        )}
+                        {result.buyingPower !== null && (
+                            <div className="result-item">
+                                <span className="result-label">Buying Power</span>
+                                <span className="result-value">{formatMoney(result.buyingPower)}</span>
+                            </div>
+                        )}
                         <div className="result-item">
-                            <span className="result-label">Dollar Risk</span>
-                            <span className="result-value risk">${result.riskAmount}</span>
+                            <span className="result-label">Effective Leverage</span>
+                            <span className="result-value">{result.effectiveLeverage}x</span>
+                        </div>
+                        {atrStop && (
+                            <div className="result-item">
+                                <span className="result-label">ATR Stop ({atrStop.multiplier}× ATR)</span>
+                                <span className="result-value">{result.stopLoss} ({atrStop.stopDistance} from entry)</span>
+                            </div>
+                        )}
+                        {result.stopTicks !== null && (
+                            <div className="result-item">
+                                <span className="result-label">{result.stopAdjusted ? 'Stop (rounded to tick)' : 'Stop'}</span>
+                                <span className="result-value">{result.stopLoss} ({result.stopTicks} ticks)</span>
+                            </div>
+                        )}
+                        <div className="result-item">
+                            <span className="result-label">Risk Amount</span>
+                            <span className="result-value risk">{formatMoney(result.riskAmount)}</span>
                         </div>
                         <div className="result-item">
-                            <span className="result-label">Risk Per Share</span>
-                            <span className="result-value">${result.riskPerShare}</span>
+                            <span className="result-label">Risk Per {capitalize(result.unit).replace(/s$/, '')}</span>
+                            <span className="result-value">{formatMoney(result.riskPerUnit)}</span>
                         </div>
                         {result.percentOfAccount && (
                             <div className="result-item">
@@ -179,7 +433,93 @@ function PositionSizeCalculator() {
                                 <span className="result-value">{result.percentOfAccount}%</span>
                             </div>
                         )}
+                        {hasCosts && (
+                            <>
+                                <div className="result-item">
+                                    <span className="result-label">Costs at Stop</span>
+                                    <span className="result-value">{formatMoney(result.costsAtStop)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Net Risk (after costs)</span>
+                                    <span className="result-value risk">{formatMoney(result.netRiskAmount)} ({result.netRiskPercent}%)</span>
+                                </div>
+                            </>
+                        )}
+                        {result.heatCap !== null && (
+                            <div className="result-item">
+                                <span className="result-label">Portfolio Heat After Trade</span>
+                                <span className="result-value risk">{formatMoney(result.totalHeat)} ({result.totalHeatPercent}% of {result.heatCap}%)</span>
+                            </div>
+                        )}
+                        {result.rrRatio !== null && (
+                            <>
+                                <div className="result-item">
+                                    <span className="result-label">Reward at Target</span>
+                                    <span className="result-value success">{formatMoney(result.rewardAmount)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">R:R Ratio</span>
+                                    <span className="result-value">1:{result.rrRatio}</span>
+                                </div>
+                                {hasCosts && (
+                                    <>
+                                        <div className="result-item">
+                                            <span className="result-label">Net Reward (after costs)</span>
+                                            <span className="result-value success">{formatMoney(result.netRewardAmount)}</span>
+                                        </div>
+                                        <div className="result-item">
+                                            <span className="result-label">Net R:R</span>
+                                            <span className="result-value">1:{result.netRRRatio}</span>
+                                        </div>
+                                    </>
+                                )}
+                            </>
+                        )}
                     </div>
+                    <InfoBadge
+                        message={{
+                            heat: `Capped by portfolio heat: the full size would take open risk to ${result.uncappedHeatPercent}% of the account, over your ${result.heatCap}% cap. Reduced to ${formatShares(result.maxSharesByHeat, result.quantityDecimals)} ${result.unit}; actual risk is ${formatMoney(result.grossRiskAmount)}.`,
+                            buyingPower: `Capped by buying power: risk allows ${formatShares(result.maxSharesByRisk, result.quantityDecimals)} ${result.unit}, buying power ${formatShares(result.maxSharesByBuyingPower, result.quantityDecimals)}. Actual risk is ${formatMoney(result.grossRiskAmount)}.`,
+                            risk: 'Sized by risk: your buying power covers the full position.'
+                        }[result.bindingConstraint]}
+                        variant={result.bindingConstraint === 'risk' ? 'success' : 'warning'}
+                    />
+
+                    {comparison && (
+                        <table className="strategy-table">
+                            <caption>Sizing Strategies</caption>
+                            <thead>
+                                <tr>
+                                    <th>Strategy</th>
+                                    <th>Risk</th>
+                                    <th>{capitalize(result.unit)}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {comparison.map(({ id, basis, response }) => (
+                                    <tr
+                                        key={id}
+                                        className={id === sizingStrategy ? 'selected' : ''}
+                                        title={SIZING_STRATEGIES[id].description}
+                                    >
+                                        <td>
+                                            {SIZING_STRATEGIES[id].label}
+                                            {basis?.kellyPercent && <span className="strategy-basis">Kelly {basis.kellyPercent}% × {basis.fraction}</span>}
+                                            {basis?.level && <span className="strategy-basis">Level {basis.level}, next at {formatMoney(basis.nextLevelBalance)}</span>}
+                                        </td>
+                                        {response.success ? (
+                                            <>
+                                                <td>{formatMoney(response.data.grossRiskAmount)} ({response.data.grossRiskPercent}%)</td>
+                                                <td>{formatShares(response.data.shares, response.data.quantityDecimals)}</td>
+                                            </>
+                                        ) : (
+                                            <td colSpan={2} className="strategy-error">{response.error}</td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                 </div>
             )}
 
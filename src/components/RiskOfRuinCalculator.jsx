@@ -0,0 +1,247 @@
+import { useMemo, useState } from 'react';
+import { calculateRiskOfRuin } from '../utils/riskOfRuin';
+import { calculatePayoffStats } from '../utils/tradeStatistics';
+import { getClosedTrades } from '../selectors/journalSelectors';
+import { useJournal } from '../contexts/JournalContext';
+import { TRADING_LIMITS } from '../constants/tradingLimits';
+import Button from './Button';
+import FormInput from './FormInput';
+import ErrorMessage from './ErrorMessage';
+import InfoBadge from './InfoBadge';
+
+const EMPTY_INPUTS = {
+    winRate: '',
+    payoffRatio: '',
+    riskPercent: '',
+    ruinPercent: '',
+    tradeCount: '',
+    drawdownPercent: ''
+};
+
+function RiskOfRuinCalculator() {
+    // State management
+    const [inputs, setInputs] = useState(EMPTY_INPUTS);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isCalculating, setIsCalculating] = useState(false);
+
+    // Win rate and payoff default to the journal's closed trades
+    const { entries } = useJournal();
+    const journalStats = useMemo(() => calculatePayoffStats(getClosedTrades(entries)), [entries]);
+
+    const updateInput = (field, value) => {
+        setInputs(prev => ({ ...prev, [field]: value }));
+    };
+
+    // Calculation logic using centralized API handler
+    const calculateRuin = async () => {
+        setIsCalculating(true);
+
+        // Small delay to show loading state (simulates processing)
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const response = calculateRiskOfRuin({
+            ...inputs,
+            winRate: inputs.winRate || journalStats?.winRate,
+            payoffRatio: inputs.payoffRatio || journalStats?.payoffRatio
+        });
+
+        if (response.success) {
+            setResult(response.data);
+            setError(null);
+        } else {
+            setResult(null);
+            setError(response.error);
+        }
+
+        setIsCalculating(false);
+    };
+
+    // Event handler
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        calculateRuin();
+    };
+
+    // Clear form data
+    function clearData(e) {
+        if (e && e.preventDefault) e.preventDefault();
+        setInputs(EMPTY_INPUTS);
+        setResult(null);
+        setError(null);
+    }
+
+    const ruinRisk = result ? parseFloat(result.riskOfRuin) : 0;
+
+    return (
+        <div className="calculator-card">
+            <div className="calculator-header">
+                <h2 className="calculator-title">Risk of Ruin Calculator</h2>
+                <p className="calculator-subtitle">
+                    Chance of a ruinous drawdown, the losing streak to expect and what it takes to recover.
+                </p>
+            </div>
+
+            <form className="calculator-form" onSubmit={handleSubmit}>
+                <FormInput
+                    label="Win Rate"
+                    value={inputs.winRate}
+                    onChange={(e) => updateInput('winRate', e.target.value)}
+                    placeholder={journalStats?.winRate || '50'}
+                    step="0.1"
+                    suffix="%"
+                    required={!journalStats}
+                />
+
+                <FormInput
+                    label="Payoff Ratio (avg win / avg loss)"
+                    value={inputs.payoffRatio}
+                    onChange={(e) => updateInput('payoffRatio', e.target.value)}
+                    placeholder={journalStats?.payoffRatio || '2'}
+                    step="0.1"
+                    required={!journalStats}
+                />
+
+                <FormInput
+                    label="Risk Per Trade"
+                    value={inputs.riskPercent}
+                    onChange={(e) => updateInput('riskPercent', e.target.value)}
+                    placeholder="2"
+                    step="0.1"
+                    suffix="%"
+                    required
+                />
+
+                <FormInput
+                    label="Ruin at Loss of"
+                    value={inputs.ruinPercent}
+                    onChange={(e) => updateInput('ruinPercent', e.target.value)}
+                    placeholder={String(TRADING_LIMITS.DEFAULT_RUIN_DRAWDOWN)}
+                    step="1"
+                    suffix="%"
+                />
+
+                <FormInput
+                    label="Trades (for losing streak)"
+                    value={inputs.tradeCount}
+                    onChange={(e) => updateInput('tradeCount', e.target.value)}
+                    placeholder={String(TRADING_LIMITS.DEFAULT_SIMULATED_TRADES)}
+                    step="1"
+                />
+
+                <FormInput
+                    label="Drawdown to Recover (optional)"
+                    value={inputs.drawdownPercent}
+                    onChange={(e) => updateInput('drawdownPercent', e.target.value)}
+                    placeholder="20"
+                    step="1"
+                    suffix="%"
+                />
+
+                {journalStats && (
+                    <p className="option-strategy-hint">
+                        Blank win rate and payoff use the journal ({journalStats.tradeCount} closed trades).
+                    </p>
+                )}
+
+                <div className="button-group">
+                    <Button
+                        type="submit"
+                        variant="primary"
+                        disabled={isCalculating}
+                    >
+                        {isCalculating ? 'Calculating...' : 'Calculate Risk of Ruin'}
+                    </Button>
+                    <Button
+                        type="button"
+                        onClick={clearData}
+                        variant="secondary"
+                        disabled={isCalculating}
+                    >
+                        Clear
+                    </Button>
+                </div>
+            </form>
+
+            {result && (
+                <div className={`results-card ${ruinRisk < 1 ? 'success' : 'warning'}`}>
+                    <h3 className="results-title">Results</h3>
+                    <div className="results-grid">
+                        <div className="result-item">
+                            <span className="result-label">Risk of Ruin ({result.ruinPercent}% loss)</span>
+                            <span className={`result-value ${ruinRisk < 1 ? 'success' : 'risk'}`}>{result.riskOfRuin}%</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Expectancy</span>
+                            <span className="result-value">{result.expectancyR}R</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Expected Growth / Trade</span>
+                            <span className="result-value">{result.expectedGrowthPercent}%</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Max Losing Streak ({result.tradeCount} trades)</span>
+                            <span className="result-value warning">{result.expectedMaxLosingStreak}</span>
+                        </div>
+                        <div className="result-item">
+                            <span className="result-label">Drawdown From That Streak</span>
+                            <span className="result-value risk">{result.streakDrawdownPercent}%</span>
+                        </div>
+                        {result.drawdownPercent !== null && (
+                            <>
+                                <div className="result-item">
+                                    <span className="result-label">Gain to Recover {result.drawdownPercent}%</span>
+                                    <span className="result-value">{result.recoveryGainPercent}%</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Trades to Recover (expected)</span>
+                                    <span className="result-value">{result.tradesToRecover ?? 'Never'}</span>
+                                </div>
+                            </>
+                        )}
+                    </div>
+
+                    <table className="strategy-table">
+                        <caption>Style risk levels</caption>
+                        <thead>
+                            <tr>
+                                <th>Style</th>
+                                <th>Risk</th>
+                                <th>Risk of Ruin</th>
+                                <th>Streak Drawdown</th>
+                                {result.drawdownPercent !== null && <th>Trades to Recover</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.styles.map((style) => (
+                                <tr key={style.id} className={style.riskPercent === result.riskPercent ? 'selected' : ''}>
+                                    <td>{style.icon} {style.label}</td>
+                                    <td>{style.riskPercent}%</td>
+                                    <td>{style.riskOfRuin}%</td>
+                                    <td>{style.streakDrawdownPercent}%</td>
+                                    {result.drawdownPercent !== null && <td>{style.tradesToRecover ?? 'Never'}</td>}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <InfoBadge
+                        message={parseFloat(result.expectancyR) <= 0
+                            ? 'Negative expectancy: ruin is only a matter of time at any risk level.'
+                            : ruinRisk < 1
+                                ? 'Risk of ruin is below 1% at this risk per trade.'
+                                : 'Risk of ruin is 1% or more. Consider risking less per trade.'}
+                        variant={ruinRisk < 1 && parseFloat(result.expectancyR) > 0 ? 'success' : 'warning'}
+                    />
+                    <p className="trading-costs-hint">
+                        Risk of ruin is over an unlimited number of trades, risking a fixed percent of current equity.
+                    </p>
+                </div>
+            )}
+
+            <ErrorMessage message={error} />
+        </div>
+    );
+}
+
+export default RiskOfRuinCalculator;
@@ -1,21 +1,66 @@
 import { useState, useEffect, useRef } from 'react';
-import { calculateRiskReward } from '../utils/tradingCalculators';
+import { calculateScaleOutPlan } from '../utils/tradingCalculators';
 import { useDebounce } from '../hooks/useDebounce';
-import { TRADING_LIMITS, VALIDATION_MESSAGES } from '../constants/tradingLimits';
+import { useTradingCosts } from '../hooks/useTradingCosts';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { TRADING_LIMITS, VALIDATION_MESSAGES, formatCurrency, getCurrencySymbol } from '../constants/tradingLimits';
 import Button from './Button';
 import FormInput from './FormInput';
 import ErrorMessage from './ErrorMessage';
 import InfoBadge from './InfoBadge';
 import RelationshipError from './RelationshipError';
+import TradingCostsFields from './TradingCostsFields';
+import CurrencyFields from './CurrencyFields';
+import TradeManagementPlanner from './TradeManagementPlanner';
+import PayoffChart from './PayoffChart';
+import MonteCarloSimulator from './MonteCarloSimulator';
+
+const createTarget = (allocation = '') => ({ price: '', allocation });
+
+// Blank rules fall back to the planner defaults
+const EMPTY_MANAGEMENT = { breakEvenAtR: '', trailStepR: '', trailDistanceR: '' };
+
+// Allocations only need to add up once every row has one
+const validateAllocations = (targetList) => {
+    if (targetList.some(target => target.allocation === '')) return null;
+
+    const total = targetList.reduce((sum, target) => sum + parseFloat(target.allocation), 0);
+    if (isNaN(total)) return VALIDATION_MESSAGES.MUST_BE_NUMBER;
+    if (Math.abs(total - 100) > 0.01) return `Allocations must add up to 100% (currently ${parseFloat(total.toFixed(2))}%)`;
+
+    return null;
+};
+
+// First target price that fails `validate`, labelled with its row when there are several
+const findTargetError = (targetList, validate) => {
+    for (let index = 0; index < targetList.length; index++) {
+        const targetError = validate(targetList[index].price);
+        if (targetError) {
+            return targetList.length > 1 ? `Target ${index + 1}: ${targetError}` : targetError;
+        }
+    }
+    return null;
+};
 
 function RiskRewardCalculator() {
     // State management
     const [entryPrice, setEntryPrice] = useState('');
     const [stopLoss, setStopLoss] = useState('');
-    const [targetPrice, setTargetPrice] = useState('');
+    // Scale-out plan: each target closes `allocation` % of the position
+    const [targets, setTargets] = useState([createTarget('100')]);
+    const [shares, setShares] = useState('');
     const [result, setResult] = useState(null);
     const [error, setError] = useState(null);
     const [isCalculating, setIsCalculating] = useState(false);
+    const { costs, updateCost, hasCosts } = useTradingCosts();
+    // Prices, per-share amounts and share P&L are all in the instrument's quote currency;
+    // trading costs are in the account currency, as in the position size calculator
+    const {
+        accountCurrency, quoteCurrency, fxRate, fxRateUpdatedAt, updateCurrency, updateFxRate
+    } = useCurrency();
+    const priceSymbol = getCurrencySymbol(quoteCurrency);
+    const formatMoney = (value) => formatCurrency(value, quoteCurrency);
+    const [management, setManagement] = useState(EMPTY_MANAGEMENT);
 
     // Refs for focus management
     const entryRef = useRef(null);
@@ -25,13 +70,15 @@ function RiskRewardCalculator() {
     // Debounced values - validation only runs after user stops typing (300ms delay)
     const debouncedEntry = useDebounce(entryPrice, 300);
     const debouncedStop = useDebounce(stopLoss, 300);
-    const debouncedTarget = useDebounce(targetPrice, 300);
+    const debouncedTargets = useDebounce(targets, 300);
+    const debouncedShares = useDebounce(shares, 300);
 
-    // Field-specific error state
+    // Field-specific error state (one target error per row)
     const [errors, setErrors] = useState({
         entry: null,
         stop: null,
-        target: null,
+        targets: [],
+        allocation: null,
         relationship: null
     });
 
@@ -104,29 +151,27 @@ function RiskRewardCalculator() {
 
     // Debounced validation - only runs after user stops typing
     useEffect(() => {
-        const entryError = validateEntry(debouncedEntry);
-        const stopError = validateStop(debouncedStop, debouncedEntry);
-        const targetError = validateTarget(debouncedTarget);
-        const relationshipError = validateRelationship(debouncedEntry, debouncedStop, debouncedTarget);
-
         setErrors({
-            entry: entryError,
-            stop: stopError,
-            target: targetError,
-            relationship: relationshipError
+            entry: validateEntry(debouncedEntry),
+            stop: validateStop(debouncedStop, debouncedEntry),
+            targets: debouncedTargets.map(target => validateTarget(target.price)),
+            allocation: validateAllocations(debouncedTargets),
+            relationship: findTargetError(debouncedTargets, (price) => validateRelationship(debouncedEntry, debouncedStop, price))
         });
-    }, [debouncedEntry, debouncedStop, debouncedTarget]);
+    }, [debouncedEntry, debouncedStop, debouncedTargets]);
 
     // Error focus management - focus first field with error
+    // (depends on strings only; the targets array is rebuilt on every validation pass)
+    const firstTargetError = errors.targets[0];
     useEffect(() => {
         if (errors.entry && entryRef.current) {
             entryRef.current.focus();
         } else if (errors.stop && stopRef.current) {
             stopRef.current.focus();
-        } else if (errors.target && targetRef.current) {
+        } else if (firstTargetError && targetRef.current) {
             targetRef.current.focus();
         }
-    }, [errors.entry, errors.stop, errors.target]);
+    }, [errors.entry, errors.stop, firstTargetError]);
 
     // Simplified handlers - just update state, validation happens automatically via debounce
     const handleEntryChange = (e) => {
@@ -137,15 +182,29 @@ function RiskRewardCalculator() {
         setStopLoss(e.target.value);
     };
 
-    const handleTargetChange = (e) => {
-        setTargetPrice(e.target.value);
+    const handleTargetChange = (index, field, value) => {
+        setTargets(prev => prev.map((target, i) => (i === index ? { ...target, [field]: value } : target)));
     };
 
-    // Check if form has any errors
-    const hasErrors = () => {
-        return errors.entry || errors.stop || errors.target || errors.relationship;
+    // New targets get whatever allocation is left
+    const addTarget = () => {
+        setTargets(prev => {
+            const used = prev.reduce((sum, target) => sum + (parseFloat(target.allocation) || 0), 0);
+            return [...prev, createTarget(used < 100 ? String(parseFloat((100 - used).toFixed(2))) : '')];
+        });
+    };
+
+    const removeTarget = (index) => {
+        setTargets(prev => prev.filter((_, i) => i !== index));
     };
 
+    // Check if form has any errors
+    const hasFieldErrors = (fieldErrors) =>
+        fieldErrors.entry || fieldErrors.stop || fieldErrors.targets.some(Boolean) ||
+        fieldErrors.allocation || fieldErrors.relationship;
+
+    const hasErrors = () => hasFieldErrors(errors);
+
     // Calculation logic using centralized API handler
     const calculateRR = async () => {
         // Set loading state
@@ -155,28 +214,31 @@ function RiskRewardCalculator() {
         await new Promise(resolve => setTimeout(resolve, 100));
 
         // Final validation before calculation
-        const entryError = validateEntry(entryPrice);
-        const stopError = validateStop(stopLoss, entryPrice);
-        const targetError = validateTarget(targetPrice);
-        const relationshipError = validateRelationship(entryPrice, stopLoss, targetPrice);
-
-        if (entryError || stopError || targetError || relationshipError) {
-            setErrors({
-                entry: entryError,
-                stop: stopError,
-                target: targetError,
-                relationship: relationshipError
-            });
+        const fieldErrors = {
+            entry: validateEntry(entryPrice),
+            stop: validateStop(stopLoss, entryPrice),
+            targets: targets.map(target => validateTarget(target.price)),
+            allocation: validateAllocations(targets),
+            relationship: findTargetError(targets, (price) => validateRelationship(entryPrice, stopLoss, price))
+        };
+
+        if (hasFieldErrors(fieldErrors)) {
+            setErrors(fieldErrors);
             setResult(null);
             setError('Please fix the errors above before calculating');
             setIsCalculating(false);
             return;
         }
 
-        const response = calculateRiskReward({
+        const response = calculateScaleOutPlan({
             entryPrice,
             stopLoss,
-            targetPrice
+            targets,
+            shares,
+            costs,
+            accountCurrency,
+            quoteCurrency,
+            fxRate
         });
 
         if (response.success) {
@@ -201,13 +263,15 @@ function RiskRewardCalculator() {
         if (e && e.preventDefault) e.preventDefault();
         setEntryPrice('');
         setStopLoss('');
-        setTargetPrice('');
+        setTargets([createTarget('100')]);
+        setShares('');
         setResult(null);
         setError(null);
         setErrors({
             entry: null,
             stop: null,
-            target: null,
+            targets: [],
+            allocation: null,
             relationship: null
         });
     }
@@ -216,7 +280,9 @@ function RiskRewardCalculator() {
         <div className="calculator-card">
             <div className="calculator-header">
                 <h2 className="calculator-title">Risk/Reward Calculator</h2>
-                <p className="calculator-subtitle">Analyze your trade setup with risk-to-reward ratio</p>
+                <p className="calculator-subtitle">
+                    Analyze your trade setup with risk-to-reward ratio. Add targets to plan a scale-out.
+                </p>
             </div>
 
             <form className="calculator-form" onSubmit={handleSubmit}>
@@ -228,7 +294,7 @@ function RiskRewardCalculator() {
                     error={errors.entry}
                     placeholder="50.00"
                     step="0.01"
-                    prefix="$"
+                    prefix={priceSymbol}
                     required
                 />
 
@@ -240,23 +306,82 @@ function RiskRewardCalculator() {
                     error={errors.stop}
                     placeholder="48.00"
                     step="0.01"
-                    prefix="$"
+                    prefix={priceSymbol}
                     required
                 />
 
+                {targets.map((target, index) => (
+                    <div key={index} className="target-row">
+                        <FormInput
+                            ref={index === 0 ? targetRef : undefined}
+                            label={targets.length > 1 ? `Target ${index + 1}` : 'Target Price'}
+                            value={target.price}
+                            onChange={(e) => handleTargetChange(index, 'price', e.target.value)}
+                            error={errors.targets[index]}
+                            placeholder="56.00"
+                            step="0.01"
+                            prefix={priceSymbol}
+                            required
+                        />
+                        <FormInput
+                            label="Exit %"
+                            value={target.allocation}
+                            onChange={(e) => handleTargetChange(index, 'allocation', e.target.value)}
+                            placeholder="100"
+                            step="1"
+                            suffix="%"
+                            required
+                        />
+                        {targets.length > 1 && (
+                            <button
+                                type="button"
+                                className="target-remove"
+                                onClick={() => removeTarget(index)}
+                                aria-label={`Remove target ${index + 1}`}
+                            >
+                                ×
+                            </button>
+                        )}
+                    </div>
+                ))}
+
+                <button type="button" className="target-add" onClick={addTarget}>
+                    + Add Target
+                </button>
+
                 <FormInput
-                    ref={targetRef}
-                    label="Target Price"
-                    value={targetPrice}
-                    onChange={handleTargetChange}
-                    error={errors.target}
-                    placeholder="56.00"
-                    step="0.01"
-                    prefix="$"
-                    required
+                    label="Shares (optional, for total P&L)"
+                    value={shares}
+                    onChange={(e) => setShares(e.target.value)}
+                    placeholder="100"
+                    step="1"
                 />
 
-                <RelationshipError message={errors.relationship} />
+                <CurrencyFields
+                    accountCurrency={accountCurrency}
+                    quoteCurrency={quoteCurrency}
+                    fxRate={fxRate}
+                    fxRateUpdatedAt={fxRateUpdatedAt}
+                    onCurrencyChange={updateCurrency}
+                    onFxRateChange={updateFxRate}
+                />
+
+                <TradingCostsFields
+                    costs={costs}
+                    onChange={updateCost}
+                    hasCosts={hasCosts}
+                    currencySymbol={getCurrencySymbol(accountCurrency)}
+                />
+
+                <TradeManagementPlanner
+                    entryPrice={debouncedEntry}
+                    stopLoss={debouncedStop}
+                    targets={debouncedTargets}
+                    settings={management}
+                    onSettingsChange={(field, value) => setManagement(prev => ({ ...prev, [field]: value }))}
+                />
+
+                <RelationshipError message={errors.allocation || errors.relationship} />
 
                 <div className="button-group">
                     <Button
@@ -277,6 +402,13 @@ function RiskRewardCalculator() {
                 </div>
             </form>
 
+            <PayoffChart
+                entryPrice={debouncedEntry}
+                stopLoss={debouncedStop}
+                targets={debouncedTargets}
+                shares={debouncedShares}
+            />
+
             {result && (
                 <div className={`results-card ${result.isValidTrade ? 'success' : 'warning'}`}>
                     <h3 className="results-title">Results</h3>
@@ -286,20 +418,91 @@ function RiskRewardCalculator() {
                             <span className="result-value">{result.positionType}</span>
                         </div>
                         <div className="result-item">
-                            <span className="result-label">R:R Ratio</span>
+                            <span className="result-label">{result.targets.length > 1 ? 'Blended R:R' : 'R:R Ratio'}</span>
                             <span className={`result-value ${result.isValidTrade ? 'success' : 'warning'}`}>
-                                1:{result.rrRatio}
+                                1:{result.blendedRR}
                             </span>
                         </div>
                         <div className="result-item">
                             <span className="result-label">Risk Per Share</span>
-                            <span className="result-value risk">${result.riskPerShare}</span>
+                            <span className="result-value risk">{formatMoney(result.riskPerShare)}</span>
                         </div>
                         <div className="result-item">
-                            <span className="result-label">Reward Per Share</span>
-                            <span className="result-value success">${result.rewardPerShare}</span>
+                            <span className="result-label">{result.targets.length > 1 ? 'Avg Reward Per Share' : 'Reward Per Share'}</span>
+                            <span className="result-value success">{formatMoney(result.weightedRewardPerShare)}</span>
                         </div>
+                        {result.riskAmount !== null && (
+                            <>
+                                <div className="result-item">
+                                    <span className="result-label">Total Risk</span>
+                                    <span className="result-value risk">{formatMoney(result.riskAmount)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Total P&L at Targets</span>
+                                    <span className="result-value success">{formatMoney(result.totalPnl)}</span>
+                                </div>
+                            </>
+                        )}
+                        {hasCosts && (
+                            <>
+                                <div className="result-item">
+                                    <span className="result-label">Net R:R (after costs)</span>
+                                    <span className="result-value">1:{result.netBlendedRR}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Net Risk Per Share</span>
+                                    <span className="result-value risk">{formatMoney(result.netRiskPerShare)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Net Reward Per Share</span>
+                                    <span className="result-value success">{formatMoney(result.netWeightedRewardPerShare)}</span>
+                                </div>
+                                {result.netRiskAmount !== null && (
+                                    <>
+                                        <div className="result-item">
+                                            <span className="result-label">Net Total Risk</span>
+                                            <span className="result-value risk">{formatMoney(result.netRiskAmount)}</span>
+                                        </div>
+                                        <div className="result-item">
+                                            <span className="result-label">Net P&L at Targets</span>
+                                            <span className="result-value success">{formatMoney(result.netTotalPnl)}</span>
+                                        </div>
+                                    </>
+                                )}
+                            </>
+                        )}
                     </div>
+                    {hasCosts && result.riskAmount === null && parseFloat(costs.commissionPerTrade) > 0 && (
+                        <p className="trading-costs-hint">Enter shares to include the per-trade commission.</p>
+                    )}
+                    {result.targets.length > 1 && (
+                        <table className="scale-out-table">
+                            <thead>
+                                <tr>
+                                    <th>Target</th>
+                                    <th>Exit</th>
+                                    <th>R:R</th>
+                                    <th>Reward/Share</th>
+                                    {hasCosts && <th>Net/Share</th>}
+                                    {result.riskAmount !== null && <th>Shares</th>}
+                                    {result.riskAmount !== null && <th>P&L</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.targets.map((target, index) => (
+                                    <tr key={index}>
+                                        <td>{priceSymbol}{target.price}</td>
+                                        <td>{target.allocation}%</td>
+                                        <td>1:{target.rrRatio}</td>
+                                        <td>{formatMoney(target.rewardPerShare)}</td>
+                                        {hasCosts && <td>{formatMoney(target.netRewardPerShare)}</td>}
+                                        {target.shares !== null && <td>{target.shares}</td>}
+                                        {target.pnl !== null && <td>{formatMoney(target.pnl)}</td>}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                     <InfoBadge
                         message={!result.isValidTrade
                             ? "R:R ratio is below 1:1. Consider adjusting your targets for better risk management."
@@ -310,6 +513,8 @@ function RiskRewardCalculator() {
             )}
 
             <ErrorMessage message={error} />
+
+            <MonteCarloSimulator rrRatio={result?.blendedRR} />
         </div>
     );
 }
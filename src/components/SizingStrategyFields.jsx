@@ -0,0 +1,93 @@
+import { memo, useState } from 'react';
+import FormInput from './FormInput';
+import { DEFAULT_KELLY_FRACTION } from '../constants/sizingStrategies';
+
+/**
+ * Collapsible inputs for the Kelly, fixed-ratio and fixed-dollar sizing strategies
+ * Kelly falls back to the journal's win rate and payoff when left blank
+ * @param {Object} props - Component properties
+ * @param {Object} props.inputs - { winRate, payoffRatio, kellyFraction, startingBalance, delta, unitsPerLevel, fixedDollarRisk }
+ * @param {Function} props.onChange - (field, value) => void
+ * @param {Object|null} props.journalStats - { winRate, payoffRatio, tradeCount } from closed journal trades
+ * @param {string} [props.currencySymbol] - Account currency symbol for the balance and risk inputs
+ */
+function SizingStrategyFields({ inputs, onChange, journalStats, currencySymbol = '$' }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="trading-costs">
+            <button
+                type="button"
+                className="trading-costs-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+            >
+                {isOpen ? '▾' : '▸'} Sizing Strategy Inputs (Kelly, Fixed Ratio, Fixed Dollar)
+            </button>
+
+            {isOpen && (
+                <div className="trading-costs-grid">
+                    <FormInput
+                        label="Win Rate"
+                        value={inputs.winRate}
+                        onChange={(e) => onChange('winRate', e.target.value)}
+                        placeholder={journalStats ? journalStats.winRate : '50'}
+                        step="0.1"
+                        suffix="%"
+                    />
+                    <FormInput
+                        label="Payoff (avg win / avg loss)"
+                        value={inputs.payoffRatio}
+                        onChange={(e) => onChange('payoffRatio', e.target.value)}
+                        placeholder={journalStats ? journalStats.payoffRatio : '2'}
+                        step="0.1"
+                    />
+                    <FormInput
+                        label="Kelly Fraction"
+                        value={inputs.kellyFraction}
+                        onChange={(e) => onChange('kellyFraction', e.target.value)}
+                        placeholder={String(DEFAULT_KELLY_FRACTION)}
+                        step="0.05"
+                        suffix="×"
+                    />
+                    <FormInput
+                        label="Fixed Dollar Risk"
+                        value={inputs.fixedDollarRisk}
+                        onChange={(e) => onChange('fixedDollarRisk', e.target.value)}
+                        placeholder="200"
+                        prefix={currencySymbol}
+                    />
+                    <FormInput
+                        label="Fixed Ratio Starting Balance"
+                        value={inputs.startingBalance}
+                        onChange={(e) => onChange('startingBalance', e.target.value)}
+                        placeholder="10000"
+                        prefix={currencySymbol}
+                    />
+                    <FormInput
+                        label="Fixed Ratio Delta"
+                        value={inputs.delta}
+                        onChange={(e) => onChange('delta', e.target.value)}
+                        placeholder="1000"
+                        prefix={currencySymbol}
+                    />
+                    <FormInput
+                        label="Units per Level"
+                        value={inputs.unitsPerLevel}
+                        onChange={(e) => onChange('unitsPerLevel', e.target.value)}
+                        placeholder="1"
+                        step="any"
+                    />
+                    <p className="trading-costs-hint">
+                        {journalStats
+                            ? `Kelly uses your journal (${journalStats.tradeCount} closed trades) unless you enter a win rate and payoff.`
+                            : 'Close executed trades in the journal to fill Kelly from your own win rate and payoff.'}
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(SizingStrategyFields);
@@ -0,0 +1,92 @@
+import { memo, useMemo, useState } from 'react';
+import Button from '../Button';
+import { isJournalTradeClosed } from '../../selectors/journalSelectors';
+import { analyzeCheckCompliance, findRecommendationViolations } from '../../utils/complianceAnalytics';
+
+const TIER_LABELS = {
+    higherTF: 'Higher Timeframe (Context)',
+    midTF: 'Mid Timeframe (Setup)',
+    lowerTF: 'Lower Timeframe (Entry)'
+};
+
+const formatSide = (stats) =>
+    stats ? `${stats.tradeCount} · ${stats.winRate}% · ${stats.expectancy}R` : '—';
+
+/**
+ * Checklist compliance report
+ * Shows which checks separate winners from losers, and flags executions
+ * that went against the position size recommendation
+ * @param {Object} props - Component properties
+ * @param {Array} props.entries - Journal records
+ */
+function ComplianceReport({ entries }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const closedEntries = useMemo(() => entries.filter(isJournalTradeClosed), [entries]);
+    const report = useMemo(() => analyzeCheckCompliance(closedEntries), [closedEntries]);
+    const violations = useMemo(() => findRecommendationViolations(entries), [entries]);
+
+    return (
+        <div className="journal-compliance">
+            <div className="journal-compliance-header">
+                <h3 className="results-title">Checklist Compliance</h3>
+                <Button type="button" variant="secondary" onClick={() => setIsOpen(!isOpen)}>
+                    {isOpen ? 'Hide Report' : `Show Report${violations.length ? ` (${violations.length} ⚠️)` : ''}`}
+                </Button>
+            </div>
+
+            {isOpen && (
+                <>
+                    {closedEntries.length === 0 ? (
+                        <p className="journal-empty">Close executed trades to compare outcomes per check.</p>
+                    ) : (
+                        Object.entries(report).map(([tier, rows]) => (
+                            <table key={tier} className="journal-stats-table journal-compliance-table">
+                                <caption>{TIER_LABELS[tier]}</caption>
+                                <thead>
+                                    <tr>
+                                        <th>Check</th>
+                                        <th>Passed (n · win · exp)</th>
+                                        <th>Failed (n · win · exp)</th>
+                                        <th>Edge</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map((row) => (
+                                        <tr key={row.id}>
+                                            <td>{row.label}</td>
+                                            <td>{formatSide(row.passed)}</td>
+                                            <td>{formatSide(row.failed)}</td>
+                                            <td className={row.expectancyEdge > 0 ? 'win' : row.expectancyEdge < 0 ? 'loss' : ''}>
+                                                {row.expectancyEdge !== null ? `${row.expectancyEdge}R` : '—'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        ))
+                    )}
+
+                    <h4 className="journal-compliance-subtitle">Recommendation Violations</h4>
+                    {violations.length === 0 ? (
+                        <p className="journal-empty">No executed trades contradict the position recommendation.</p>
+                    ) : (
+                        <ul className="journal-violations">
+                            {violations.map(({ entry, reason }) => (
+                                <li key={entry.id}>
+                                    <strong>{entry.ticker || '—'}</strong>{' '}
+                                    <span className="journal-date">{new Date(entry.timestamp).toLocaleDateString()}</span>
+                                    {' — '}{reason}
+                                    {entry.outcome && ` (${entry.outcome.rMultiple}R)`}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(ComplianceReport);
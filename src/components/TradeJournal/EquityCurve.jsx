@@ -0,0 +1,257 @@
+import { memo, useState } from 'react';
+import Button from '../Button';
+import FormInput from '../FormInput';
+import { useAccount } from '../../contexts/AccountContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { formatCurrency, getCurrencySymbol } from '../../constants/tradingLimits';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 8;
+
+const EMPTY_TRANSACTION = { type: 'deposit', amount: '', date: '', note: '' };
+
+// A tier cuts risk; it can't stop trading outright (0×) or raise it (1× and up)
+const getMultiplierError = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const multiplier = parseFloat(value);
+    return multiplier > 0 && multiplier < 1 ? null : 'Must be above 0 and below 1';
+};
+
+/**
+ * Balance (solid) and running peak (dashed) as SVG polylines, one step per event
+ * @param {Object} props - Component properties
+ * @param {Array} props.points - Equity curve points ({ balance, peak })
+ */
+function EquityChart({ points }) {
+    const values = points.flatMap(point => [point.balance, point.peak]);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const stepX = points.length > 1 ? (CHART_WIDTH - CHART_PADDING * 2) / (points.length - 1) : 0;
+
+    const toPolyline = (key) => points
+        .map((point, index) => {
+            const x = CHART_PADDING + index * stepX;
+            const y = CHART_HEIGHT - CHART_PADDING - ((point[key] - min) / range) * (CHART_HEIGHT - CHART_PADDING * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(' ');
+
+    return (
+        <svg
+            className="equity-chart"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            role="img"
+            aria-label="Account equity curve"
+        >
+            <polyline className="equity-chart-peak" points={toPolyline('peak')} />
+            <polyline className="equity-chart-balance" points={toPolyline('balance')} />
+        </svg>
+    );
+}
+
+/**
+ * Account equity curve with deposits/withdrawals and drawdown risk rules
+ * Closed trades count once their outcome has a dollar P&L
+ */
+function EquityCurve() {
+    const {
+        transactions,
+        equity,
+        drawdownRules,
+        drawdownThrottle,
+        error,
+        addTransaction,
+        removeTransaction,
+        updateDrawdownRules
+    } = useAccount();
+    const { accountCurrency } = useCurrency();
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(() => ({ ...EMPTY_TRANSACTION, date: new Date().toISOString().split('T')[0] }));
+    const [draftError, setDraftError] = useState(null);
+
+    const updateDraft = (field, value) => {
+        setDraft(prev => ({ ...prev, [field]: value }));
+        setDraftError(null);
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+
+        if (!(parseFloat(draft.amount) > 0)) {
+            setDraftError('Amount must be greater than zero');
+            return;
+        }
+        if (!draft.date) {
+            setDraftError('Date is required');
+            return;
+        }
+
+        if (addTransaction({ ...draft, amount: parseFloat(draft.amount) })) {
+            setDraft(prev => ({ ...EMPTY_TRANSACTION, date: prev.date }));
+        }
+    };
+
+    const updateTier = (index, field, value) => {
+        updateDrawdownRules({
+            ...drawdownRules,
+            tiers: drawdownRules.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+        });
+    };
+
+    return (
+        <div className="journal-compliance journal-equity">
+            <div className="journal-compliance-header">
+                <h3 className="results-title">Account Equity</h3>
+                <Button type="button" variant="secondary" onClick={() => setIsOpen(!isOpen)}>
+                    {isOpen ? 'Hide' : `Show${drawdownThrottle ? ' (risk cut ⚠️)' : ''}`}
+                </Button>
+            </div>
+
+            {isOpen && (
+                <>
+                    {equity ? (
+                        <>
+                            <div className="results-grid journal-stats-grid">
+                                <div className="result-item">
+                                    <span className="result-label">Balance</span>
+                                    <span className="result-value">{formatCurrency(equity.currentBalance, accountCurrency)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Trading P&L</span>
+                                    <span className={`result-value ${equity.tradingPnl >= 0 ? 'success' : 'risk'}`}>
+                                        {formatCurrency(equity.tradingPnl, accountCurrency)}
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Net Deposits</span>
+                                    <span className="result-value">{formatCurrency(equity.netDeposits, accountCurrency)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Peak</span>
+                                    <span className="result-value">{formatCurrency(equity.peakBalance, accountCurrency)}</span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Drawdown</span>
+                                    <span className={`result-value ${equity.currentDrawdownPercent > 0 ? 'risk' : ''}`}>
+                                        {equity.currentDrawdownPercent}%
+                                    </span>
+                                </div>
+                                <div className="result-item">
+                                    <span className="result-label">Max Drawdown</span>
+                                    <span className="result-value risk">{equity.maxDrawdownPercent}%</span>
+                                </div>
+                            </div>
+                            <EquityChart points={equity.points} />
+                        </>
+                    ) : (
+                        <p className="journal-empty">Add a deposit to start the equity curve.</p>
+                    )}
+
+                    <form className="journal-edit-row journal-equity-form" onSubmit={handleAdd}>
+                        <select
+                            className="form-input"
+                            value={draft.type}
+                            onChange={(e) => updateDraft('type', e.target.value)}
+                            aria-label="Transaction type"
+                        >
+                            <option value="deposit">Deposit</option>
+                            <option value="withdrawal">Withdrawal</option>
+                        </select>
+                        <FormInput
+                            label="Amount"
+                            value={draft.amount}
+                            onChange={(e) => updateDraft('amount', e.target.value)}
+                            placeholder="10000"
+                            step="0.01"
+                            prefix={getCurrencySymbol(accountCurrency)}
+                        />
+                        <FormInput
+                            label="Date"
+                            type="date"
+                            value={draft.date}
+                            onChange={(e) => updateDraft('date', e.target.value)}
+                        />
+                        <FormInput
+                            label="Note"
+                            type="text"
+                            value={draft.note}
+                            onChange={(e) => updateDraft('note', e.target.value)}
+                            placeholder="Optional"
+                        />
+                        <Button type="submit" variant="primary">Add</Button>
+                    </form>
+                    {(draftError || error) && <span className="field-error">{draftError || error}</span>}
+
+                    {transactions.length > 0 && (
+                        <table className="journal-stats-table journal-compliance-table">
+                            <caption>Deposits & Withdrawals</caption>
+                            <tbody>
+                                {transactions.map((transaction) => (
+                                    <tr key={transaction.id}>
+                                        <td>{transaction.date}{transaction.note && ` · ${transaction.note}`}</td>
+                                        <td className={transaction.type === 'deposit' ? 'win' : 'loss'}>
+                                            {transaction.type === 'deposit' ? '+' : '−'}{formatCurrency(transaction.amount, accountCurrency)}
+                                        </td>
+                                        <td>
+                                            <button
+                                                type="button"
+                                                className="journal-equity-remove"
+                                                onClick={() => removeTransaction(transaction.id)}
+                                                aria-label={`Remove ${transaction.type} of ${transaction.date}`}
+                                            >
+                                                ✕
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    <h4 className="journal-compliance-subtitle">Drawdown Risk Rules</h4>
+                    <label className="journal-equity-toggle">
+                        <input
+                            type="checkbox"
+                            checked={drawdownRules.enabled}
+                            onChange={(e) => updateDrawdownRules({ ...drawdownRules, enabled: e.target.checked })}
+                        />
+                        Cut the checklist's recommended risk while in drawdown
+                    </label>
+                    {drawdownRules.enabled && (
+                        <>
+                            {drawdownRules.tiers.map((tier, index) => (
+                                <div key={index} className="journal-edit-row">
+                                    <FormInput
+                                        label="Drawdown From Peak"
+                                        value={tier.drawdownPercent}
+                                        onChange={(e) => updateTier(index, 'drawdownPercent', e.target.value)}
+                                        step="0.5"
+                                        suffix="%"
+                                    />
+                                    <FormInput
+                                        label="Risk Multiplier"
+                                        value={tier.riskMultiplier}
+                                        onChange={(e) => updateTier(index, 'riskMultiplier', e.target.value)}
+                                        error={getMultiplierError(tier.riskMultiplier)}
+                                        step="0.05"
+                                        suffix="×"
+                                    />
+                                </div>
+                            ))}
+                            <p className="journal-outcome-plan">
+                                {drawdownThrottle
+                                    ? `Active: ${drawdownThrottle.drawdownPercent.toFixed(1)}% drawdown crosses ${drawdownThrottle.threshold}%, recommended risk × ${drawdownThrottle.multiplier}.`
+                                    : 'No rule active at the current drawdown.'}
+                            </p>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(EquityCurve);
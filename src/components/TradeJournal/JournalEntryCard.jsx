@@ -0,0 +1,185 @@
+import { memo, useState } from 'react';
+import Button from '../Button';
+import { TIMEFRAME_CONFIGS } from '../../utils/TimeframeConfig';
+import { getCompletionSummary } from '../../selectors/checklistSelectors';
+import { JOURNAL_ACTIONS } from '../../utils/journalStorage';
+import { downloadJournalCsv } from '../../utils/csvExport';
+import { DEFAULT_CURRENCY } from '../../constants/currencies';
+import { formatCurrency, getCurrencySymbol } from '../../constants/tradingLimits';
+import TradeOutcomeForm from './TradeOutcomeForm';
+
+const ACTION_LABELS = {
+    [JOURNAL_ACTIONS.EXECUTE]: 'Executed',
+    [JOURNAL_ACTIONS.PASS]: 'Passed',
+    [JOURNAL_ACTIONS.SAVE]: 'Saved'
+};
+
+/**
+ * Single journal record with inline editing
+ * @param {Object} props - Component properties
+ * @param {Object} props.entry - Journal record
+ * @param {Function} props.onUpdate - (id, changes) => Promise
+ * @param {Function} props.onDelete - (id) => Promise
+ */
+function JournalEntryCard({ entry, onUpdate, onDelete }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [isClosing, setIsClosing] = useState(false);
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [draft, setDraft] = useState({ ticker: entry.ticker, action: entry.action, notes: entry.notes });
+
+    const styleConfig = TIMEFRAME_CONFIGS[entry.tradingStyle] || TIMEFRAME_CONFIGS.swing;
+    const summary = getCompletionSummary(entry.checklist);
+    const { entry: entryPrice, stop, target } = entry.prices;
+    // Entries journaled before currencies were tracked are in the default currency
+    const accountCurrency = entry.positionSize?.accountCurrency || DEFAULT_CURRENCY;
+    const quoteCurrency = entry.positionSize?.quoteCurrency || accountCurrency;
+
+    const startEditing = () => {
+        setDraft({ ticker: entry.ticker, action: entry.action, notes: entry.notes });
+        setIsEditing(true);
+    };
+
+    const handleSave = async () => {
+        const saved = await onUpdate(entry.id, {
+            ticker: draft.ticker.trim().toUpperCase(),
+            action: draft.action,
+            notes: draft.notes
+        });
+        if (saved) setIsEditing(false);
+    };
+
+    const handleCloseTrade = async (outcome) => {
+        const saved = await onUpdate(entry.id, { outcome });
+        if (saved) setIsClosing(false);
+    };
+
+    const handleDelete = () => {
+        if (!showDeleteConfirm) {
+            setShowDeleteConfirm(true);
+            return;
+        }
+
+        onDelete(entry.id);
+        setShowDeleteConfirm(false);
+    };
+
+    return (
+        <div className={`journal-entry ${entry.action}`}>
+            <div className="journal-entry-header">
+                <div className="journal-entry-title">
+                    <span className="journal-ticker">{entry.ticker || '—'}</span>
+                    <span className={`journal-action-badge ${entry.action}`}>
+                        {ACTION_LABELS[entry.action] || entry.action}
+                    </span>
+                    <span className="journal-style">{styleConfig.icon} {styleConfig.label}</span>
+                </div>
+                <span className="journal-date">{new Date(entry.timestamp).toLocaleString()}</span>
+            </div>
+
+            <div className="journal-entry-grid">
+                <div className="journal-stat">
+                    <span className="journal-stat-label">Entry / Stop / Target</span>
+                    <span className="journal-stat-value">
+                        {entryPrice || '—'} / {stop || '—'} / {target || '—'}
+                    </span>
+                </div>
+                <div className="journal-stat">
+                    <span className="journal-stat-label">Position</span>
+                    <span className="journal-stat-value">
+                        {entry.positionSize
+                            ? `${entry.positionSize.positionType} ${entry.positionSize.shares} @ ${formatCurrency(entry.positionSize.riskAmount, accountCurrency)} risk`
+                            : '—'}
+                    </span>
+                </div>
+                <div className="journal-stat">
+                    <span className="journal-stat-label">Checks</span>
+                    <span className="journal-stat-value">
+                        {summary.higher.checks}/{summary.higher.total} · {summary.mid.checks}/{summary.mid.total} · {summary.lower.checks}/{summary.lower.total}
+                    </span>
+                </div>
+                {entry.outcome && (
+                    <div className="journal-stat">
+                        <span className="journal-stat-label">Exit {entry.outcome.exitDate}</span>
+                        <span className={`journal-stat-value ${entry.outcome.rMultiple > 0 ? 'win' : 'loss'}`}>
+                            {getCurrencySymbol(quoteCurrency)}{entry.outcome.exitPrice} · {entry.outcome.rMultiple}R
+                            {entry.outcome.pnl !== null && ` · ${formatCurrency(entry.outcome.pnl, accountCurrency)}`}
+                        </span>
+                    </div>
+                )}
+            </div>
+
+            {isClosing ? (
+                <TradeOutcomeForm
+                    entry={entry}
+                    onSave={handleCloseTrade}
+                    onCancel={() => setIsClosing(false)}
+                />
+            ) : isEditing ? (
+                <div className="journal-edit-form">
+                    <div className="journal-edit-row">
+                        <input
+                            type="text"
+                            className="form-input"
+                            value={draft.ticker}
+                            onChange={(e) => setDraft({ ...draft, ticker: e.target.value })}
+                            placeholder="Ticker"
+                            aria-label="Ticker"
+                        />
+                        <select
+                            className="form-input"
+                            value={draft.action}
+                            onChange={(e) => setDraft({ ...draft, action: e.target.value })}
+                            aria-label="Decision"
+                        >
+                            {Object.values(JOURNAL_ACTIONS).map((action) => (
+                                <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <textarea
+                        className="form-input journal-notes-input"
+                        value={draft.notes}
+                        onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                        placeholder="Notes, lessons, screenshots links..."
+                        rows={3}
+                        aria-label="Notes"
+                    />
+                    <div className="journal-entry-actions">
+                        <Button type="button" variant="primary" onClick={handleSave}>Save</Button>
+                        <Button type="button" variant="secondary" onClick={() => setIsEditing(false)}>Cancel</Button>
+                    </div>
+                </div>
+            ) : (
+                <>
+                    {entry.notes && <p className="journal-notes">{entry.notes}</p>}
+                    <div className="journal-entry-actions">
+                        <Button type="button" variant="secondary" onClick={startEditing}>Edit</Button>
+                        {entry.action === JOURNAL_ACTIONS.EXECUTE && (
+                            <Button type="button" variant="secondary" onClick={() => setIsClosing(true)}>
+                                {entry.outcome ? 'Edit Exit' : 'Close Trade'}
+                            </Button>
+                        )}
+                        <Button
+                            type="button"
+                            variant="secondary"
+                            onClick={() => downloadJournalCsv([entry], `trade-${entry.ticker || entry.id}-${entry.timestamp.split('T')[0]}`)}
+                        >
+                            CSV
+                        </Button>
+                        <Button type="button" variant="secondary" onClick={handleDelete}>
+                            {showDeleteConfirm ? 'Confirm Delete' : 'Delete'}
+                        </Button>
+                        {showDeleteConfirm && (
+                            <Button type="button" variant="secondary" onClick={() => setShowDeleteConfirm(false)}>
+                                Cancel
+                            </Button>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(JournalEntryCard);
@@ -0,0 +1,116 @@
+/**
+ * Trade Journal
+ * Browse, filter and edit every decision recorded from the MTF checklist
+ * Executed trades can be closed out to feed the R-multiple statistics
+ */
+
+import { useState, useMemo } from 'react';
+import { useJournal } from '../../contexts/JournalContext';
+import { filterJournalEntries, getJournalActionCounts } from '../../selectors/journalSelectors';
+import { JOURNAL_ACTIONS } from '../../utils/journalStorage';
+import { TIMEFRAME_CONFIGS } from '../../utils/TimeframeConfig';
+import { downloadJournalCsv } from '../../utils/csvExport';
+import Button from '../Button';
+import ErrorMessage from '../ErrorMessage';
+import JournalEntryCard from './JournalEntryCard';
+import TradeStatistics from './TradeStatistics';
+import ComplianceReport from './ComplianceReport';
+import EquityCurve from './EquityCurve';
+import './TradeJournal.css';
+
+function TradeJournal() {
+    const { entries, isLoading, error, updateEntry, removeEntry } = useJournal();
+    const [filters, setFilters] = useState({ action: 'all', tradingStyle: 'all', ticker: '' });
+
+    const visibleEntries = useMemo(
+        () => filterJournalEntries(entries, filters),
+        [entries, filters]
+    );
+    const actionCounts = useMemo(() => getJournalActionCounts(entries), [entries]);
+
+    const updateFilter = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+    };
+
+    return (
+        <div className="calculator-card trade-journal">
+            <div className="calculator-header">
+                <h2 className="calculator-title">Trade Journal</h2>
+                <p className="calculator-subtitle">
+                    {entries.length} recorded decisions · {actionCounts[JOURNAL_ACTIONS.EXECUTE] || 0} executed ·{' '}
+                    {actionCounts[JOURNAL_ACTIONS.PASS] || 0} passed · {actionCounts[JOURNAL_ACTIONS.SAVE] || 0} saved
+                </p>
+            </div>
+
+            <TradeStatistics entries={entries} />
+            <EquityCurve />
+            <ComplianceReport entries={entries} />
+
+            <div className="journal-filters">
+                <input
+                    type="text"
+                    className="form-input"
+                    value={filters.ticker}
+                    onChange={(e) => updateFilter('ticker', e.target.value)}
+                    placeholder="Filter by ticker"
+                    aria-label="Filter by ticker"
+                />
+                <select
+                    className="form-input"
+                    value={filters.action}
+                    onChange={(e) => updateFilter('action', e.target.value)}
+                    aria-label="Filter by decision"
+                >
+                    <option value="all">All decisions</option>
+                    <option value={JOURNAL_ACTIONS.EXECUTE}>Executed</option>
+                    <option value={JOURNAL_ACTIONS.PASS}>Passed</option>
+                    <option value={JOURNAL_ACTIONS.SAVE}>Saved for later</option>
+                </select>
+                <select
+                    className="form-input"
+                    value={filters.tradingStyle}
+                    onChange={(e) => updateFilter('tradingStyle', e.target.value)}
+                    aria-label="Filter by trading style"
+                >
+                    <option value="all">All styles</option>
+                    {Object.values(TIMEFRAME_CONFIGS).map((config) => (
+                        <option key={config.id} value={config.id}>{config.label}</option>
+                    ))}
+                </select>
+                <Button
+                    type="button"
+                    variant="secondary"
+                    onClick={() => downloadJournalCsv(visibleEntries)}
+                    disabled={visibleEntries.length === 0}
+                >
+                    Export CSV
+                </Button>
+            </div>
+
+            {isLoading ? (
+                <p className="journal-empty">Loading journal...</p>
+            ) : visibleEntries.length === 0 ? (
+                <p className="journal-empty">
+                    {entries.length === 0
+                        ? 'No decisions recorded yet. Execute, pass or save a checklist to start your journal.'
+                        : 'No entries match the current filters.'}
+                </p>
+            ) : (
+                <div className="journal-list">
+                    {visibleEntries.map((entry) => (
+                        <JournalEntryCard
+                            key={entry.id}
+                            entry={entry}
+                            onUpdate={updateEntry}
+                            onDelete={removeEntry}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <ErrorMessage message={error} />
+        </div>
+    );
+}
+
+export default TradeJournal;
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import Button from '../Button';
+import FormInput from '../FormInput';
+import { calculateRMultiple } from '../../utils/tradingCalculators';
+import { getJournalTradePlan } from '../../selectors/journalSelectors';
+import { DEFAULT_CURRENCY } from '../../constants/currencies';
+import { getCurrencySymbol } from '../../constants/tradingLimits';
+
+/**
+ * Close-out form for an executed journal trade
+ * Computes the realized R-multiple against the planned stop
+ * @param {Object} props - Component properties
+ * @param {Object} props.entry - Executed journal record
+ * @param {Function} props.onSave - Receives the outcome object
+ * @param {Function} props.onCancel - Cancel handler
+ */
+function TradeOutcomeForm({ entry, onSave, onCancel }) {
+    const [exitPrice, setExitPrice] = useState(entry.outcome?.exitPrice || '');
+    const [exitDate, setExitDate] = useState(
+        entry.outcome?.exitDate || new Date().toISOString().split('T')[0]
+    );
+    const [error, setError] = useState(null);
+
+    const plan = getJournalTradePlan(entry);
+    const priceSymbol = getCurrencySymbol(entry.positionSize?.quoteCurrency || DEFAULT_CURRENCY);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (!exitDate) {
+            setError('Exit date is required');
+            return;
+        }
+
+        const result = calculateRMultiple({
+            entryPrice: plan.entry,
+            stopLoss: plan.stop,
+            exitPrice,
+            shares: plan.shares,
+            pointValue: entry.positionSize?.pointValue
+        });
+
+        if (!result.success) {
+            setError(result.error);
+            return;
+        }
+
+        setError(null);
+        onSave({
+            exitPrice,
+            exitDate,
+            rMultiple: result.data.rMultiple,
+            pnlPerShare: result.data.pnlPerShare,
+            pnl: result.data.pnl
+        });
+    };
+
+    return (
+        <form className="journal-edit-form" onSubmit={handleSubmit}>
+            <p className="journal-outcome-plan">
+                Planned entry {priceSymbol}{plan.entry || '—'} · stop {priceSymbol}{plan.stop || '—'}
+                {plan.shares ? ` · ${plan.shares} shares` : ''}
+            </p>
+            <div className="journal-edit-row">
+                <FormInput
+                    label="Exit Price"
+                    value={exitPrice}
+                    onChange={(e) => setExitPrice(e.target.value)}
+                    placeholder="55.00"
+                    step="0.01"
+                    prefix={priceSymbol}
+                    required
+                />
+                <FormInput
+                    label="Exit Date"
+                    type="date"
+                    value={exitDate}
+                    onChange={(e) => setExitDate(e.target.value)}
+                    required
+                />
+            </div>
+            {error && <span className="field-error">{error}</span>}
+            <div className="journal-entry-actions">
+                <Button type="submit" variant="primary">Close Trade</Button>
+                <Button type="button" variant="secondary" onClick={onCancel}>Cancel</Button>
+            </div>
+        </form>
+    );
+}
+
+export default TradeOutcomeForm;
@@ -0,0 +1,92 @@
+import { memo, useMemo } from 'react';
+import { getClosedTrades } from '../../selectors/journalSelectors';
+import { calculateTradeStatistics, calculateStatisticsByStyle } from '../../utils/tradeStatistics';
+import { TIMEFRAME_CONFIGS } from '../../utils/TimeframeConfig';
+
+/**
+ * R-multiple performance summary for closed journal trades
+ * Overall figures plus a breakdown per trading style
+ * @param {Object} props - Component properties
+ * @param {Array} props.entries - Journal records
+ */
+function TradeStatistics({ entries }) {
+    const closedTrades = useMemo(() => getClosedTrades(entries), [entries]);
+    const overall = useMemo(() => calculateTradeStatistics(closedTrades), [closedTrades]);
+    const byStyle = useMemo(() => calculateStatisticsByStyle(closedTrades), [closedTrades]);
+
+    if (!overall) {
+        return (
+            <div className="journal-stats">
+                <p className="journal-empty">Close an executed trade to see R-multiple statistics.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="journal-stats">
+            <div className="results-grid journal-stats-grid">
+                <div className="result-item">
+                    <span className="result-label">Win Rate</span>
+                    <span className="result-value">{overall.winRate}%</span>
+                </div>
+                <div className="result-item">
+                    <span className="result-label">Average R</span>
+                    <span className={`result-value ${overall.averageR >= 0 ? 'success' : 'risk'}`}>
+                        {overall.averageR}R
+                    </span>
+                </div>
+                <div className="result-item">
+                    <span className="result-label">Expectancy</span>
+                    <span className={`result-value ${overall.expectancy >= 0 ? 'success' : 'risk'}`}>
+                        {overall.expectancy}R
+                    </span>
+                </div>
+                <div className="result-item">
+                    <span className="result-label">Profit Factor</span>
+                    <span className="result-value">{overall.profitFactor ?? '∞'}</span>
+                </div>
+                <div className="result-item">
+                    <span className="result-label">Max Losing Streak</span>
+                    <span className="result-value risk">{overall.maxConsecutiveLosses}</span>
+                </div>
+                <div className="result-item">
+                    <span className="result-label">Closed Trades</span>
+                    <span className="result-value">{overall.tradeCount}</span>
+                </div>
+            </div>
+
+            <table className="journal-stats-table">
+                <thead>
+                    <tr>
+                        <th>Style</th>
+                        <th>Trades</th>
+                        <th>Win %</th>
+                        <th>Avg R</th>
+                        <th>Expectancy</th>
+                        <th>PF</th>
+                        <th>Max L</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.values(TIMEFRAME_CONFIGS).map((config) => {
+                        const stats = byStyle[config.id];
+                        return (
+                            <tr key={config.id}>
+                                <td>{config.icon} {config.label}</td>
+                                <td>{stats ? stats.tradeCount : 0}</td>
+                                <td>{stats ? `${stats.winRate}%` : '—'}</td>
+                                <td>{stats ? `${stats.averageR}R` : '—'}</td>
+                                <td>{stats ? `${stats.expectancy}R` : '—'}</td>
+                                <td>{stats ? stats.profitFactor ?? '∞' : '—'}</td>
+                                <td>{stats ? stats.maxConsecutiveLosses : '—'}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(TradeStatistics);
@@ -0,0 +1,139 @@
+import { memo, useMemo, useState } from 'react';
+import FormInput from './FormInput';
+import { calculateTradeManagementPlan } from '../utils/tradingCalculators';
+import { TRADING_LIMITS } from '../constants/tradingLimits';
+
+/**
+ * Collapsible trade management plan: break-even move, trailing stops per R
+ * and the R locked in after each partial exit
+ * @param {Object} props - Component properties
+ * @param {string} props.entryPrice - Entry price
+ * @param {string} props.stopLoss - Initial stop loss
+ * @param {Array} props.targets - Exits: [{ price, allocation }]
+ * @param {Object} props.settings - { breakEvenAtR, trailStepR, trailDistanceR } (blank = defaults)
+ * @param {Function} props.onSettingsChange - (field, value) => void
+ */
+function TradeManagementPlanner({ entryPrice, stopLoss, targets, settings, onSettingsChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    const plan = useMemo(
+        () => calculateTradeManagementPlan({ entryPrice, stopLoss, targets, ...settings }),
+        [entryPrice, stopLoss, targets, settings]
+    );
+
+    return (
+        <div className="trading-costs trade-management">
+            <button
+                type="button"
+                className="trading-costs-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+            >
+                {isOpen ? '▾' : '▸'} Trade Management Plan
+                {plan.success && (
+                    <span className="trading-costs-badge">B/E at {plan.data.breakEven.triggerPrice}</span>
+                )}
+            </button>
+
+            {isOpen && (
+                <>
+                    <div className="trade-management-rules">
+                        <FormInput
+                            label="Break-Even At"
+                            value={settings.breakEvenAtR}
+                            onChange={(e) => onSettingsChange('breakEvenAtR', e.target.value)}
+                            placeholder={String(TRADING_LIMITS.DEFAULT_BREAK_EVEN_R)}
+                            step="0.25"
+                            suffix="R"
+                        />
+                        <FormInput
+                            label="Trail Every"
+                            value={settings.trailStepR}
+                            onChange={(e) => onSettingsChange('trailStepR', e.target.value)}
+                            placeholder={String(TRADING_LIMITS.DEFAULT_TRAIL_STEP_R)}
+                            step="0.25"
+                            suffix="R"
+                        />
+                        <FormInput
+                            label="Trail Distance"
+                            value={settings.trailDistanceR}
+                            onChange={(e) => onSettingsChange('trailDistanceR', e.target.value)}
+                            placeholder={String(TRADING_LIMITS.DEFAULT_TRAIL_DISTANCE_R)}
+                            step="0.25"
+                            suffix="R"
+                        />
+                    </div>
+
+                    {!plan.success ? (
+                        <p className="trading-costs-hint">
+                            {plan.field === 'all' || plan.field === 'targets'
+                                ? 'Enter entry, stop and target prices to plan the trade.'
+                                : plan.error}
+                        </p>
+                    ) : (
+                        <>
+                            <p className="trade-management-summary">
+                                Move stop to break-even ({plan.data.breakEven.stopPrice}) when price reaches{' '}
+                                <strong>{plan.data.breakEven.triggerPrice}</strong> ({plan.data.breakEven.triggerR}R).
+                            </p>
+
+                            {plan.data.trailingStops.length > 0 && (
+                                <table className="strategy-table">
+                                    <caption>Trailing Stop</caption>
+                                    <thead>
+                                        <tr>
+                                            <th>Price Reaches</th>
+                                            <th>Move Stop To</th>
+                                            <th>Locked In</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {plan.data.trailingStops.map((level) => (
+                                            <tr key={level.r}>
+                                                <td>{level.triggerPrice} ({level.r}R)</td>
+                                                <td>{level.stopPrice}</td>
+                                                <td>{level.lockedR}R</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+
+                            <table className="strategy-table">
+                                <caption>Partial Exits</caption>
+                                <thead>
+                                    <tr>
+                                        <th>Exit</th>
+                                        <th>Stop on Rest</th>
+                                        <th>Banked</th>
+                                        <th>Locked In</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {plan.data.partialExits.map((exit, index) => (
+                                        <tr key={index}>
+                                            <td>{exit.allocation}% at {exit.price} ({exit.rrRatio}R)</td>
+                                            <td>
+                                                {exit.stopAfterPrice !== null
+                                                    ? `${exit.stopAfterPrice} on ${exit.remainingPercent}%`
+                                                    : 'Closed'}
+                                            </td>
+                                            <td>{exit.realizedR}R</td>
+                                            <td>{exit.lockedR}R</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="trading-costs-hint">
+                                Locked in = R banked so far plus the rest stopped out at its new stop.
+                            </p>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(TradeManagementPlanner);
@@ -0,0 +1,70 @@
+import { memo, useState } from 'react';
+import FormInput from './FormInput';
+
+/**
+ * Collapsible commission, fee and slippage inputs
+ * @param {Object} props - Component properties
+ * @param {Object} props.costs - { commissionPerShare, commissionPerTrade, feePercent, slippagePerShare }
+ * @param {Function} props.onChange - (field, value) => void
+ * @param {boolean} props.hasCosts - Whether any cost is set (shown in the toggle)
+ * @param {string} [props.currencySymbol] - Account currency symbol for the cost inputs
+ */
+function TradingCostsFields({ costs, onChange, hasCosts, currencySymbol = '$' }) {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="trading-costs">
+            <button
+                type="button"
+                className="trading-costs-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+            >
+                {isOpen ? '▾' : '▸'} Commissions, Fees & Slippage {hasCosts && <span className="trading-costs-badge">on</span>}
+            </button>
+
+            {isOpen && (
+                <div className="trading-costs-grid">
+                    <FormInput
+                        label="Commission / Share"
+                        value={costs.commissionPerShare}
+                        onChange={(e) => onChange('commissionPerShare', e.target.value)}
+                        placeholder="0.005"
+                        step="0.001"
+                        prefix={currencySymbol}
+                    />
+                    <FormInput
+                        label="Commission / Trade"
+                        value={costs.commissionPerTrade}
+                        onChange={(e) => onChange('commissionPerTrade', e.target.value)}
+                        placeholder="1.00"
+                        step="0.01"
+                        prefix={currencySymbol}
+                    />
+                    <FormInput
+                        label="Fee (% of Value)"
+                        value={costs.feePercent}
+                        onChange={(e) => onChange('feePercent', e.target.value)}
+                        placeholder="0.01"
+                        step="0.001"
+                        suffix="%"
+                    />
+                    <FormInput
+                        label="Slippage / Share"
+                        value={costs.slippagePerShare}
+                        onChange={(e) => onChange('slippagePerShare', e.target.value)}
+                        placeholder="0.02"
+                        step="0.01"
+                        prefix={currencySymbol}
+                    />
+                    <p className="trading-costs-hint">
+                        Charged on entry and exit. Saved for your next visit.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Memoize to prevent re-renders when parent re-renders but props haven't changed
+export default memo(TradingCostsFields);
@@ -0,0 +1,28 @@
+/**
+ * Currency Constants
+ * Account base currencies and instrument quote currencies the calculators support
+ */
+
+export const CURRENCIES = {
+    USD: { code: 'USD', label: 'US Dollar' },
+    EUR: { code: 'EUR', label: 'Euro' },
+    GBP: { code: 'GBP', label: 'British Pound' },
+    JPY: { code: 'JPY', label: 'Japanese Yen' },
+    CHF: { code: 'CHF', label: 'Swiss Franc' },
+    CAD: { code: 'CAD', label: 'Canadian Dollar' },
+    AUD: { code: 'AUD', label: 'Australian Dollar' },
+    NZD: { code: 'NZD', label: 'New Zealand Dollar' },
+    HKD: { code: 'HKD', label: 'Hong Kong Dollar' },
+    SGD: { code: 'SGD', label: 'Singapore Dollar' }
+};
+
+export const DEFAULT_CURRENCY = CURRENCIES.USD.code;
+
+/**
+ * Check whether a currency code is supported
+ * @param {string} code - ISO 4217 code
+ * @returns {boolean} True if the calculators can use it
+ */
+export function isSupportedCurrency(code) {
+    return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
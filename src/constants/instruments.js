@@ -0,0 +1,68 @@
+/**
+ * Instrument Constants
+ * Asset classes a checklist symbol can belong to, and how each is sized
+ */
+
+import { TRADING_LIMITS } from './tradingLimits';
+
+export const ASSET_CLASSES = {
+    equity: { id: 'equity', label: 'Stock' },
+    etf: { id: 'etf', label: 'ETF' },
+    futures: { id: 'futures', label: 'Futures' },
+    forex: { id: 'forex', label: 'Forex' },
+    crypto: { id: 'crypto', label: 'Crypto' },
+    options: { id: 'options', label: 'Options' }
+};
+
+export const DEFAULT_ASSET_CLASS = ASSET_CLASSES.equity.id;
+
+/**
+ * How each asset class is sized: the quantity unit and default contract specs
+ * - pointValue: quote currency per 1.0 price move per unit. Futures derive it
+ *   from tickValue / tickSize, forex from pipValue / tickSize (pip size).
+ *   calculatePositionSize converts it into the account currency at the FX rate
+ * - tickSize: stops are rounded to it (null = no rounding)
+ * - quantityDecimals: quantity precision; quantityStep and minQuantity can
+ *   override it for brokers with odd order increments
+ * - leveraged: margined per contract/lot instead of paying the notional
+ */
+export const SIZING_MODELS = {
+    equity: { unit: 'shares', tickSize: null, multiplier: 1, quantityDecimals: TRADING_LIMITS.SHARES_DECIMALS },
+    etf: { unit: 'shares', tickSize: null, multiplier: 1, quantityDecimals: TRADING_LIMITS.SHARES_DECIMALS },
+    crypto: { unit: 'units', tickSize: null, multiplier: 1, quantityDecimals: TRADING_LIMITS.MAX_SHARES_DECIMALS },
+    futures: { unit: 'contracts', tickSize: 0.25, tickValue: 12.5, quantityDecimals: 0, leveraged: true },
+    forex: { unit: 'lots', tickSize: 0.0001, pipValue: 10, lotSize: 100000, quantityDecimals: 2, leveraged: true },
+    options: { unit: 'contracts', tickSize: 0.01, multiplier: 100, quantityDecimals: 0 }
+};
+
+/**
+ * Built-in contract presets (USD-quoted)
+ * User presets are stored locally (see calculatorSettings)
+ */
+export const INSTRUMENT_PRESETS = [
+    { id: 'stock', name: 'Stock / ETF', assetClass: 'equity' },
+    { id: 'es', name: 'E-mini S&P 500 (ES)', assetClass: 'futures', tickSize: 0.25, tickValue: 12.5 },
+    { id: 'mes', name: 'Micro E-mini S&P 500 (MES)', assetClass: 'futures', tickSize: 0.25, tickValue: 1.25 },
+    { id: 'nq', name: 'E-mini Nasdaq-100 (NQ)', assetClass: 'futures', tickSize: 0.25, tickValue: 5 },
+    { id: 'mnq', name: 'Micro E-mini Nasdaq-100 (MNQ)', assetClass: 'futures', tickSize: 0.25, tickValue: 0.5 },
+    { id: 'cl', name: 'Crude Oil (CL)', assetClass: 'futures', tickSize: 0.01, tickValue: 10 },
+    { id: 'gc', name: 'Gold (GC)', assetClass: 'futures', tickSize: 0.1, tickValue: 10 },
+    { id: '6e', name: 'Euro FX (6E)', assetClass: 'futures', tickSize: 0.00005, tickValue: 6.25 },
+    { id: 'eurusd', name: 'EUR/USD', assetClass: 'forex', tickSize: 0.0001, pipValue: 10, lotSize: 100000 },
+    { id: 'gbpusd', name: 'GBP/USD', assetClass: 'forex', tickSize: 0.0001, pipValue: 10, lotSize: 100000 },
+    { id: 'audusd', name: 'AUD/USD', assetClass: 'forex', tickSize: 0.0001, pipValue: 10, lotSize: 100000 },
+    { id: 'option', name: 'Equity Option (100 multiplier)', assetClass: 'options', tickSize: 0.01, multiplier: 100 }
+];
+
+/**
+ * Instrument passed to the checklist's position sizing for a symbol
+ * Contract specs aren't entered in the checklist, so only the quantity
+ * precision follows the asset class (fractional crypto)
+ * @param {string} assetClass - Symbol asset class
+ * @returns {Object|undefined} Instrument for calculatePositionSize
+ */
+export function getChecklistSizingInstrument(assetClass) {
+    return assetClass === ASSET_CLASSES.crypto.id
+        ? { quantityDecimals: SIZING_MODELS.crypto.quantityDecimals }
+        : undefined;
+}
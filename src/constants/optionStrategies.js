@@ -0,0 +1,86 @@
+/**
+ * Option Strategies
+ * Defined-risk structures supported by the options calculator.
+ * Legs are listed in ascending strike order; every leg is one contract per unit of the position.
+ */
+
+export const OPTION_STRATEGIES = {
+    longCall: {
+        id: 'longCall',
+        label: 'Long Call',
+        description: 'Buy a call. Risk is the premium paid, profit is open-ended above the break-even.',
+        legs: [
+            { key: 'longCall', type: 'call', side: 'long', label: 'Call' }
+        ]
+    },
+    longPut: {
+        id: 'longPut',
+        label: 'Long Put',
+        description: 'Buy a put. Risk is the premium paid, profit grows until the underlying reaches zero.',
+        legs: [
+            { key: 'longPut', type: 'put', side: 'long', label: 'Put' }
+        ]
+    },
+    bullCallSpread: {
+        id: 'bullCallSpread',
+        label: 'Bull Call Spread (debit)',
+        description: 'Buy a call and sell a higher-strike call. Risk is the net debit.',
+        legs: [
+            { key: 'longCall', type: 'call', side: 'long', label: 'Long Call' },
+            { key: 'shortCall', type: 'call', side: 'short', label: 'Short Call' }
+        ]
+    },
+    bearPutSpread: {
+        id: 'bearPutSpread',
+        label: 'Bear Put Spread (debit)',
+        description: 'Buy a put and sell a lower-strike put. Risk is the net debit.',
+        legs: [
+            { key: 'shortPut', type: 'put', side: 'short', label: 'Short Put' },
+            { key: 'longPut', type: 'put', side: 'long', label: 'Long Put' }
+        ]
+    },
+    bullPutSpread: {
+        id: 'bullPutSpread',
+        label: 'Bull Put Spread (credit)',
+        description: 'Sell a put and buy a lower-strike put. Risk is the strike width minus the credit.',
+        legs: [
+            { key: 'longPut', type: 'put', side: 'long', label: 'Long Put' },
+            { key: 'shortPut', type: 'put', side: 'short', label: 'Short Put' }
+        ]
+    },
+    bearCallSpread: {
+        id: 'bearCallSpread',
+        label: 'Bear Call Spread (credit)',
+        description: 'Sell a call and buy a higher-strike call. Risk is the strike width minus the credit.',
+        legs: [
+            { key: 'shortCall', type: 'call', side: 'short', label: 'Short Call' },
+            { key: 'longCall', type: 'call', side: 'long', label: 'Long Call' }
+        ]
+    },
+    ironCondor: {
+        id: 'ironCondor',
+        label: 'Iron Condor (credit)',
+        description: 'Sell a put spread and a call spread around the price. Risk is the wider wing minus the credit.',
+        legs: [
+            { key: 'longPut', type: 'put', side: 'long', label: 'Long Put' },
+            { key: 'shortPut', type: 'put', side: 'short', label: 'Short Put' },
+            { key: 'shortCall', type: 'call', side: 'short', label: 'Short Call' },
+            { key: 'longCall', type: 'call', side: 'long', label: 'Long Call' }
+        ]
+    }
+};
+
+export const DEFAULT_OPTION_STRATEGY = OPTION_STRATEGIES.longCall.id;
+
+// Shares per standard US equity option contract
+export const DEFAULT_OPTION_MULTIPLIER = 100;
+
+/**
+ * Empty leg inputs for a strategy, keyed by leg key
+ * @param {string} strategyId - OPTION_STRATEGIES id
+ * @returns {Object} { [legKey]: { strike: '', premium: '' } }
+ */
+export function createEmptyOptionLegs(strategyId) {
+    const strategy = OPTION_STRATEGIES[strategyId] || OPTION_STRATEGIES[DEFAULT_OPTION_STRATEGY];
+    return Object.fromEntries(strategy.legs.map(leg => [leg.key, { strike: '', premium: '' }]));
+}
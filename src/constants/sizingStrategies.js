@@ -0,0 +1,33 @@
+/**
+ * Position Sizing Strategies
+ * Ways to turn an account and a stop into a position size; each one sets the
+ * dollar risk, which the position size calculator then sizes against
+ */
+
+export const SIZING_STRATEGIES = {
+    fixedFractional: {
+        id: 'fixedFractional',
+        label: 'Fixed Fractional',
+        description: 'Risk the same percent of the account on every trade'
+    },
+    kelly: {
+        id: 'kelly',
+        label: 'Fractional Kelly',
+        description: 'Risk a fraction of the Kelly optimum for your win rate and payoff'
+    },
+    fixedRatio: {
+        id: 'fixedRatio',
+        label: 'Fixed Ratio',
+        description: 'Add one size level each time profit grows by delta x current levels'
+    },
+    fixedDollar: {
+        id: 'fixedDollar',
+        label: 'Fixed Dollar',
+        description: 'Risk the same dollar amount on every trade'
+    }
+};
+
+export const DEFAULT_SIZING_STRATEGY = SIZING_STRATEGIES.fixedFractional.id;
+
+// Full Kelly is too volatile for real trading; half Kelly is the common default
+export const DEFAULT_KELLY_FRACTION = 0.5;
@@ -3,6 +3,8 @@
  * Centralized configuration for validation limits across the application
  */
 
+import { DEFAULT_CURRENCY } from './currencies';
+
 export const TRADING_LIMITS = {
     // Price limits
     MAX_PRICE: 1000000,              // Maximum price per share ($1M)
@@ -19,6 +21,27 @@ export const TRADING_LIMITS = {
     DEFAULT_RISK_SWING: 2,           // Default risk for swing trading (2%)
     DEFAULT_RISK_DAY: 1,             // Default risk for day trading (1%)
     DEFAULT_RISK_POSITION: 3,        // Default risk for position trading (3%)
+    DEFAULT_HEAT_CAP: 6,             // Default cap on total open risk across positions (6%)
+
+    // Short selling
+    SHORT_MARGIN_PERCENT: 50,        // Initial margin on short sale proceeds (Reg T 50%)
+
+    // Leverage / buying power
+    DEFAULT_LEVERAGE: 1,             // Cash account
+    MAX_LEVERAGE: 100,               // Highest buying power multiple (retail FX)
+
+    // Trade management, in R multiples of the initial risk
+    DEFAULT_BREAK_EVEN_R: 1,         // Move the stop to entry once price is 1R in profit
+    DEFAULT_TRAIL_STEP_R: 1,         // Raise the trailing stop every 1R
+    DEFAULT_TRAIL_DISTANCE_R: 1,     // Trailing stop sits 1R behind the level reached
+    MAX_TRAIL_LEVELS: 20,            // Trailing levels listed per plan
+
+    // Monte Carlo simulation
+    DEFAULT_SIMULATION_PATHS: 5000,  // Equity paths per run
+    MAX_SIMULATION_PATHS: 50000,
+    DEFAULT_SIMULATED_TRADES: 100,   // Trades per path
+    MAX_SIMULATED_TRADES: 1000,
+    DEFAULT_RUIN_DRAWDOWN: 50,       // A path is ruined once it loses 50% of the starting equity
 
     // Gap percentage for checklist
     MIN_GAP_PERCENT: 0.1,            // Minimum gap percentage (0.1%)
@@ -27,7 +50,8 @@ export const TRADING_LIMITS = {
     // Decimal places for display
     PRICE_DECIMALS: 2,
     PERCENT_DECIMALS: 2,
-    SHARES_DECIMALS: 0
+    SHARES_DECIMALS: 0,              // Default quantity precision (whole shares)
+    MAX_SHARES_DECIMALS: 8           // Finest quantity precision (crypto satoshis)
 };
 
 /**
@@ -51,14 +75,39 @@ export const VALIDATION_MESSAGES = {
     INVALID_POSITION_SETUP: 'Invalid setup. Long: Stop < Entry < Target. Short: Target < Entry < Stop'
 };
 
+// Intl formatters are costly to build, so keep one per currency and precision
+const currencyFormatters = new Map();
+
+const getCurrencyFormatter = (currency, decimals) => {
+    const key = `${currency}:${decimals ?? ''}`;
+    if (!currencyFormatters.has(key)) {
+        const precision = decimals === undefined
+            ? {}
+            : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+        currencyFormatters.set(key, new Intl.NumberFormat(undefined, { style: 'currency', currency, ...precision }));
+    }
+    return currencyFormatters.get(key);
+};
+
 /**
  * Helper function to format currency
  * @param {number} value - Value to format
- * @param {number} decimals - Number of decimal places
- * @returns {string} Formatted currency string
+ * @param {string} [currency] - ISO 4217 code (default USD)
+ * @param {number} [decimals] - Number of decimal places (default: the currency's minor units)
+ * @returns {string} Formatted currency string with symbol, e.g. "$1,234.50" or "¥1,235"
  */
-export function formatCurrency(value, decimals = TRADING_LIMITS.PRICE_DECIMALS) {
-    return Number(value).toFixed(decimals);
+export function formatCurrency(value, currency = DEFAULT_CURRENCY, decimals) {
+    return getCurrencyFormatter(currency, decimals).format(Number(value));
+}
+
+/**
+ * Symbol of a currency in the user's locale, for input prefixes
+ * @param {string} [currency] - ISO 4217 code (default USD)
+ * @returns {string} Symbol, e.g. "$", "€" or "CHF"
+ */
+export function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+    const part = getCurrencyFormatter(currency).formatToParts(0).find(({ type }) => type === 'currency');
+    return part ? part.value : currency;
 }
 
 /**
@@ -73,9 +122,15 @@ export function formatPercent(value, decimals = TRADING_LIMITS.PERCENT_DECIMALS)
 
 /**
  * Helper function to format shares
+ * Truncates (never rounds up) to the quantity precision and drops trailing zeros
  * @param {number} value - Value to format
+ * @param {number} decimals - Quantity decimal places
  * @returns {string} Formatted shares string
  */
-export function formatShares(value) {
-    return Math.floor(Number(value)).toString();
+export function formatShares(value, decimals = TRADING_LIMITS.SHARES_DECIMALS) {
+    const factor = 10 ** decimals;
+    const truncated = Math.floor(Number(value) * factor + 1e-9) / factor;
+    return decimals > 0
+        ? truncated.toFixed(decimals).replace(/\.?0+$/, '')
+        : truncated.toString();
 }
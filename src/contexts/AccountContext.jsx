@@ -0,0 +1,76 @@
+import { createContext, useContext, useState, useMemo, useCallback } from 'react';
+import { useJournal } from './JournalContext';
+import { getClosedTrades } from '../selectors/journalSelectors';
+import { buildEquityCurve, getDrawdownThrottle } from '../utils/equityCurve';
+import {
+  loadAccountLedger,
+  addLedgerTransaction,
+  deleteLedgerTransaction,
+  loadDrawdownRules,
+  saveDrawdownRules
+} from '../utils/accountStorage';
+
+const AccountContext = createContext();
+
+export const useAccount = () => {
+  const context = useContext(AccountContext);
+  if (!context) {
+    throw new Error('useAccount must be used within AccountProvider');
+  }
+  return context;
+};
+
+// Needs JournalProvider above it: closed-trade P&L comes from the journal
+export const AccountProvider = ({ children }) => {
+  const { entries } = useJournal();
+  const [transactions, setTransactions] = useState(() => loadAccountLedger());
+  const [drawdownRules, setDrawdownRules] = useState(() => loadDrawdownRules());
+  const [error, setError] = useState(null);
+
+  const equity = useMemo(
+    () => buildEquityCurve(transactions, getClosedTrades(entries)),
+    [transactions, entries]
+  );
+
+  const drawdownThrottle = useMemo(
+    () => (equity ? getDrawdownThrottle(equity.currentDrawdownPercent, drawdownRules) : null),
+    [equity, drawdownRules]
+  );
+
+  const addTransaction = useCallback((transaction) => {
+    const updated = addLedgerTransaction(transaction);
+    if (!updated) {
+      setError('Unable to save the transaction.');
+      return false;
+    }
+    setTransactions(updated);
+    setError(null);
+    return true;
+  }, []);
+
+  const removeTransaction = useCallback((id) => {
+    setTransactions(deleteLedgerTransaction(id));
+  }, []);
+
+  const updateDrawdownRules = useCallback((rules) => {
+    setDrawdownRules(rules);
+    saveDrawdownRules(rules);
+  }, []);
+
+  const value = {
+    transactions,
+    equity,
+    drawdownRules,
+    drawdownThrottle,
+    error,
+    addTransaction,
+    removeTransaction,
+    updateDrawdownRules
+  };
+
+  return (
+    <AccountContext.Provider value={value}>
+      {children}
+    </AccountContext.Provider>
+  );
+};
@@ -0,0 +1,72 @@
+import { createContext, useContext, useState, useCallback } from 'react';
+import {
+  loadCurrencySettings,
+  saveCurrencySettings,
+  getCachedFxRate,
+  saveFxRate
+} from '../utils/calculatorSettings';
+
+const CurrencyContext = createContext();
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within CurrencyProvider');
+  }
+  return context;
+};
+
+const loadRateInput = (quoteCurrency, accountCurrency) => {
+  if (quoteCurrency === accountCurrency) return { fxRate: '', fxRateUpdatedAt: null };
+
+  const cached = getCachedFxRate(quoteCurrency, accountCurrency);
+  return cached
+    ? { fxRate: String(cached.rate), fxRateUpdatedAt: cached.updatedAt }
+    : { fxRate: '', fxRateUpdatedAt: null };
+};
+
+// Account base currency, instrument quote currency and the FX rate between them,
+// shared by every calculator and remembered so a rate only has to be entered once per pair
+export const CurrencyProvider = ({ children }) => {
+  const [settings, setSettings] = useState(() => {
+    const stored = loadCurrencySettings();
+    return { ...stored, ...loadRateInput(stored.quoteCurrency, stored.accountCurrency) };
+  });
+
+  // Changing either currency loads the cached rate for the new pair
+  const updateCurrency = useCallback((field, value) => {
+    setSettings(prev => {
+      const currencies = {
+        accountCurrency: prev.accountCurrency,
+        quoteCurrency: prev.quoteCurrency,
+        [field]: value
+      };
+      saveCurrencySettings(currencies);
+      return { ...currencies, ...loadRateInput(currencies.quoteCurrency, currencies.accountCurrency) };
+    });
+  }, []);
+
+  // Valid rates are cached for the pair as they're typed
+  const updateFxRate = useCallback((value) => {
+    setSettings(prev => {
+      const rate = parseFloat(value);
+      const saved = rate > 0 && isFinite(rate)
+        ? saveFxRate(prev.quoteCurrency, prev.accountCurrency, rate)
+        : null;
+      return { ...prev, fxRate: value, fxRateUpdatedAt: saved ? saved.updatedAt : prev.fxRateUpdatedAt };
+    });
+  }, []);
+
+  const value = {
+    ...settings,
+    isConverted: settings.quoteCurrency !== settings.accountCurrency,
+    updateCurrency,
+    updateFxRate
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
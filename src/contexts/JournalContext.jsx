@@ -0,0 +1,85 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import {
+  loadJournalEntries,
+  saveJournalEntry,
+  updateJournalEntry,
+  deleteJournalEntry
+} from '../utils/journalStorage';
+
+const JournalContext = createContext();
+
+export const useJournal = () => {
+  const context = useContext(JournalContext);
+  if (!context) {
+    throw new Error('useJournal must be used within JournalProvider');
+  }
+  return context;
+};
+
+export const JournalProvider = ({ children }) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadJournalEntries().then((loaded) => {
+      if (cancelled) return;
+      setEntries(loaded);
+      setIsLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const addEntry = useCallback(async (entry) => {
+    const saved = await saveJournalEntry(entry);
+    if (!saved) {
+      setError('Unable to save to the trade journal.');
+      return null;
+    }
+    setEntries(prev => [saved, ...prev]);
+    setError(null);
+    return saved;
+  }, []);
+
+  const updateEntry = useCallback(async (id, changes) => {
+    const updated = await updateJournalEntry(id, changes);
+    if (!updated) {
+      setError('Unable to update journal entry.');
+      return null;
+    }
+    setEntries(prev => prev.map(entry => (entry.id === id ? updated : entry)));
+    setError(null);
+    return updated;
+  }, []);
+
+  const removeEntry = useCallback(async (id) => {
+    const removed = await deleteJournalEntry(id);
+    if (!removed) {
+      setError('Unable to delete journal entry.');
+      return false;
+    }
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+    setError(null);
+    return true;
+  }, []);
+
+  const value = {
+    entries,
+    isLoading,
+    error,
+    addEntry,
+    updateEntry,
+    removeEntry
+  };
+
+  return (
+    <JournalContext.Provider value={value}>
+      {children}
+    </JournalContext.Provider>
+  );
+};
@@ -11,7 +11,7 @@
  * - Separated concerns
  */
 
-import { useReducer, useState, useEffect, useCallback, useMemo } from 'react';
+import { useReducer, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { getTimeframeConfig } from '../utils/TimeframeConfig';
 import { useDebouncedCallback } from './useDebounce';
 import {
@@ -27,14 +27,17 @@ import {
     loadTradingStyle,
     clearTradingStyle,
     hasSavedState,
-    getLastSaveTime
+    getLastSaveTime,
+    isChecklistSlot,
+    DEFAULT_SLOT_ID
 } from '../utils/checklistStorage';
 import * as selectors from '../selectors/checklistSelectors';
 
 /**
  * Main checklist state hook with reducer pattern
+ * @param {string} slotId - Checklist slot this instance reads and writes
  */
-export function useChecklistState() {
+export function useChecklistState(slotId = DEFAULT_SLOT_ID) {
     // =========================================================================
     // SEPARATE STATE DOMAINS (Following best practices)
     // =========================================================================
@@ -77,7 +80,7 @@ export function useChecklistState() {
     // =========================================================================
 
     useEffect(() => {
-        const savedState = loadChecklistState();
+        const savedState = loadChecklistState(slotId);
         const savedStyle = loadTradingStyle();
 
         if (savedState && savedState.tradingStyle) {
@@ -95,10 +98,10 @@ export function useChecklistState() {
                 mid: config.mid.code,
                 lower: config.lower.code
             });
-        } else if (hasSavedState()) {
+        } else if (hasSavedState(slotId)) {
             setShowRestorePrompt(true);
         }
-    }, []); // Run once on mount
+    }, [slotId]); // Run once per slot
 
     // =========================================================================
     // DEBOUNCED AUTO-SAVE (2 seconds after last change)
@@ -111,7 +114,7 @@ export function useChecklistState() {
                 timeframeConfig: tfConfig,
                 checklistState: selectors.getSerializableState(clState)
             };
-            saveChecklistState(stateToSave);
+            saveChecklistState(stateToSave, slotId);
         }
     }, 2000);
 
@@ -121,6 +124,22 @@ export function useChecklistState() {
         }
     }, [tradingStyle, timeframeConfig, checklistState, debouncedSave]);
 
+    // Flush pending changes when the slot unmounts (e.g. switching checklists)
+    // A closed slot is skipped so its storage stays cleared
+    const latestRef = useRef(null);
+    latestRef.current = { tradingStyle, timeframeConfig, checklistState };
+
+    useEffect(() => () => {
+        const latest = latestRef.current;
+        if (latest.tradingStyle && isChecklistSlot(slotId)) {
+            saveChecklistState({
+                tradingStyle: latest.tradingStyle,
+                timeframeConfig: latest.timeframeConfig,
+                checklistState: selectors.getSerializableState(latest.checklistState)
+            }, slotId);
+        }
+    }, [slotId]);
+
     // =========================================================================
     // MANUAL SAVE (for important actions)
     // =========================================================================
@@ -132,9 +151,17 @@ export function useChecklistState() {
                 timeframeConfig,
                 checklistState: selectors.getSerializableState(checklistState)
             };
-            saveChecklistState(stateToSave);
+            saveChecklistState(stateToSave, slotId);
         }
-    }, [tradingStyle, timeframeConfig, checklistState]);
+    }, [tradingStyle, timeframeConfig, checklistState, slotId]);
+
+    // =========================================================================
+    // INSTRUMENT ACTIONS
+    // =========================================================================
+
+    const updateSymbol = useCallback((field, value) => {
+        dispatch(checklistActions.updateSymbol(field, value));
+    }, []);
 
     // =========================================================================
     // STYLE SELECTION ACTIONS
@@ -168,9 +195,9 @@ export function useChecklistState() {
                 },
                 checklistState: createInitialChecklistState()
             };
-            saveChecklistState(stateToSave);
+            saveChecklistState(stateToSave, slotId);
         }, 0);
-    }, []);
+    }, [slotId]);
 
     const handleChangeStyle = useCallback(() => {
         if (!showChangeStyleConfirm) {
@@ -179,13 +206,13 @@ export function useChecklistState() {
         }
 
         // Clear everything
-        clearChecklistState();
+        clearChecklistState(slotId);
         clearTradingStyle();
         setTradingStyle(null);
         setTimeframeConfig(null);
         dispatch(checklistActions.resetToStyleSelection());
         setShowChangeStyleConfirm(false);
-    }, [showChangeStyleConfirm]);
+    }, [showChangeStyleConfirm, slotId]);
 
     const cancelChangeStyle = useCallback(() => {
         setShowChangeStyleConfirm(false);
@@ -228,6 +255,14 @@ export function useChecklistState() {
         dispatch(checklistActions.updateMidPrice(field, value));
     }, []);
 
+    const updateMidScaleOut = useCallback((targets) => {
+        dispatch(checklistActions.updateMidScaleOut(targets));
+    }, []);
+
+    const updateMidManagement = useCallback((field, value) => {
+        dispatch(checklistActions.updateMidManagement(field, value));
+    }, []);
+
     const proceedToLower = useCallback(() => {
         dispatch(checklistActions.proceedToLower());
         saveImmediately();
@@ -267,12 +302,12 @@ export function useChecklistState() {
     // =========================================================================
 
     const executeTrade = useCallback(() => {
-        clearChecklistState();
+        clearChecklistState(slotId);
         clearTradingStyle();
         setTradingStyle(null);
         setTimeframeConfig(null);
         dispatch(checklistActions.resetToStyleSelection());
-    }, []);
+    }, [slotId]);
 
     const passTrade = useCallback((decision) => {
         dispatch(checklistActions.setFinalDecision(decision));
@@ -280,7 +315,7 @@ export function useChecklistState() {
     }, [saveImmediately]);
 
     const resetChecklist = useCallback(() => {
-        clearChecklistState();
+        clearChecklistState(slotId);
         dispatch(checklistActions.resetChecklist());
         setTimeout(() => {
             const stateToSave = {
@@ -288,28 +323,28 @@ export function useChecklistState() {
                 timeframeConfig,
                 checklistState: createInitialChecklistState()
             };
-            saveChecklistState(stateToSave);
+            saveChecklistState(stateToSave, slotId);
         }, 0);
-    }, [tradingStyle, timeframeConfig]);
+    }, [tradingStyle, timeframeConfig, slotId]);
 
     // =========================================================================
     // RESTORE ACTIONS
     // =========================================================================
 
     const restoreSavedState = useCallback(() => {
-        const savedState = loadChecklistState();
+        const savedState = loadChecklistState(slotId);
         if (savedState) {
             setTradingStyle(savedState.tradingStyle);
             setTimeframeConfig(savedState.timeframeConfig);
             dispatch(checklistActions.restoreState(savedState.checklistState));
         }
         setShowRestorePrompt(false);
-    }, []);
+    }, [slotId]);
 
     const dismissRestorePrompt = useCallback(() => {
-        clearChecklistState();
+        clearChecklistState(slotId);
         setShowRestorePrompt(false);
-    }, []);
+    }, [slotId]);
 
     // =========================================================================
     // VALIDATION UPDATER
@@ -350,6 +385,9 @@ export function useChecklistState() {
         isMidLocked,
         isLowerLocked,
 
+        // Instrument actions
+        updateSymbol,
+
         // Style actions
         handleStyleSelect,
         handleChangeStyle,
@@ -364,6 +402,8 @@ export function useChecklistState() {
         updatePatternType,
         updateGapPercentage,
         updateMidPrice,
+        updateMidScaleOut,
+        updateMidManagement,
         proceedToLower,
         backToHigher,
 
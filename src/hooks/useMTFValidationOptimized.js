@@ -19,8 +19,9 @@ import { calculateRiskPercent } from '../utils/TimeframeConfig';
 
 /**
  * OPTIMIZED hook to manage all validation logic for MTF Checklist
+ * @param {Object} [drawdownThrottle] - Active drawdown risk cut, lowers the recommended risk
  */
-export function useMTFValidationOptimized(checklistState, styleConfig, tradingStyle, timeframeConfig) {
+export function useMTFValidationOptimized(checklistState, styleConfig, tradingStyle, timeframeConfig, drawdownThrottle = null) {
     const [higherValidation, setHigherValidation] = useState(null);
     const [midValidation, setMidValidation] = useState(null);
     const [lowerValidation, setLowerValidation] = useState(null);
@@ -58,10 +59,11 @@ export function useMTFValidationOptimized(checklistState, styleConfig, tradingSt
         const validation = validateHigherTimeframe(
             checklistState.higherTF,
             styleConfig.higher.name,
-            tradingStyle
+            tradingStyle,
+            drawdownThrottle
         );
         setHigherValidation(validation);
-    }, [higherDeps, tradingStyle, styleConfig, checklistState.higherTF]);
+    }, [higherDeps, tradingStyle, styleConfig, checklistState.higherTF, drawdownThrottle]);
 
     // OPTIMIZATION: Memoize mid TF validation dependencies
     const midDeps = useMemo(() => ({
@@ -149,7 +151,7 @@ export function useMTFValidationOptimized(checklistState, styleConfig, tradingSt
     );
 
     const recommendedRiskPercent = useMemo(() =>
-        higherValidation?.recommendedRisk ||
+        higherValidation?.recommendedRisk ??
         calculateRiskPercent(tradingStyle || 'swing', checklistState.consolidationDetected),
         [higherValidation, tradingStyle, checklistState.consolidationDetected]
     );
@@ -0,0 +1,78 @@
+/**
+ * Custom Hook: Monte Carlo Simulation
+ * Runs simulateEquityPaths in a Web Worker so thousands of paths don't block the UI
+ * Falls back to the main thread where workers aren't available
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { simulateEquityPaths } from '../utils/monteCarlo';
+
+/**
+ * Hook owning the simulation worker and the latest result
+ * Only the most recent run is applied; older responses are dropped
+ * @returns {Object} { result, error, isRunning, runSimulation, clearSimulation }
+ */
+export function useMonteCarloSimulation() {
+    const workerRef = useRef(null);
+    const requestIdRef = useRef(0);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    const applyResponse = useCallback((response) => {
+        if (response.success) {
+            setResult(response.data);
+            setError(null);
+        } else {
+            setResult(null);
+            setError(response.error);
+        }
+        setIsRunning(false);
+    }, []);
+
+    // Stop any running simulation on unmount
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    const getWorker = useCallback(() => {
+        if (!workerRef.current) {
+            const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (event) => {
+                if (event.data.id === requestIdRef.current) applyResponse(event.data.response);
+            };
+            worker.onerror = (event) => {
+                console.error('Monte Carlo worker failed:', event.message);
+                applyResponse({ success: false, error: 'Simulation failed. Please try again.' });
+                worker.terminate();
+                workerRef.current = null;
+            };
+            workerRef.current = worker;
+        }
+        return workerRef.current;
+    }, [applyResponse]);
+
+    /**
+     * Start a simulation (see simulateEquityPaths for the params)
+     * @param {Object} params - Simulation parameters
+     */
+    const runSimulation = useCallback((params) => {
+        const id = ++requestIdRef.current;
+        setIsRunning(true);
+
+        if (typeof Worker === 'undefined') {
+            applyResponse(simulateEquityPaths(params));
+            return;
+        }
+
+        getWorker().postMessage({ id, params });
+    }, [applyResponse, getWorker]);
+
+    const clearSimulation = useCallback(() => {
+        // Drop the answer of a run still in flight
+        requestIdRef.current++;
+        setResult(null);
+        setError(null);
+        setIsRunning(false);
+    }, []);
+
+    return { result, error, isRunning, runSimulation, clearSimulation };
+}
@@ -0,0 +1,84 @@
+/**
+ * Custom Hook: Portfolio Heat
+ * Open positions (executed journal trades plus manual entries) and the
+ * total risk they carry at their stops
+ */
+
+import { useState, useMemo, useCallback } from 'react';
+import { useJournal } from '../contexts/JournalContext';
+import { getOpenJournalPositions } from '../selectors/journalSelectors';
+import { calculatePortfolioHeat } from '../utils/tradingCalculators';
+import {
+    loadOpenPositions,
+    addOpenPosition,
+    removeOpenPosition,
+    loadHeatCap,
+    saveHeatCap
+} from '../utils/portfolioStorage';
+
+/**
+ * Check a manually entered position before it is stored
+ * @param {Object} position - { ticker, entry, stop, shares }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateOpenPosition({ entry, stop, shares }) {
+    const entryValue = parseFloat(entry);
+    const stopValue = parseFloat(stop);
+    const quantity = parseFloat(shares);
+
+    if (!(entryValue > 0) || !(stopValue > 0)) return 'Entry and stop must be greater than zero';
+    if (entryValue === stopValue) return 'Stop cannot equal entry';
+    if (!(quantity > 0)) return 'Size must be greater than zero';
+    return null;
+}
+
+/**
+ * Hook holding the open-positions registry and its heat
+ * @param {string|number} accountSize - Account size for percent heat
+ * @returns {Object} { heat, heatError, heatCap, updateHeatCap, addPosition, removePosition }
+ */
+export function usePortfolioHeat(accountSize) {
+    const { entries } = useJournal();
+    const [manualPositions, setManualPositions] = useState(() => loadOpenPositions());
+    const [heatCap, setHeatCap] = useState(() => loadHeatCap());
+
+    const positions = useMemo(
+        () => [...getOpenJournalPositions(entries), ...manualPositions],
+        [entries, manualPositions]
+    );
+
+    const heatResult = useMemo(
+        () => calculatePortfolioHeat({ positions, accountSize, heatCap }),
+        [positions, accountSize, heatCap]
+    );
+
+    const updateHeatCap = useCallback((value) => {
+        setHeatCap(value);
+        saveHeatCap(value);
+    }, []);
+
+    // Returns an error message, or null once the position is stored
+    const addPosition = useCallback((position) => {
+        const validationError = validateOpenPosition(position);
+        if (validationError) return validationError;
+
+        const updated = addOpenPosition(position);
+        if (!updated) return 'Unable to save the position.';
+
+        setManualPositions(updated);
+        return null;
+    }, []);
+
+    const removePosition = useCallback((id) => {
+        setManualPositions(removeOpenPosition(id));
+    }, []);
+
+    return {
+        heat: heatResult.success ? heatResult.data : null,
+        heatError: heatResult.success ? null : heatResult.error,
+        heatCap,
+        updateHeatCap,
+        addPosition,
+        removePosition
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * Custom Hook: Trading Costs
+ * Commission, fee and slippage inputs shared by the calculators,
+ * remembered in localStorage
+ */
+
+import { useState, useCallback } from 'react';
+import { loadTradingCosts, saveTradingCosts, hasTradingCosts } from '../utils/calculatorSettings';
+
+/**
+ * Hook holding the remembered trading costs
+ * @returns {Object} { costs, updateCost, hasCosts }
+ */
+export function useTradingCosts() {
+    const [costs, setCosts] = useState(() => loadTradingCosts());
+
+    const updateCost = useCallback((field, value) => {
+        setCosts(prev => {
+            const updated = { ...prev, [field]: value };
+            saveTradingCosts(updated);
+            return updated;
+        });
+    }, []);
+
+    return {
+        costs,
+        updateCost,
+        hasCosts: hasTradingCosts(costs)
+    };
+}
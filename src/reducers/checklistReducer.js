@@ -10,8 +10,13 @@
  * - Single source of truth for state updates
  */
 
+import { DEFAULT_ASSET_CLASS } from '../constants/instruments';
+
 // Action Types
 export const CHECKLIST_ACTIONS = {
+    // Instrument
+    UPDATE_SYMBOL: 'UPDATE_SYMBOL',
+
     // Higher Timeframe
     TOGGLE_HIGHER_CHECK: 'TOGGLE_HIGHER_CHECK',
     UPDATE_HIGHER_VALIDATION: 'UPDATE_HIGHER_VALIDATION',
@@ -22,6 +27,8 @@ export const CHECKLIST_ACTIONS = {
     SET_PATTERN_TYPE: 'SET_PATTERN_TYPE',
     SET_GAP_PERCENTAGE: 'SET_GAP_PERCENTAGE',
     UPDATE_MID_PRICE: 'UPDATE_MID_PRICE',
+    UPDATE_MID_SCALE_OUT: 'UPDATE_MID_SCALE_OUT',
+    UPDATE_MID_MANAGEMENT: 'UPDATE_MID_MANAGEMENT',
     UPDATE_MID_VALIDATION: 'UPDATE_MID_VALIDATION',
 
     // Lower Timeframe
@@ -49,6 +56,13 @@ export const CHECKLIST_ACTIONS = {
 };
 
 // Initial State Factories
+export const createEmptySymbol = () => ({
+    ticker: '',
+    name: '',
+    exchange: '',
+    assetClass: DEFAULT_ASSET_CLASS
+});
+
 export const createEmptyTimeframeState = () => ({
     uptrendConfirmed: false,
     above50EMA: false,
@@ -69,6 +83,10 @@ export const createEmptyMidTimeframeState = () => ({
     patternType: 'breakout',
     gapPercentage: '',
     prices: { entry: '', stop: '', target: '' },
+    // Partial exits before the final target: [{ price, allocation }]
+    scaleOut: [],
+    // Trade management rules in R (blank = planner defaults)
+    management: { breakEvenAtR: '', trailStepR: '', trailDistanceR: '' },
     isComplete: false,
     isPassed: false
 });
@@ -80,13 +98,15 @@ export const createEmptyLowerTimeframeState = () => ({
     retestOrPullback: false,
     rrStillValid: false,
     positionSizeValid: false,
-    positionData: { accountSize: '', riskPercent: '', entry: '', stop: '' },
+    // atr / atrMultiplier drive the volatility stop and the stopDistanceOk auto-check
+    positionData: { accountSize: '', riskPercent: '', entry: '', stop: '', atr: '', atrMultiplier: '' },
     isComplete: false,
     isPassed: false
 });
 
 export const createInitialChecklistState = () => ({
     currentStep: 'higher',
+    symbol: createEmptySymbol(),
     higherTF: createEmptyTimeframeState(),
     midTF: createEmptyMidTimeframeState(),
     lowerTF: createEmptyLowerTimeframeState(),
@@ -101,6 +121,20 @@ export const createInitialChecklistState = () => ({
  */
 export function checklistReducer(state, action) {
     switch (action.type) {
+        // =====================================================================
+        // INSTRUMENT ACTIONS
+        // =====================================================================
+        case CHECKLIST_ACTIONS.UPDATE_SYMBOL:
+            return {
+                ...state,
+                symbol: {
+                    ...state.symbol,
+                    [action.payload.field]: action.payload.field === 'ticker'
+                        ? action.payload.value.toUpperCase()
+                        : action.payload.value
+                }
+            };
+
         // =====================================================================
         // HIGHER TIMEFRAME ACTIONS
         // =====================================================================
@@ -176,6 +210,27 @@ export function checklistReducer(state, action) {
                 }
             };
 
+        case CHECKLIST_ACTIONS.UPDATE_MID_SCALE_OUT:
+            return {
+                ...state,
+                midTF: {
+                    ...state.midTF,
+                    scaleOut: action.payload.targets
+                }
+            };
+
+        case CHECKLIST_ACTIONS.UPDATE_MID_MANAGEMENT:
+            return {
+                ...state,
+                midTF: {
+                    ...state.midTF,
+                    management: {
+                        ...state.midTF.management,
+                        [action.payload.field]: action.payload.value
+                    }
+                }
+            };
+
         case CHECKLIST_ACTIONS.UPDATE_MID_VALIDATION:
             return {
                 ...state,
@@ -272,14 +327,18 @@ export function checklistReducer(state, action) {
             };
 
         // =====================================================================
-        // RESET ACTIONS
+        // RESET ACTIONS (the instrument being analyzed is kept)
         // =====================================================================
         case CHECKLIST_ACTIONS.RESET_CHECKLIST:
-            return createInitialChecklistState();
+            return {
+                ...createInitialChecklistState(),
+                symbol: state.symbol
+            };
 
         case CHECKLIST_ACTIONS.RESET_TO_STYLE_SELECTION:
             return {
                 ...createInitialChecklistState(),
+                symbol: state.symbol,
                 currentStep: 'styleSelection'
             };
 
@@ -287,7 +346,11 @@ export function checklistReducer(state, action) {
         // RESTORE ACTION
         // =====================================================================
         case CHECKLIST_ACTIONS.RESTORE_STATE:
-            return action.payload.state;
+            return {
+                ...action.payload.state,
+                // States saved before symbols existed have none
+                symbol: action.payload.state.symbol || createEmptySymbol()
+            };
 
         default:
             console.warn(`Unknown action type: ${action.type}`);
@@ -300,6 +363,12 @@ export function checklistReducer(state, action) {
  * Encapsulate action creation logic
  */
 export const checklistActions = {
+    // Instrument
+    updateSymbol: (field, value) => ({
+        type: CHECKLIST_ACTIONS.UPDATE_SYMBOL,
+        payload: { field, value }
+    }),
+
     // Higher TF
     toggleHigherCheck: (checkId) => ({
         type: CHECKLIST_ACTIONS.TOGGLE_HIGHER_CHECK,
@@ -337,6 +406,16 @@ export const checklistActions = {
         payload: { field, value }
     }),
 
+    updateMidScaleOut: (targets) => ({
+        type: CHECKLIST_ACTIONS.UPDATE_MID_SCALE_OUT,
+        payload: { targets }
+    }),
+
+    updateMidManagement: (field, value) => ({
+        type: CHECKLIST_ACTIONS.UPDATE_MID_MANAGEMENT,
+        payload: { field, value }
+    }),
+
     updateMidValidation: (validation) => ({
         type: CHECKLIST_ACTIONS.UPDATE_MID_VALIDATION,
         payload: validation
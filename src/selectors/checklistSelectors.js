@@ -9,11 +9,18 @@
  * - Clear dependencies
  */
 
+import { calculateTradeManagementPlan } from '../utils/tradingCalculators';
+
 /**
  * Get current step
  */
 export const getCurrentStep = (state) => state.currentStep;
 
+/**
+ * Get the instrument being analyzed
+ */
+export const getSymbol = (state) => state.symbol;
+
 /**
  * Get all higher timeframe checks
  */
@@ -102,6 +109,34 @@ export const getMidPrices = (state) => state.midTF.prices;
  */
 export const getLowerPositionData = (state) => state.lowerTF.positionData;
 
+/**
+ * Full exit plan of the mid TF: partial exits plus the final target with the rest
+ * @param {string} finalTarget - Final target price
+ * @param {Array} scaleOut - Partial exits: [{ price, allocation }]
+ * @returns {Array} Targets for the calculators: [{ price, allocation }]
+ */
+export const buildMidExitPlan = (finalTarget, scaleOut = []) => {
+    const scaledOut = scaleOut.reduce((sum, exit) => sum + (parseFloat(exit.allocation) || 0), 0);
+    return [...scaleOut, { price: finalTarget, allocation: 100 - scaledOut }];
+};
+
+/**
+ * Get the trade management plan (break-even, trailing stops, partial exits) of the mid TF
+ * @returns {Object|null} calculateTradeManagementPlan data, or null while the plan is incomplete
+ */
+export const getTradeManagementPlan = (state) => {
+    const midTF = state?.midTF;
+    if (!midTF?.prices) return null;
+
+    const result = calculateTradeManagementPlan({
+        entryPrice: midTF.prices.entry,
+        stopLoss: midTF.prices.stop,
+        targets: buildMidExitPlan(midTF.prices.target, midTF.scaleOut),
+        ...midTF.management
+    });
+    return result.success ? result.data : null;
+};
+
 /**
  * Check if all prices are filled (mid TF)
  */
@@ -185,6 +220,7 @@ export const getCurrentStepIndex = (state) => {
  */
 export const getSerializableState = (state) => ({
     currentStep: state.currentStep,
+    symbol: state.symbol,
     higherTF: state.higherTF,
     midTF: state.midTF,
     lowerTF: state.lowerTF,
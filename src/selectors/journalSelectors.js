@@ -0,0 +1,81 @@
+/**
+ * Trade Journal Selectors
+ *
+ * Derived views over the list of journal records
+ */
+
+/**
+ * Filter journal records
+ * @param {Array} entries - Journal records
+ * @param {Object} filters - { action, tradingStyle, ticker } ('all' or '' disables a filter)
+ */
+export const filterJournalEntries = (entries, { action = 'all', tradingStyle = 'all', ticker = '' } = {}) => {
+    const tickerQuery = ticker.trim().toUpperCase();
+
+    return entries.filter((entry) =>
+        (action === 'all' || entry.action === action) &&
+        (tradingStyle === 'all' || entry.tradingStyle === tradingStyle) &&
+        (!tickerQuery || entry.ticker.includes(tickerQuery))
+    );
+};
+
+/**
+ * Count records per decision action
+ */
+export const getJournalActionCounts = (entries) =>
+    entries.reduce((counts, entry) => ({
+        ...counts,
+        [entry.action]: (counts[entry.action] || 0) + 1
+    }), {});
+
+/**
+ * Get the entry/stop/size the trade was planned with
+ * Lower TF position data is the final plan; mid TF prices are the fallback
+ */
+export const getJournalTradePlan = (entry) => ({
+    entry: entry.positionData?.entry || entry.prices?.entry || '',
+    stop: entry.positionData?.stop || entry.prices?.stop || '',
+    shares: entry.positionSize?.shares || null
+});
+
+/**
+ * Check if an executed trade has been closed out
+ */
+export const isJournalTradeClosed = (entry) =>
+    entry.action === 'execute' && Boolean(entry.outcome);
+
+/**
+ * Check if an executed trade is still open (no exit recorded yet)
+ */
+export const isJournalTradeOpen = (entry) =>
+    entry.action === 'execute' && !entry.outcome;
+
+/**
+ * Get executed trades still open, shaped like manually added open positions
+ * so portfolio heat can sum both
+ */
+export const getOpenJournalPositions = (entries) =>
+    entries
+        .filter(isJournalTradeOpen)
+        .map((entry) => ({
+            id: `journal_${entry.id}`,
+            source: 'journal',
+            ticker: entry.ticker,
+            ...getJournalTradePlan(entry),
+            pointValue: entry.positionSize?.pointValue || 1,
+            openedAt: entry.timestamp
+        }));
+
+/**
+ * Get closed trade outcomes in chronological order of exit
+ */
+export const getClosedTrades = (entries) =>
+    entries
+        .filter(isJournalTradeClosed)
+        .map((entry) => ({
+            id: entry.id,
+            ticker: entry.ticker,
+            tradingStyle: entry.tradingStyle,
+            ...entry.outcome
+        }))
+        .sort((a, b) => a.exitDate.localeCompare(b.exitDate));
@@ -2,20 +2,182 @@
  * Trading calculator type definitions
  */
 
+// Trading Cost Types (blank fields count as zero)
+export interface TradingCosts {
+  commissionPerShare?: number | string;
+  commissionPerTrade?: number | string;
+  feePercent?: number | string;
+  slippagePerShare?: number | string;
+}
+
+// Instrument Types (blank fields fall back to the asset class defaults)
+export type AssetClass = 'equity' | 'etf' | 'futures' | 'forex' | 'crypto' | 'options';
+
+export interface InstrumentSpecs {
+  assetClass?: AssetClass;
+  tickSize?: number | string;
+  tickValue?: number | string;
+  multiplier?: number | string;
+  lotSize?: number | string;
+  pipValue?: number | string;
+  quantityDecimals?: number | string;
+  quantityStep?: number | string;
+  minQuantity?: number | string;
+  marginPerUnit?: number | string;
+}
+
+export interface InstrumentPreset extends InstrumentSpecs {
+  id: string;
+  name: string;
+}
+
+// Currency Types (ISO 4217 codes supported by the calculators)
+export type CurrencyCode = 'USD' | 'EUR' | 'GBP' | 'JPY' | 'CHF' | 'CAD' | 'AUD' | 'NZD' | 'HKD' | 'SGD';
+
+export interface CurrencySettings {
+  accountCurrency: CurrencyCode;
+  quoteCurrency: CurrencyCode;
+}
+
+export interface CachedFxRate {
+  rate: number;  // Account currency per 1 unit of quote currency
+  updatedAt: string;
+}
+
 // Position Size Calculator Types
 export interface PositionSizeInputs {
   accountSize: number;
   riskPercent: number;
+  dollarRisk?: number;
   entryPrice: number;
   stopLoss: number;
+  direction?: 'long' | 'short';
+  targetPrice?: number;
+  costs?: TradingCosts;
+  instrument?: InstrumentSpecs;
+  leverage?: number;
+  openRisk?: number;
+  heatCap?: number;
+  accountCurrency?: CurrencyCode;
+  quoteCurrency?: CurrencyCode;
+  fxRate?: number;
 }
 
 export interface PositionSizeResult {
   shares: number;
+  unit: 'shares' | 'units' | 'contracts' | 'lots';
+  quantityDecimals: number;
+  assetClass: AssetClass;
+  stopLoss: string;
+  stopAdjusted: boolean;
+  stopTicks: number | null;
+  pointValue: string;
   positionValue: string;
+  positionValueQuote: string;
+  accountCurrency: CurrencyCode;
+  quoteCurrency: CurrencyCode;
+  fxRate: number;
   riskAmount: string;
   riskPerShare: string;
+  riskPerUnit: string;
   percentOfAccount: string;
+  marginRequired: string | null;
+  leverage: number;
+  buyingPower: string | null;
+  effectiveLeverage: string;
+  maxSharesByRisk: number;
+  maxSharesByBuyingPower: number | null;
+  maxSharesByHeat: number | null;
+  bindingConstraint: 'risk' | 'buyingPower' | 'heat';
+  positionType: 'Long' | 'Short';
+  grossRiskAmount: string;
+  costsAtStop: string;
+  netRiskAmount: string;
+  netRiskPercent: string;
+  rewardAmount: string | null;
+  netRewardAmount: string | null;
+  rrRatio: string | null;
+  netRRRatio: string | null;
+  openRisk: string;
+  heatCap: number | null;
+  heatCapAmount: string | null;
+  totalHeat: string;
+  totalHeatPercent: string;
+  uncappedHeatPercent: string;
+}
+
+// Portfolio Heat Types
+export interface OpenPosition {
+  id: string;
+  source: 'journal' | 'manual';
+  ticker: string;
+  entry: number | string;
+  stop: number | string;
+  shares: number | string | null;
+  pointValue?: number | string;
+  openedAt: string;
+}
+
+export interface PortfolioHeatInputs {
+  positions: OpenPosition[];
+  accountSize?: number;
+  heatCap?: number;
+}
+
+export interface PricedOpenPosition extends OpenPosition {
+  riskAmount: string | null;
+  riskPercent: string | null;
+}
+
+export interface PortfolioHeatResult {
+  positions: PricedOpenPosition[];
+  totalRisk: string;
+  totalRiskPercent: string | null;
+  heatCap: number | null;
+  heatCapAmount: string | null;
+  remainingRisk: string | null;
+  isOverCap: boolean;
+  unpricedCount: number;
+}
+
+// Sizing Strategy Types
+export type SizingStrategyId = 'fixedFractional' | 'kelly' | 'fixedRatio' | 'fixedDollar';
+
+export interface KellyInputs {
+  winRate: number;
+  payoffRatio: number;
+  fraction?: number;
+}
+
+export interface KellyResult {
+  kellyPercent: string;
+  riskPercent: string;
+  fraction: number;
+  hasEdge: boolean;
+}
+
+export interface FixedRatioInputs {
+  accountSize: number;
+  startingBalance: number;
+  delta: number;
+}
+
+export interface FixedRatioResult {
+  level: number;
+  profit: string;
+  nextLevelBalance: string;
+}
+
+export interface SizingStrategyComparisonInputs extends PositionSizeInputs {
+  kelly?: KellyInputs;
+  fixedRatio?: Omit<FixedRatioInputs, 'accountSize'> & { unitsPerLevel?: number };
+  fixedDollarRisk?: number;
+}
+
+export interface SizingStrategyRow {
+  id: SizingStrategyId;
+  basis: (KellyResult | (FixedRatioResult & { unitsPerLevel: number })) | null;
+  response: PositionSizeResponse;
 }
 
 // Risk/Reward Calculator Types
@@ -23,16 +185,231 @@ export interface RiskRewardInputs {
   entryPrice: number;
   stopLoss: number;
   targetPrice: number;
+  shares?: number;
+  costs?: TradingCosts;
 }
 
 export interface RiskRewardResult {
   riskPerShare: string;
   rewardPerShare: string;
   rrRatio: string;
+  netRiskPerShare: string;
+  netRewardPerShare: string;
+  netRRRatio: string;
+  positionType: 'Long' | 'Short';
+  isValidTrade: boolean;
+}
+
+// Scale-Out (multiple targets) Types
+export interface ScaleOutTarget {
+  price: number;
+  allocation: number;
+}
+
+export interface ScaleOutInputs {
+  entryPrice: number;
+  stopLoss: number;
+  targets: ScaleOutTarget[];
+  shares?: number;
+  costs?: TradingCosts;
+}
+
+export interface ScaleOutTargetResult {
+  price: string;
+  allocation: number;
+  rrRatio: string;
+  rewardPerShare: string;
+  netRewardPerShare: string;
+  shares: number | null;
+  pnl: string | null;
+}
+
+export interface ScaleOutResult {
+  riskPerShare: string;
+  weightedRewardPerShare: string;
+  blendedRR: string;
+  netRiskPerShare: string;
+  netWeightedRewardPerShare: string;
+  netBlendedRR: string;
+  positionType: 'Long' | 'Short';
+  isValidTrade: boolean;
+  riskAmount: string | null;
+  totalPnl: string | null;
+  netRiskAmount: string | null;
+  netTotalPnl: string | null;
+  targets: ScaleOutTargetResult[];
+}
+
+// Trade Management (break-even, trailing stop, partial exits) Types
+export interface TradeManagementInputs {
+  entryPrice: number;
+  stopLoss: number;
+  targets: ScaleOutTarget[];
+  breakEvenAtR?: number;
+  trailStepR?: number;
+  trailDistanceR?: number;
+}
+
+export interface TrailingStopLevel {
+  r: number;
+  triggerPrice: string;
+  stopPrice: string;
+  lockedR: string;
+}
+
+export interface PartialExitPlan {
+  price: string;
+  allocation: number;
+  rrRatio: string;
+  remainingPercent: number;
+  stopAfterPrice: string | null;
+  stopAfterR: string | null;
+  realizedR: string;
+  lockedR: string;
+}
+
+export interface TradeManagementResult {
   positionType: 'Long' | 'Short';
+  riskPerShare: string;
+  breakEven: {
+    triggerR: number;
+    triggerPrice: string;
+    stopPrice: string;
+  };
+  trailStepR: number;
+  trailDistanceR: number;
+  trailingStops: TrailingStopLevel[];
+  partialExits: PartialExitPlan[];
+  blendedRR: string;
+}
+
+// Options Types
+export type OptionStrategyId =
+  | 'longCall'
+  | 'longPut'
+  | 'bullCallSpread'
+  | 'bearPutSpread'
+  | 'bullPutSpread'
+  | 'bearCallSpread'
+  | 'ironCondor';
+
+export interface OptionLegInput {
+  strike: number;
+  premium: number;
+}
+
+export interface OptionPayoffInputs {
+  strategy: OptionStrategyId;
+  legs: Record<string, OptionLegInput>;
+  multiplier?: number;
+}
+
+export interface OptionPositionSizeInputs extends OptionPayoffInputs {
+  accountSize: number;
+  riskPercent: number;
+  dollarRisk?: number;
+}
+
+export interface OptionPayoffResult {
+  strategy: OptionStrategyId;
+  label: string;
+  multiplier: number;
+  premiumType: 'debit' | 'credit';
+  netPremium: string;
+  netPremiumPerContract: string;
+  maxLossPerShare: string;
+  maxLossPerContract: string;
+  maxProfitPerShare: string | null;
+  maxProfitPerContract: string | null;
+  isProfitUnlimited: boolean;
+  breakEvens: string[];
+  rrRatio: string | null;
   isValidTrade: boolean;
 }
 
+export interface OptionPositionSizeResult extends OptionPayoffResult {
+  contracts: number;
+  riskAmount: string;
+  totalPremium: string;
+  totalMaxLoss: string;
+  totalMaxProfit: string | null;
+  maxLossPercent: string;
+}
+
+// Expectancy and Monte Carlo Types
+export interface ExpectancyInputs {
+  winRate: number;
+  rrRatio: number;
+  riskPercent?: number;
+}
+
+export interface ExpectancyResult {
+  winRate: number;
+  rrRatio: number;
+  expectancyR: string;
+  expectancyPercent: string | null;
+  breakEvenWinRate: string;
+  isPositive: boolean;
+}
+
+export interface MonteCarloInputs extends ExpectancyInputs {
+  riskPercent: number;
+  tradeCount?: number;
+  pathCount?: number;
+  startingEquity?: number;
+  ruinPercent?: number;
+  seed?: number;
+}
+
+export interface MonteCarloResult {
+  expectancy: ExpectancyResult;
+  pathCount: number;
+  tradeCount: number;
+  startingEquity: string;
+  ruinPercent: number;
+  ruinLevel: string;
+  endingEquity: { p5: string; median: string; p95: string };
+  medianReturnPercent: string;
+  maxDrawdown: { median: string; p90: string; p95: string; p99: string };
+  riskOfRuin: string;
+  profitablePercent: string;
+}
+
+// Risk of Ruin Types
+export interface RiskOfRuinInputs {
+  winRate: number;
+  payoffRatio: number;
+  riskPercent: number;
+  ruinPercent?: number;
+  tradeCount?: number;
+  drawdownPercent?: number;
+}
+
+export interface RiskLevelAnalysis {
+  riskOfRuin: string;
+  expectedGrowthPercent: string;
+  expectedMaxLosingStreak: string;
+  streakDrawdownPercent: string;
+  tradesToRecover: number | null;
+}
+
+export interface StyleRiskLevel extends RiskLevelAnalysis {
+  id: 'day' | 'swing' | 'position';
+  label: string;
+  icon: string;
+  riskPercent: number;
+}
+
+export interface RiskOfRuinResult extends RiskLevelAnalysis {
+  riskPercent: number;
+  ruinPercent: number;
+  tradeCount: number;
+  expectancyR: string;
+  drawdownPercent: number | null;
+  recoveryGainPercent: string | null;
+  styles: StyleRiskLevel[];
+}
+
 // API Response Types
 export interface ApiSuccessResponse<T> {
   success: true;
@@ -43,6 +420,8 @@ export interface ApiErrorResponse {
   success: false;
   error: string;
   field?: string;
+  targetIndex?: number;
+  legKey?: string;
   details?: string;
 }
 
@@ -51,3 +430,14 @@ export type ApiResponse<T> = ApiSuccessResponse<T> | ApiErrorResponse;
 // Calculator Response Types
 export type PositionSizeResponse = ApiResponse<PositionSizeResult>;
 export type RiskRewardResponse = ApiResponse<RiskRewardResult>;
+export type ScaleOutResponse = ApiResponse<ScaleOutResult>;
+export type TradeManagementResponse = ApiResponse<TradeManagementResult>;
+export type OptionPayoffResponse = ApiResponse<OptionPayoffResult>;
+export type OptionPositionSizeResponse = ApiResponse<OptionPositionSizeResult>;
+export type ExpectancyResponse = ApiResponse<ExpectancyResult>;
+export type MonteCarloResponse = ApiResponse<MonteCarloResult>;
+export type RiskOfRuinResponse = ApiResponse<RiskOfRuinResult>;
+export type PortfolioHeatResponse = ApiResponse<PortfolioHeatResult>;
+export type KellyResponse = ApiResponse<KellyResult>;
+export type FixedRatioResponse = ApiResponse<FixedRatioResult>;
+export type SizingStrategyComparisonResponse = ApiResponse<{ strategies: SizingStrategyRow[] }>;
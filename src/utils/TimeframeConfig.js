@@ -84,6 +84,13 @@ export const VALIDATION_RULES = {
         daily: 2.0,
         weekly: 2.0,
         monthly: 2.0 // Can accept slightly lower due to trend strength
+    },
+
+    // Keyed by trading style: stop distance in ATR multiples of the entry timeframe
+    atrStop: {
+        day: { min: 1.0, max: 2.0, multiplier: 1.5, description: 'Day trade stops sit 1-2 ATR from entry on the 15-minute chart' },
+        swing: { min: 1.5, max: 3.0, multiplier: 2.0, description: 'Swing trade stops sit 1.5-3 ATR from entry on the 4-hour chart' },
+        position: { min: 2.0, max: 4.0, multiplier: 3.0, description: 'Position trade stops sit 2-4 ATR from entry on the daily chart' }
     }
 };
 
@@ -133,8 +140,9 @@ export function getTimeframeConfig(styleId) {
 
 /**
  * Get validation rule for specific timeframe
- * @param {string} ruleType - Type of rule: 'consolidationPeriod' | 'gapTolerance' | 'volumeMultiplier'
+ * @param {string} ruleType - Type of rule: 'consolidationPeriod' | 'gapTolerance' | 'volumeMultiplier' | 'atrStop'
  * @param {string} timeframeCode - Timeframe code: '15min' | '1hour' | '4hour' | 'daily' | 'weekly' | 'monthly'
+ *   (trading style ID for 'atrStop')
  * @returns {Object} Validation rule
  */
 export function getValidationRule(ruleType, timeframeCode) {
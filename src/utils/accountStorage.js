@@ -0,0 +1,97 @@
+/**
+ * localStorage Helper Functions for the Account Ledger
+ * Keeps deposits, withdrawals and the drawdown risk rules between visits;
+ * closed-trade P&L comes from the journal instead
+ */
+
+const LEDGER_KEY = 'vqm_account_ledger';
+const DRAWDOWN_RULES_KEY = 'vqm_drawdown_rules';
+
+// Off until the user opts in; tiers are drawdown from peak (%) -> risk multiplier
+export const DEFAULT_DRAWDOWN_RULES = {
+    enabled: false,
+    tiers: [
+        { drawdownPercent: '5', riskMultiplier: '0.5' },
+        { drawdownPercent: '10', riskMultiplier: '0.25' }
+    ]
+};
+
+/**
+ * Load the account ledger, oldest first
+ * @returns {Array} Transactions: [{ id, type: 'deposit'|'withdrawal', amount, date, note }]
+ */
+export function loadAccountLedger() {
+    try {
+        const stored = localStorage.getItem(LEDGER_KEY);
+        if (!stored) return [];
+
+        const transactions = JSON.parse(stored);
+        return Array.isArray(transactions) ? transactions : [];
+    } catch (error) {
+        console.error('Failed to load account ledger:', error);
+        return [];
+    }
+}
+
+/**
+ * Record a deposit or withdrawal
+ * @param {Object} transaction - { type, amount, date, note }
+ * @returns {Array|null} Updated ledger, or null on failure
+ */
+export function addLedgerTransaction(transaction) {
+    try {
+        const updated = [
+            ...loadAccountLedger(),
+            { ...transaction, id: `tx_${Date.now().toString(36)}` }
+        ].sort((a, b) => a.date.localeCompare(b.date));
+        localStorage.setItem(LEDGER_KEY, JSON.stringify(updated));
+        return updated;
+    } catch (error) {
+        console.error('Failed to save ledger transaction:', error);
+        return null;
+    }
+}
+
+/**
+ * Delete a deposit or withdrawal
+ * @param {string} id - Transaction ID
+ * @returns {Array} Remaining transactions
+ */
+export function deleteLedgerTransaction(id) {
+    const remaining = loadAccountLedger().filter(transaction => transaction.id !== id);
+
+    try {
+        localStorage.setItem(LEDGER_KEY, JSON.stringify(remaining));
+    } catch (error) {
+        console.error('Failed to delete ledger transaction:', error);
+    }
+    return remaining;
+}
+
+/**
+ * Load the drawdown risk rules
+ * @returns {Object} { enabled, tiers }
+ */
+export function loadDrawdownRules() {
+    try {
+        const stored = localStorage.getItem(DRAWDOWN_RULES_KEY);
+        if (!stored) return DEFAULT_DRAWDOWN_RULES;
+
+        return { ...DEFAULT_DRAWDOWN_RULES, ...JSON.parse(stored) };
+    } catch (error) {
+        console.error('Failed to load drawdown rules:', error);
+        return DEFAULT_DRAWDOWN_RULES;
+    }
+}
+
+/**
+ * Remember the drawdown risk rules
+ * @param {Object} rules - { enabled, tiers }
+ */
+export function saveDrawdownRules(rules) {
+    try {
+        localStorage.setItem(DRAWDOWN_RULES_KEY, JSON.stringify(rules));
+    } catch (error) {
+        console.error('Failed to save drawdown rules:', error);
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * localStorage Helper Functions for the Calculators
+ * Remembers the user's calculator preferences (trading costs, contract presets,
+ * currencies and FX rates) between visits
+ */
+
+import { DEFAULT_CURRENCY, isSupportedCurrency } from '../constants/currencies';
+
+const TRADING_COSTS_KEY = 'vqm_trading_costs';
+
+// Blank fields count as zero in the calculators
+export const DEFAULT_TRADING_COSTS = {
+    commissionPerShare: '',
+    commissionPerTrade: '',
+    feePercent: '',
+    slippagePerShare: ''
+};
+
+/**
+ * Load the remembered trading costs
+ * @returns {Object} { commissionPerShare, commissionPerTrade, feePercent, slippagePerShare }
+ */
+export function loadTradingCosts() {
+    try {
+        const stored = localStorage.getItem(TRADING_COSTS_KEY);
+        if (!stored) return DEFAULT_TRADING_COSTS;
+
+        return { ...DEFAULT_TRADING_COSTS, ...JSON.parse(stored) };
+    } catch (error) {
+        console.error('Failed to load trading costs:', error);
+        return DEFAULT_TRADING_COSTS;
+    }
+}
+
+/**
+ * Remember the trading costs
+ * @param {Object} costs - Trading costs
+ */
+export function saveTradingCosts(costs) {
+    try {
+        localStorage.setItem(TRADING_COSTS_KEY, JSON.stringify(costs));
+    } catch (error) {
+        console.error('Failed to save trading costs:', error);
+    }
+}
+
+/**
+ * Check whether any trading cost is set
+ * @param {Object} costs - Trading costs
+ * @returns {boolean} True if at least one cost is above zero
+ */
+export function hasTradingCosts(costs) {
+    return Object.values(costs).some(value => parseFloat(value) > 0);
+}
+
+// =============================================================================
+// INSTRUMENT PRESETS
+// =============================================================================
+
+const INSTRUMENT_PRESETS_KEY = 'vqm_instrument_presets';
+
+/**
+ * Load the user's saved contract presets
+ * @returns {Array} Presets: [{ id, name, assetClass, tickSize, tickValue, ... }]
+ */
+export function loadInstrumentPresets() {
+    try {
+        const stored = localStorage.getItem(INSTRUMENT_PRESETS_KEY);
+        if (!stored) return [];
+
+        const presets = JSON.parse(stored);
+        return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+        console.error('Failed to load instrument presets:', error);
+        return [];
+    }
+}
+
+/**
+ * Save a contract preset; a preset with the same name is replaced
+ * @param {string} name - Preset name
+ * @param {Object} instrument - Contract specs
+ * @returns {Array|null} Updated presets, or null on failure
+ */
+export function saveInstrumentPreset(name, instrument) {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+
+    try {
+        const presets = loadInstrumentPresets().filter(preset => preset.name !== trimmed);
+        const updated = [
+            ...presets,
+            { ...instrument, id: `user_${Date.now().toString(36)}`, name: trimmed }
+        ];
+        localStorage.setItem(INSTRUMENT_PRESETS_KEY, JSON.stringify(updated));
+        return updated;
+    } catch (error) {
+        console.error('Failed to save instrument preset:', error);
+        return null;
+    }
+}
+
+/**
+ * Delete a saved contract preset
+ * @param {string} id - Preset ID
+ * @returns {Array} Remaining presets
+ */
+export function deleteInstrumentPreset(id) {
+    const remaining = loadInstrumentPresets().filter(preset => preset.id !== id);
+
+    try {
+        localStorage.setItem(INSTRUMENT_PRESETS_KEY, JSON.stringify(remaining));
+    } catch (error) {
+        console.error('Failed to delete instrument preset:', error);
+    }
+    return remaining;
+}
+
+// =============================================================================
+// CURRENCIES AND FX RATES
+// =============================================================================
+
+const CURRENCY_SETTINGS_KEY = 'vqm_currency_settings';
+const FX_RATES_KEY = 'vqm_fx_rates';
+
+export const DEFAULT_CURRENCY_SETTINGS = {
+    accountCurrency: DEFAULT_CURRENCY,
+    quoteCurrency: DEFAULT_CURRENCY
+};
+
+/**
+ * Load the remembered account and quote currencies
+ * @returns {Object} { accountCurrency, quoteCurrency }
+ */
+export function loadCurrencySettings() {
+    try {
+        const stored = localStorage.getItem(CURRENCY_SETTINGS_KEY);
+        if (!stored) return DEFAULT_CURRENCY_SETTINGS;
+
+        const settings = { ...DEFAULT_CURRENCY_SETTINGS, ...JSON.parse(stored) };
+        return isSupportedCurrency(settings.accountCurrency) && isSupportedCurrency(settings.quoteCurrency)
+            ? settings
+            : DEFAULT_CURRENCY_SETTINGS;
+    } catch (error) {
+        console.error('Failed to load currency settings:', error);
+        return DEFAULT_CURRENCY_SETTINGS;
+    }
+}
+
+/**
+ * Remember the account and quote currencies
+ * @param {Object} settings - { accountCurrency, quoteCurrency }
+ */
+export function saveCurrencySettings(settings) {
+    try {
+        localStorage.setItem(CURRENCY_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Failed to save currency settings:', error);
+    }
+}
+
+function loadFxRates() {
+    try {
+        const stored = localStorage.getItem(FX_RATES_KEY);
+        const rates = stored ? JSON.parse(stored) : {};
+        return rates && typeof rates === 'object' ? rates : {};
+    } catch (error) {
+        console.error('Failed to load FX rates:', error);
+        return {};
+    }
+}
+
+/**
+ * Last FX rate entered for a currency pair
+ * A rate saved for the opposite direction is inverted
+ * @param {string} quoteCurrency - Currency the instrument is quoted in
+ * @param {string} accountCurrency - Account base currency
+ * @returns {Object|null} { rate, updatedAt } - `rate` is account currency per 1 unit of quote currency
+ */
+export function getCachedFxRate(quoteCurrency, accountCurrency) {
+    const rates = loadFxRates();
+    const direct = rates[`${quoteCurrency}/${accountCurrency}`];
+    if (direct) return direct;
+
+    const inverse = rates[`${accountCurrency}/${quoteCurrency}`];
+    return inverse ? { rate: parseFloat((1 / inverse.rate).toPrecision(8)), updatedAt: inverse.updatedAt } : null;
+}
+
+/**
+ * Remember the FX rate for a currency pair
+ * @param {string} quoteCurrency - Currency the instrument is quoted in
+ * @param {string} accountCurrency - Account base currency
+ * @param {number} rate - Account currency per 1 unit of quote currency
+ * @returns {Object|null} Saved { rate, updatedAt }, or null on failure
+ */
+export function saveFxRate(quoteCurrency, accountCurrency, rate) {
+    try {
+        const rates = loadFxRates();
+        const saved = { rate, updatedAt: new Date().toISOString() };
+        // The direct entry replaces any opposite-direction one
+        delete rates[`${accountCurrency}/${quoteCurrency}`];
+        rates[`${quoteCurrency}/${accountCurrency}`] = saved;
+        localStorage.setItem(FX_RATES_KEY, JSON.stringify(rates));
+        return saved;
+    } catch (error) {
+        console.error('Failed to save FX rate:', error);
+        return null;
+    }
+}
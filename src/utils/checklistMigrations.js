@@ -0,0 +1,234 @@
+/**
+ * Storage Schema Migrations for the MTF Checklist
+ * Upgrades old localStorage payloads and exported files step by step
+ * to the current shape, so they are never silently discarded
+ *
+ * Each registry is a list of { from, to, migrate } steps. To change a schema:
+ * bump the CURRENT_* version and append one step from the previous version.
+ */
+
+import {
+    createEmptySymbol,
+    createEmptyTimeframeState,
+    createEmptyMidTimeframeState,
+    createEmptyLowerTimeframeState
+} from '../reducers/checklistReducer';
+import { getTimeframeConfig } from './TimeframeConfig';
+
+// Payloads written before versions existed
+export const LEGACY_VERSION = '0';
+
+export const CURRENT_STATE_VERSION = '2.3';
+export const CURRENT_EXPORT_VERSION = '2.1';
+
+// The original checklist was swing-only with fixed timeframes
+const LEGACY_STEP_NAMES = {
+    weekly: 'higher',
+    daily: 'mid',
+    fourHour: 'lower'
+};
+
+const getStyleTimeframes = (styleId) => {
+    const config = getTimeframeConfig(styleId);
+    return {
+        higher: config.higher.code,
+        mid: config.mid.code,
+        lower: config.lower.code
+    };
+};
+
+/**
+ * Saved checklist state (localStorage) migrations
+ * '0'   - flat checklist with weekly/daily/fourHour, no trading style
+ * '1.0' - { tradingStyle, timeframeConfig, checklistState } with higherTF/midTF/lowerTF
+ * '2.0' - checklistState carries the instrument symbol
+ * '2.1' - midTF carries scale-out targets
+ * '2.2' - lowerTF position data carries ATR and ATR multiplier
+ * '2.3' - midTF carries trade management rules (break-even, trailing stop)
+ */
+const STATE_MIGRATIONS = [
+    {
+        from: LEGACY_VERSION,
+        to: '1.0',
+        migrate: (state) => {
+            // Already wrapped, only written without a version
+            if (state.checklistState) return state;
+
+            const { weekly, daily, fourHour, higherTF, midTF, lowerTF, currentStep, ...rest } = state;
+            return {
+                tradingStyle: state.tradingStyle || 'swing',
+                timeframeConfig: state.timeframeConfig || getStyleTimeframes(state.tradingStyle || 'swing'),
+                checklistState: {
+                    ...rest,
+                    currentStep: LEGACY_STEP_NAMES[currentStep] || currentStep || 'higher',
+                    // Fill checks added since, so old tiers don't miss fields
+                    higherTF: { ...createEmptyTimeframeState(), ...(higherTF || weekly) },
+                    midTF: { ...createEmptyMidTimeframeState(), ...(midTF || daily) },
+                    lowerTF: { ...createEmptyLowerTimeframeState(), ...(lowerTF || fourHour) }
+                }
+            };
+        }
+    },
+    {
+        from: '1.0',
+        to: '2.0',
+        migrate: (state) => ({
+            ...state,
+            checklistState: {
+                ...state.checklistState,
+                symbol: state.checklistState?.symbol || createEmptySymbol()
+            }
+        })
+    },
+    {
+        from: '2.0',
+        to: '2.1',
+        migrate: (state) => ({
+            ...state,
+            checklistState: {
+                ...state.checklistState,
+                midTF: {
+                    ...state.checklistState.midTF,
+                    scaleOut: state.checklistState.midTF.scaleOut || []
+                }
+            }
+        })
+    },
+    {
+        from: '2.1',
+        to: '2.2',
+        migrate: (state) => ({
+            ...state,
+            checklistState: {
+                ...state.checklistState,
+                lowerTF: {
+                    ...state.checklistState.lowerTF,
+                    positionData: {
+                        ...createEmptyLowerTimeframeState().positionData,
+                        ...state.checklistState.lowerTF.positionData
+                    }
+                }
+            }
+        })
+    },
+    {
+        from: '2.2',
+        to: '2.3',
+        migrate: (state) => ({
+            ...state,
+            checklistState: {
+                ...state.checklistState,
+                midTF: {
+                    ...state.checklistState.midTF,
+                    management: {
+                        ...createEmptyMidTimeframeState().management,
+                        ...state.checklistState.midTF.management
+                    }
+                }
+            }
+        })
+    }
+];
+
+/**
+ * Exported trade file (exportTradeData) migrations
+ * '0'/'1.0' - weekly/daily/fourHour checks, swing timeframes implied
+ * '2.0'     - higherTFChecks/midTFChecks/lowerTFChecks plus style and timeframes
+ * '2.1'     - symbol, scale-out targets, ATR position data and the trade management plan
+ */
+const EXPORT_MIGRATIONS = [
+    {
+        from: LEGACY_VERSION,
+        to: '1.0',
+        migrate: (data) => data
+    },
+    {
+        from: '1.0',
+        to: '2.0',
+        migrate: (data) => {
+            const {
+                weekly, daily, fourHour,
+                weeklyChecks, dailyChecks, fourHourChecks,
+                ...rest
+            } = data;
+            const tradingStyle = data.tradingStyle || data.finalDecision?.tradingStyle || 'swing';
+
+            return {
+                ...rest,
+                tradingStyle,
+                timeframes: data.timeframes || getStyleTimeframes(tradingStyle),
+                higherTFChecks: data.higherTFChecks || weeklyChecks || weekly,
+                midTFChecks: data.midTFChecks || dailyChecks || daily,
+                lowerTFChecks: data.lowerTFChecks || fourHourChecks || fourHour
+            };
+        }
+    },
+    {
+        from: '2.0',
+        to: '2.1',
+        migrate: (data) => ({
+            ...data,
+            symbol: data.symbol || createEmptySymbol(),
+            midTFChecks: data.midTFChecks && {
+                ...data.midTFChecks,
+                scaleOut: data.midTFChecks.scaleOut || [],
+                management: {
+                    ...createEmptyMidTimeframeState().management,
+                    ...data.midTFChecks.management
+                }
+            },
+            lowerTFChecks: data.lowerTFChecks && {
+                ...data.lowerTFChecks,
+                positionData: {
+                    ...createEmptyLowerTimeframeState().positionData,
+                    ...data.lowerTFChecks.positionData
+                }
+            },
+            managementPlan: data.managementPlan ?? null
+        })
+    }
+];
+
+/**
+ * Run migration steps until the payload reaches the target version
+ * @param {Object} payload - Data to upgrade
+ * @param {string} version - Version the payload was written with
+ * @param {Array} registry - Migration steps
+ * @param {string} targetVersion - Version to reach
+ * @returns {Object|null} Upgraded payload, or null if no path exists
+ */
+function runMigrations(payload, version, registry, targetVersion) {
+    let current = payload;
+    let currentVersion = version ? String(version) : LEGACY_VERSION;
+
+    while (currentVersion !== targetVersion) {
+        const step = registry.find(migration => migration.from === currentVersion);
+        if (!step) return null; // Unknown or newer version
+
+        current = step.migrate(current);
+        currentVersion = step.to;
+    }
+
+    return current;
+}
+
+/**
+ * Upgrade a saved checklist state to CURRENT_STATE_VERSION
+ * @param {Object} state - Stored state
+ * @param {string} version - Stored version ('0' when missing)
+ * @returns {Object|null} Current-shape state, or null if it can't be upgraded
+ */
+export function migrateChecklistState(state, version) {
+    if (!state || typeof state !== 'object') return null;
+    return runMigrations(state, version, STATE_MIGRATIONS, CURRENT_STATE_VERSION);
+}
+
+/**
+ * Upgrade an exported trade file to CURRENT_EXPORT_VERSION
+ * @param {Object} data - Parsed file contents
+ * @returns {Object|null} Current-shape export, or null if it can't be upgraded
+ */
+export function migrateTradeExport(data) {
+    if (!data || typeof data !== 'object') return null;
+    return runMigrations(data, data.version, EXPORT_MIGRATIONS, CURRENT_EXPORT_VERSION);
+}
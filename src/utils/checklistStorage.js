@@ -2,33 +2,130 @@
  * localStorage Helper Functions for MTF Checklist
  * Handles persistent storage with automatic expiration
  * UPDATED: Now stores trading style preference separately
+ * UPDATED: Several named checklists (slots) can be kept side by side
+ * UPDATED: Watchlist of in-progress setups, keyed by ticker (never expires)
+ * UPDATED: Exported trade files can be imported back
+ * UPDATED: Stored versions are read and old payloads migrated (see checklistMigrations)
+ * UPDATED: Expiration is a user setting; named snapshots never expire
  */
 
+import {
+    createInitialChecklistState,
+    createEmptySymbol,
+    createEmptyTimeframeState,
+    createEmptyMidTimeframeState,
+    createEmptyLowerTimeframeState
+} from '../reducers/checklistReducer';
+import { getTimeframeConfig } from './TimeframeConfig';
+import {
+    CURRENT_STATE_VERSION,
+    CURRENT_EXPORT_VERSION,
+    migrateChecklistState,
+    migrateTradeExport
+} from './checklistMigrations';
+import { getTradeManagementPlan } from '../selectors/checklistSelectors';
+
 const STORAGE_KEY = 'mtf_checklist_state';
 const STYLE_KEY = 'mtf_checklist_style';
-const EXPIRATION_HOURS = 24;
+const SLOTS_KEY = 'mtf_checklist_slots';
+const WATCHLIST_KEY = 'mtf_watchlist';
+const SETTINGS_KEY = 'mtf_checklist_settings';
+const SNAPSHOTS_KEY = 'mtf_checklist_snapshots';
+const DEFAULT_EXPIRATION_HOURS = 24;
+
+export const EXPIRY_OPTIONS = {
+    never: { id: 'never', label: 'Never', hours: null },
+    day: { id: 'day', label: '24 hours', hours: 24 },
+    week: { id: 'week', label: '7 days', hours: 24 * 7 },
+    custom: { id: 'custom', label: 'Custom', hours: null }
+};
+
+// The default slot keeps the original key so existing saves are picked up
+export const DEFAULT_SLOT_ID = 'default';
+
+/**
+ * Get the localStorage key for a checklist slot
+ * @param {string} slotId - Slot ID
+ * @returns {string} Storage key
+ */
+function getSlotStorageKey(slotId = DEFAULT_SLOT_ID) {
+    return slotId === DEFAULT_SLOT_ID ? STORAGE_KEY : `${STORAGE_KEY}_${slotId}`;
+}
+
+// =============================================================================
+// AUTO-SAVE EXPIRATION POLICY
+// =============================================================================
+
+/**
+ * Load the auto-save expiration policy
+ * @returns {Object} Policy: { expiry: 'never' | 'day' | 'week' | 'custom', customHours }
+ */
+export function loadExpiryPolicy() {
+    const fallback = { expiry: EXPIRY_OPTIONS.day.id, customHours: DEFAULT_EXPIRATION_HOURS };
+
+    try {
+        const stored = localStorage.getItem(SETTINGS_KEY);
+        if (!stored) return fallback;
+
+        const settings = JSON.parse(stored);
+        return EXPIRY_OPTIONS[settings?.expiry] ? { ...fallback, ...settings } : fallback;
+    } catch (error) {
+        console.error('Failed to load checklist settings:', error);
+        return fallback;
+    }
+}
+
+/**
+ * Save the auto-save expiration policy
+ * @param {Object} policy - { expiry, customHours }
+ */
+export function saveExpiryPolicy(policy) {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(policy));
+    } catch (error) {
+        console.error('Failed to save checklist settings:', error);
+    }
+}
+
+/**
+ * Get how long auto-saved checklists are kept
+ * @returns {number|null} Hours, or null if they never expire
+ */
+export function getExpirationHours() {
+    const { expiry, customHours } = loadExpiryPolicy();
+
+    if (expiry === EXPIRY_OPTIONS.custom.id) {
+        const hours = parseFloat(customHours);
+        return !isNaN(hours) && hours > 0 ? hours : DEFAULT_EXPIRATION_HOURS;
+    }
+    return EXPIRY_OPTIONS[expiry].hours;
+}
 
 /**
  * Save checklist state to localStorage with timestamp
  * @param {Object} state - Checklist state to save
+ * @param {string} slotId - Checklist slot to save into
  * @returns {boolean} True if save successful, false otherwise
  */
-export function saveChecklistState(state) {
+export function saveChecklistState(state, slotId = DEFAULT_SLOT_ID) {
+    const storageKey = getSlotStorageKey(slotId);
+    const dataToStore = {
+        state,
+        timestamp: new Date().getTime(),
+        version: CURRENT_STATE_VERSION
+    };
+
     try {
-        const dataToStore = {
-            state,
-            timestamp: new Date().getTime(),
-            version: '1.0' // For future migrations
-        };
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToStore));
+        localStorage.setItem(storageKey, JSON.stringify(dataToStore));
+        touchChecklistSlot(slotId, state?.checklistState?.symbol?.ticker);
         return true;
     } catch (error) {
         // Handle quota exceeded error
         if (error.name === 'QuotaExceededError') {
             // Try to clear old data and retry
             try {
-                clearChecklistState();
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToStore));
+                clearChecklistState(slotId);
+                localStorage.setItem(storageKey, JSON.stringify(dataToStore));
                 return true;
             } catch (retryError) {
                 // If still fails, notify user
@@ -56,10 +153,11 @@ function validateStateStructure(state) {
     if (!state || typeof state !== 'object') return false;
 
     // Check required properties exist
-    if (!state.tradingStyle || !state.currentStep) return false;
+    const { checklistState } = state;
+    if (!state.tradingStyle || !checklistState || !checklistState.currentStep) return false;
 
     // Check timeframe objects exist
-    if (!state.higherTF || !state.midTF || !state.lowerTF) return false;
+    if (!checklistState.higherTF || !checklistState.midTF || !checklistState.lowerTF) return false;
 
     return true;
 }
@@ -67,40 +165,55 @@ function validateStateStructure(state) {
 /**
  * Load checklist state from localStorage
  * Returns null if no valid state exists or if expired
+ * @param {string} slotId - Checklist slot to load
  * @returns {Object|null} Saved state or null
  */
-export function loadChecklistState() {
+export function loadChecklistState(slotId = DEFAULT_SLOT_ID) {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
+        const stored = localStorage.getItem(getSlotStorageKey(slotId));
         if (!stored) return null;
 
         const data = JSON.parse(stored);
 
         // Validate data structure
         if (!data || typeof data !== 'object' || !data.state || !data.timestamp) {
-            clearChecklistState();
+            clearChecklistState(slotId);
             return null;
         }
 
         const currentTime = new Date().getTime();
-        const expirationTime = EXPIRATION_HOURS * 60 * 60 * 1000; // Convert to milliseconds
+        const expirationHours = getExpirationHours();
 
-        // Check if data has expired
-        if (currentTime - data.timestamp > expirationTime) {
-            clearChecklistState();
+        // Check if data has expired (unless saves are kept forever)
+        if (expirationHours !== null && currentTime - data.timestamp > expirationHours * 60 * 60 * 1000) {
+            clearChecklistState(slotId);
             return null;
         }
 
-        // Validate state structure before returning
-        if (!validateStateStructure(data.state)) {
-            clearChecklistState();
+        // Upgrade older payloads, then validate state structure before returning
+        const state = migrateChecklistState(data.state, data.version);
+        if (state === null && data.state && typeof data.state === 'object') {
+            // No migration path: written by a newer build (another tab, or before a rollback).
+            // Leave it in storage for that build instead of deleting it
+            console.warn(`Checklist saved with unsupported version ${data.version}; leaving it untouched.`);
+            return null;
+        }
+        if (!validateStateStructure(state)) {
+            clearChecklistState(slotId);
             return null;
         }
 
-        return data.state;
+        if (data.version !== CURRENT_STATE_VERSION) {
+            localStorage.setItem(
+                getSlotStorageKey(slotId),
+                JSON.stringify({ ...data, state, version: CURRENT_STATE_VERSION })
+            );
+        }
+
+        return state;
     } catch (error) {
         // Corrupted data - clear it and start fresh
-        clearChecklistState();
+        clearChecklistState(slotId);
 
         if (process.env.NODE_ENV === 'development') {
             console.error('Failed to load checklist state:', error);
@@ -111,10 +224,11 @@ export function loadChecklistState() {
 
 /**
  * Clear checklist state from localStorage
+ * @param {string} slotId - Checklist slot to clear
  */
-export function clearChecklistState() {
+export function clearChecklistState(slotId = DEFAULT_SLOT_ID) {
     try {
-        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(getSlotStorageKey(slotId));
     } catch (error) {
         console.error('Failed to clear checklist state:', error);
     }
@@ -122,20 +236,22 @@ export function clearChecklistState() {
 
 /**
  * Check if saved state exists and is valid
+ * @param {string} slotId - Checklist slot to check
  * @returns {boolean} True if valid saved state exists
  */
-export function hasSavedState() {
-    const state = loadChecklistState();
+export function hasSavedState(slotId = DEFAULT_SLOT_ID) {
+    const state = loadChecklistState(slotId);
     return state !== null;
 }
 
 /**
  * Get timestamp of last saved state
+ * @param {string} slotId - Checklist slot to check
  * @returns {Date|null} Date of last save or null
  */
-export function getLastSaveTime() {
+export function getLastSaveTime(slotId = DEFAULT_SLOT_ID) {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
+        const stored = localStorage.getItem(getSlotStorageKey(slotId));
         if (!stored) return null;
 
         const data = JSON.parse(stored);
@@ -147,17 +263,21 @@ export function getLastSaveTime() {
 }
 
 /**
- * Get time remaining until expiration (in hours)
- * @returns {number|null} Hours remaining or null if no saved state
+ * Get time remaining until expiration (in hours), per the expiration policy
+ * @param {string} slotId - Checklist slot to check
+ * @returns {number|null} Hours remaining (Infinity if saves never expire) or null if no saved state
  */
-export function getTimeUntilExpiration() {
+export function getTimeUntilExpiration(slotId = DEFAULT_SLOT_ID) {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
+        const stored = localStorage.getItem(getSlotStorageKey(slotId));
         if (!stored) return null;
 
+        const expirationHours = getExpirationHours();
+        if (expirationHours === null) return Infinity;
+
         const data = JSON.parse(stored);
         const currentTime = new Date().getTime();
-        const expirationTime = EXPIRATION_HOURS * 60 * 60 * 1000;
+        const expirationTime = expirationHours * 60 * 60 * 1000;
         const elapsed = currentTime - data.timestamp;
         const remaining = expirationTime - elapsed;
 
@@ -170,6 +290,334 @@ export function getTimeUntilExpiration() {
     }
 }
 
+// =============================================================================
+// CHECKLIST SLOTS (several named checklists in parallel)
+// =============================================================================
+
+/**
+ * Read the slot registry, always including the default slot
+ * @returns {Object} Registry: { activeId, slots: [{ id, name, ticker, updatedAt }] }
+ */
+function loadSlotRegistry() {
+    const fallback = {
+        activeId: DEFAULT_SLOT_ID,
+        slots: [{ id: DEFAULT_SLOT_ID, name: 'Checklist 1', ticker: '', updatedAt: null }]
+    };
+
+    try {
+        const stored = localStorage.getItem(SLOTS_KEY);
+        if (!stored) return fallback;
+
+        const registry = JSON.parse(stored);
+        if (!registry || !Array.isArray(registry.slots) || registry.slots.length === 0) {
+            return fallback;
+        }
+
+        return registry;
+    } catch (error) {
+        console.error('Failed to load checklist slots:', error);
+        return fallback;
+    }
+}
+
+/**
+ * Persist the slot registry
+ * @param {Object} registry - Registry: { activeId, slots }
+ */
+function saveSlotRegistry(registry) {
+    try {
+        localStorage.setItem(SLOTS_KEY, JSON.stringify(registry));
+    } catch (error) {
+        console.error('Failed to save checklist slots:', error);
+    }
+}
+
+/**
+ * Record the latest save time and ticker of a slot
+ * @param {string} slotId - Slot ID
+ * @param {string} ticker - Ticker currently entered in the checklist
+ */
+function touchChecklistSlot(slotId, ticker = '') {
+    const registry = loadSlotRegistry();
+    const exists = registry.slots.some(slot => slot.id === slotId);
+    if (!exists) return;
+
+    saveSlotRegistry({
+        ...registry,
+        slots: registry.slots.map(slot =>
+            slot.id === slotId ? { ...slot, ticker: ticker || '', updatedAt: new Date().getTime() } : slot
+        )
+    });
+}
+
+/**
+ * Build a new, empty slot entry
+ * @param {string} name - Display name
+ * @returns {Object} Slot: { id, name, ticker, updatedAt }
+ */
+function createSlotRecord(name) {
+    return {
+        id: `slot_${new Date().getTime().toString(36)}`,
+        name,
+        ticker: '',
+        updatedAt: null
+    };
+}
+
+/**
+ * Check whether a slot is still registered (not closed)
+ * @param {string} slotId - Slot ID
+ * @returns {boolean} True if the slot exists
+ */
+export function isChecklistSlot(slotId) {
+    return loadSlotRegistry().slots.some(slot => slot.id === slotId);
+}
+
+/**
+ * List all checklist slots
+ * @returns {Object} Registry: { activeId, slots }
+ */
+export function listChecklistSlots() {
+    return loadSlotRegistry();
+}
+
+/**
+ * Create a new empty checklist slot and make it active
+ * @param {string} name - Display name
+ * @returns {Object} Updated registry
+ */
+export function createChecklistSlot(name) {
+    const registry = loadSlotRegistry();
+    const slot = createSlotRecord(name || `Checklist ${registry.slots.length + 1}`);
+    const updated = {
+        activeId: slot.id,
+        slots: [...registry.slots, slot]
+    };
+    saveSlotRegistry(updated);
+    return updated;
+}
+
+/**
+ * Rename a checklist slot
+ * @param {string} slotId - Slot ID
+ * @param {string} name - New display name
+ * @returns {Object} Updated registry
+ */
+export function renameChecklistSlot(slotId, name) {
+    const registry = loadSlotRegistry();
+    const updated = {
+        ...registry,
+        slots: registry.slots.map(slot => (slot.id === slotId ? { ...slot, name } : slot))
+    };
+    saveSlotRegistry(updated);
+    return updated;
+}
+
+/**
+ * Delete a checklist slot and its saved state
+ * The last remaining slot is cleared instead of removed
+ * @param {string} slotId - Slot ID
+ * @returns {Object} Updated registry
+ */
+export function deleteChecklistSlot(slotId) {
+    const registry = loadSlotRegistry();
+    clearChecklistState(slotId);
+
+    // Closing the last checklist starts a fresh one under a new ID
+    const remaining = registry.slots.filter(slot => slot.id !== slotId);
+    if (remaining.length === 0) {
+        remaining.push(createSlotRecord('Checklist 1'));
+    }
+
+    const updated = {
+        activeId: registry.activeId === slotId ? remaining[0].id : registry.activeId,
+        slots: remaining
+    };
+    saveSlotRegistry(updated);
+    return updated;
+}
+
+/**
+ * Switch the active checklist slot
+ * @param {string} slotId - Slot ID
+ * @returns {Object} Updated registry
+ */
+export function setActiveChecklistSlot(slotId) {
+    const updated = { ...loadSlotRegistry(), activeId: slotId };
+    saveSlotRegistry(updated);
+    return updated;
+}
+
+// =============================================================================
+// SNAPSHOTS (named copies of a checklist, kept until deleted)
+// =============================================================================
+
+/**
+ * Persist the snapshot list
+ * @param {Array} snapshots - Snapshots
+ */
+function saveSnapshotList(snapshots) {
+    try {
+        localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots));
+    } catch (error) {
+        console.error('Failed to save snapshots:', error);
+    }
+}
+
+/**
+ * Read the stored snapshot list as written, including versions this build can't read
+ * @returns {Array} Stored snapshots
+ */
+function loadSnapshotList() {
+    try {
+        const stored = localStorage.getItem(SNAPSHOTS_KEY);
+        const snapshots = stored ? JSON.parse(stored) : [];
+        return Array.isArray(snapshots) ? snapshots : [];
+    } catch (error) {
+        console.error('Failed to load snapshots:', error);
+        return [];
+    }
+}
+
+/**
+ * List snapshots, newest first
+ * Older snapshots are migrated; corrupted ones and ones from a newer build are skipped
+ * (but kept in storage)
+ * @returns {Array} Snapshots: [{ id, name, createdAt, version, state }]
+ */
+export function listSnapshots() {
+    return loadSnapshotList()
+        .flatMap(snapshot => {
+            // Migrate each snapshot on its own so one corrupted snapshot doesn't hide the rest
+            try {
+                const state = migrateChecklistState(snapshot.state, snapshot.version);
+                return validateStateStructure(state) ? [{ ...snapshot, state, version: CURRENT_STATE_VERSION }] : [];
+            } catch (error) {
+                console.error(`Skipping corrupted snapshot ${snapshot?.id}:`, error);
+                return [];
+            }
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Save a named snapshot of a checklist
+ * @param {string} name - Snapshot name
+ * @param {Object} state - Checklist state: { tradingStyle, timeframeConfig, checklistState }
+ * @returns {Array|null} Updated snapshot list, or null if the state is invalid
+ */
+export function createSnapshot(name, state) {
+    if (!validateStateStructure(state)) return null;
+
+    const createdAt = new Date().getTime();
+    const snapshot = {
+        id: `snap_${createdAt.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim() || `Snapshot ${new Date(createdAt).toLocaleString()}`,
+        createdAt,
+        version: CURRENT_STATE_VERSION,
+        state
+    };
+    saveSnapshotList([snapshot, ...loadSnapshotList()]);
+    return listSnapshots();
+}
+
+/**
+ * Copy a snapshot under a new name
+ * @param {string} id - Snapshot ID
+ * @returns {Array} Updated snapshot list
+ */
+export function duplicateSnapshot(id) {
+    const original = listSnapshots().find(snapshot => snapshot.id === id);
+    if (!original) return listSnapshots();
+
+    return createSnapshot(`${original.name} (copy)`, original.state);
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} id - Snapshot ID
+ * @returns {Array} Updated snapshot list
+ */
+export function deleteSnapshot(id) {
+    saveSnapshotList(loadSnapshotList().filter(snapshot => snapshot.id !== id));
+    return listSnapshots();
+}
+
+// =============================================================================
+// WATCHLIST (saved partial checklists, one per ticker)
+// =============================================================================
+
+/**
+ * Read the raw watchlist map
+ * @returns {Object} Items keyed by ticker
+ */
+function loadWatchlistMap() {
+    try {
+        const stored = localStorage.getItem(WATCHLIST_KEY);
+        if (!stored) return {};
+
+        const items = JSON.parse(stored);
+        return items && typeof items === 'object' ? items : {};
+    } catch (error) {
+        console.error('Failed to load watchlist:', error);
+        return {};
+    }
+}
+
+/**
+ * List watchlist items, most recently saved first
+ * Older items are migrated; items with a corrupted checklist are skipped
+ * @returns {Array} Items: [{ ticker, state, savedAt, version }]
+ */
+export function loadWatchlist() {
+    return Object.values(loadWatchlistMap())
+        .flatMap(item => {
+            // Migrate each item on its own so one corrupted item doesn't hide the rest
+            try {
+                const state = migrateChecklistState(item.state, item.version);
+                return validateStateStructure(state) ? [{ ...item, state, version: CURRENT_STATE_VERSION }] : [];
+            } catch (error) {
+                console.error(`Skipping corrupted watchlist item ${item?.ticker}:`, error);
+                return [];
+            }
+        })
+        .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Add or replace the watchlist item for the checklist's ticker
+ * @param {Object} state - Checklist state: { tradingStyle, timeframeConfig, checklistState }
+ * @returns {boolean} True if saved, false if there is no ticker or storage failed
+ */
+export function saveWatchlistItem(state) {
+    const ticker = state?.checklistState?.symbol?.ticker?.trim().toUpperCase();
+    if (!ticker || !validateStateStructure(state)) return false;
+
+    try {
+        const items = loadWatchlistMap();
+        items[ticker] = { ticker, state, savedAt: new Date().getTime(), version: CURRENT_STATE_VERSION };
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(items));
+        return true;
+    } catch (error) {
+        console.error('Failed to save watchlist item:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove a ticker from the watchlist
+ * @param {string} ticker - Ticker symbol
+ */
+export function removeWatchlistItem(ticker) {
+    try {
+        const items = loadWatchlistMap();
+        delete items[ticker];
+        localStorage.setItem(WATCHLIST_KEY, JSON.stringify(items));
+    } catch (error) {
+        console.error('Failed to remove watchlist item:', error);
+    }
+}
+
 /**
  * Save trading style preference
  * @param {string} styleId - Trading style ID: 'day' | 'swing' | 'position'
@@ -219,6 +667,7 @@ export function clearTradingStyle() {
 /**
  * Export checklist data as JSON string for download
  * UPDATED: Now includes trading style and timeframe configuration
+ * UPDATED: Now includes the instrument symbol
  * @param {Object} state - Complete checklist state
  * @param {Object} finalDecision - Final decision data
  * @returns {string} JSON string
@@ -226,20 +675,22 @@ export function clearTradingStyle() {
 export function exportTradeData(state, finalDecision) {
     const exportData = {
         exportDate: new Date().toISOString(),
+        symbol: state.symbol || null,
         tradingStyle: state.tradingStyle || 'swing',
         timeframes: state.timeframeConfig || {
             higher: 'weekly',
             mid: 'daily',
             lower: '4hour'
         },
-        riskPercent: finalDecision?.recommendation?.recommendedRisk || 2,
+        riskPercent: finalDecision?.recommendation?.recommendedRisk ?? 2,
         holdTimeExpected: finalDecision?.expectedHoldTime || '2-10 days',
         higherTFChecks: state.higherTF || state.weekly,
         midTFChecks: state.midTF || state.daily,
         lowerTFChecks: state.lowerTF || state.fourHour,
         positionSize: state.positionSizeRecommendation,
+        managementPlan: getTradeManagementPlan(state),
         finalDecision: finalDecision,
-        version: '2.0' // Updated version
+        version: CURRENT_EXPORT_VERSION
     };
 
     return JSON.stringify(exportData, null, 2);
@@ -258,7 +709,8 @@ export function downloadTradeData(state, finalDecision) {
 
         const link = document.createElement('a');
         link.href = url;
-        link.download = `trade-checklist-${new Date().toISOString().split('T')[0]}.json`;
+        const tickerPrefix = state.symbol?.ticker ? `${state.symbol.ticker}-` : '';
+        link.download = `trade-checklist-${tickerPrefix}${new Date().toISOString().split('T')[0]}.json`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
@@ -267,3 +719,89 @@ export function downloadTradeData(state, finalDecision) {
         console.error('Failed to download trade data:', error);
     }
 }
+
+/**
+ * Work out where an imported checklist should resume
+ * @param {Object} checklistState - Rebuilt checklist state
+ * @returns {string} Step: 'higher' | 'mid' | 'lower' | 'final'
+ */
+function deriveImportedStep(checklistState) {
+    if (checklistState.finalDecision || checklistState.lowerTF.isPassed) return 'final';
+    if (checklistState.midTF.isPassed) return 'lower';
+    if (checklistState.higherTF.isPassed) return 'mid';
+    return 'higher';
+}
+
+/**
+ * Parse a file written by exportTradeData back into checklist state
+ * Older files (e.g. the legacy weekly/daily/fourHour shape) are migrated first
+ * @param {string} jsonString - File contents
+ * @returns {Object} { success: true, data: { tradingStyle, timeframeConfig, checklistState, finalDecision, exportDate } }
+ *                   or { success: false, error }
+ */
+export function parseTradeImport(jsonString) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonString);
+    } catch (error) {
+        return { success: false, error: 'File is not valid JSON', details: error.message };
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { success: false, error: 'File does not contain a trade checklist' };
+    }
+
+    const data = migrateTradeExport(parsed);
+    if (!data) {
+        return { success: false, error: `Unsupported file version: ${parsed.version}` };
+    }
+
+    const { higherTFChecks: higherChecks, midTFChecks: midChecks, lowerTFChecks: lowerChecks } = data;
+    if (!higherChecks || !midChecks || !lowerChecks) {
+        return { success: false, error: 'File is missing the timeframe checks' };
+    }
+
+    const styleConfig = getTimeframeConfig(data.tradingStyle);
+    const emptyMid = createEmptyMidTimeframeState();
+    const emptyLower = createEmptyLowerTimeframeState();
+
+    const checklistState = {
+        ...createInitialChecklistState(),
+        symbol: { ...createEmptySymbol(), ...data.symbol },
+        higherTF: { ...createEmptyTimeframeState(), ...higherChecks },
+        midTF: {
+            ...emptyMid,
+            ...midChecks,
+            prices: { ...emptyMid.prices, ...midChecks.prices },
+            management: { ...emptyMid.management, ...midChecks.management }
+        },
+        lowerTF: {
+            ...emptyLower,
+            ...lowerChecks,
+            positionData: { ...emptyLower.positionData, ...lowerChecks.positionData }
+        },
+        positionSizeRecommendation: data.positionSize ?? 100,
+        finalDecision: data.finalDecision || null
+    };
+    checklistState.currentStep = deriveImportedStep(checklistState);
+
+    const state = {
+        tradingStyle: styleConfig.id,
+        timeframeConfig: data.timeframes,
+        checklistState
+    };
+
+    // Same structure checks as saved state
+    if (!validateStateStructure(state)) {
+        return { success: false, error: 'File does not contain a valid checklist' };
+    }
+
+    return {
+        success: true,
+        data: {
+            ...state,
+            finalDecision: checklistState.finalDecision,
+            exportDate: data.exportDate || null
+        }
+    };
+}
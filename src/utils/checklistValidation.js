@@ -11,9 +11,10 @@ import { calculateRiskPercent } from './TimeframeConfig';
  * @param {Object} checks - Timeframe check state
  * @param {string} timeframeName - Name of timeframe (e.g., "Daily", "Weekly", "Monthly")
  * @param {string} styleId - Trading style ID for risk calculation
+ * @param {Object} [drawdownThrottle] - Active drawdown risk cut ({ drawdownPercent, multiplier }, see getDrawdownThrottle)
  * @returns {Object} Validation result with pass/fail, position adjustment, and message
  */
-export function validateHigherTimeframe(checks, timeframeName = 'Weekly', styleId = 'swing') {
+export function validateHigherTimeframe(checks, timeframeName = 'Weekly', styleId = 'swing', drawdownThrottle = null) {
     const {
         uptrendConfirmed,
         above50EMA,
@@ -38,9 +39,11 @@ export function validateHigherTimeframe(checks, timeframeName = 'Weekly', styleI
     // Special case: consolidation detected
     const consolidationDetected = !notConsolidating;
 
-    // Calculate recommended risk based on style and consolidation
-    const fullRisk = calculateRiskPercent(styleId, false);
-    const reducedRisk = calculateRiskPercent(styleId, true);
+    // Calculate recommended risk based on style and consolidation,
+    // cut further while the account is in drawdown
+    const riskMultiplier = drawdownThrottle ? drawdownThrottle.multiplier : 1;
+    const fullRisk = Number((calculateRiskPercent(styleId, false) * riskMultiplier).toFixed(2));
+    const reducedRisk = Number((calculateRiskPercent(styleId, true) * riskMultiplier).toFixed(2));
 
     // Determine position size adjustment
     let positionAdjustment = 100; // Default full position
@@ -64,6 +67,10 @@ export function validateHigherTimeframe(checks, timeframeName = 'Weekly', styleI
         message = `✓ ${timeframeName} context validated - Full position approved (${fullRisk}% risk)`;
     }
 
+    if (isPassed && drawdownThrottle) {
+        message += ` · cut to ${drawdownThrottle.multiplier}× for ${drawdownThrottle.drawdownPercent.toFixed(1)}% drawdown`;
+    }
+
     return {
         isPassed,
         consolidationDetected,
@@ -71,7 +78,8 @@ export function validateHigherTimeframe(checks, timeframeName = 'Weekly', styleI
         message,
         passedCount,
         totalChecks: 5,
-        recommendedRisk: consolidationDetected ? reducedRisk : fullRisk
+        recommendedRisk: consolidationDetected ? reducedRisk : fullRisk,
+        drawdownThrottle
     };
 }
 
@@ -415,3 +423,29 @@ export function shouldAutoCheckPositionSize(riskPercent, maxRisk = 2.0) {
     const risk = parseFloat(riskPercent);
     return !isNaN(risk) && risk > 0 && risk <= maxRisk;
 }
+
+/**
+ * Stop distance expressed in ATR multiples
+ * @param {number} entry - Entry price
+ * @param {number} stop - Stop loss price
+ * @param {number} atr - Average True Range
+ * @returns {number|null} ATR multiple, or null if any input is missing
+ */
+export function getStopAtrMultiple(entry, stop, atr) {
+    const distance = Math.abs(parseFloat(entry) - parseFloat(stop));
+    const range = parseFloat(atr);
+    if (isNaN(distance) || isNaN(range) || range <= 0) return null;
+    return distance / range;
+}
+
+/**
+ * Auto-check stop distance if it sits within the style's ATR band
+ * Too tight gets shaken out by noise, too wide shrinks the position
+ * @param {number} atrMultiple - Stop distance in ATR multiples
+ * @param {Object} rule - VALIDATION_RULES.atrStop entry: { min, max }
+ * @returns {boolean} Whether checkbox should be auto-checked
+ */
+export function shouldAutoCheckStopDistance(atrMultiple, rule) {
+    if (atrMultiple === null || !rule) return false;
+    return atrMultiple >= rule.min && atrMultiple <= rule.max;
+}
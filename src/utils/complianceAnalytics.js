@@ -0,0 +1,134 @@
+/**
+ * Checklist Compliance Analytics
+ * Relates individual checklist checks to realized trade outcomes
+ * and flags executions that ignored the position recommendation
+ */
+
+import { getTimeframeConfig } from './TimeframeConfig';
+import {
+    validateHigherTimeframe,
+    validateMidTimeframe,
+    validateLowerTimeframe,
+    calculatePositionRecommendation
+} from './checklistValidation';
+import { calculateTradeStatistics } from './tradeStatistics';
+
+/**
+ * Check IDs per timeframe tier, in checklist order
+ */
+export const CHECKLIST_CHECKS = {
+    higherTF: [
+        { id: 'uptrendConfirmed', label: 'Uptrend confirmed' },
+        { id: 'above50EMA', label: 'Price above 50 EMA' },
+        { id: 'emaAlignment', label: '20/50 EMA alignment' },
+        { id: 'notConsolidating', label: 'Not consolidating' },
+        { id: 'clearFromResistance', label: 'Clear from resistance' }
+    ],
+    midTF: [
+        { id: 'breakoutOrPullback', label: 'Breakout/Pullback pattern' },
+        { id: 'aboveEMA', label: 'Price above 20 EMA' },
+        { id: 'volumeConfirmation', label: 'Volume confirmation' },
+        { id: 'gapAcceptable', label: 'Gap validation' },
+        { id: 'cleanHigherLow', label: 'Higher low structure' },
+        { id: 'rrAtLeast2to1', label: 'R:R minimum 2:1' }
+    ],
+    lowerTF: [
+        { id: 'stopBelowStructure', label: 'Stop below structure' },
+        { id: 'stopDistanceOk', label: 'Stop distance validation' },
+        { id: 'notAfterExtended', label: 'Entry timing check' },
+        { id: 'retestOrPullback', label: 'Retest confirmation' },
+        { id: 'rrStillValid', label: 'R:R validation' },
+        { id: 'positionSizeValid', label: 'Position size within limits' }
+    ]
+};
+
+const toOutcome = (entry) => ({
+    rMultiple: entry.outcome.rMultiple,
+    pnl: entry.outcome.pnl
+});
+
+/**
+ * Compare outcomes of trades taken with vs. without each check passing
+ * @param {Array} closedEntries - Executed journal records that have an outcome
+ * @returns {Object} Map of tier to rows: { id, label, passed, failed, expectancyEdge }
+ */
+export function analyzeCheckCompliance(closedEntries) {
+    return Object.entries(CHECKLIST_CHECKS).reduce((report, [tier, checks]) => ({
+        ...report,
+        [tier]: checks.map(({ id, label }) => {
+            const passed = closedEntries.filter(entry => entry.checklist?.[tier]?.[id]);
+            const failed = closedEntries.filter(entry => !entry.checklist?.[tier]?.[id]);
+            const passedStats = calculateTradeStatistics(passed.map(toOutcome));
+            const failedStats = calculateTradeStatistics(failed.map(toOutcome));
+
+            return {
+                id,
+                label,
+                passed: passedStats,
+                failed: failedStats,
+                // How much expectancy the check adds; null until both sides have trades
+                expectancyEdge: passedStats && failedStats
+                    ? (parseFloat(passedStats.expectancy) - parseFloat(failedStats.expectancy)).toFixed(2)
+                    : null
+            };
+        })
+    }), {});
+}
+
+/**
+ * Re-run the checklist validation stored with a journal record
+ * @param {Object} entry - Journal record
+ * @returns {Object} { higherValidation, recommendation }
+ */
+export function getEntryRecommendation(entry) {
+    const styleConfig = getTimeframeConfig(entry.tradingStyle);
+    const { higherTF, midTF, lowerTF } = entry.checklist;
+
+    const higherValidation = validateHigherTimeframe(higherTF, styleConfig.higher.name, styleConfig.id);
+    const midValidation = validateMidTimeframe(midTF, styleConfig.mid.name, styleConfig.lower.name);
+    const lowerValidation = validateLowerTimeframe(lowerTF, styleConfig.lower.name);
+
+    return {
+        higherValidation,
+        recommendation: calculatePositionRecommendation(
+            higherValidation,
+            midValidation,
+            lowerValidation,
+            styleConfig.higher.name,
+            styleConfig.mid.name,
+            styleConfig.lower.name
+        )
+    };
+}
+
+/**
+ * Find executed trades that contradict calculatePositionRecommendation
+ * Either taken while the recommendation was 0%, or risked more than the recommended percent
+ * @param {Array} entries - Journal records
+ * @returns {Array<{ entry: Object, reason: string }>} Violations, in journal order
+ */
+export function findRecommendationViolations(entries) {
+    return entries
+        .filter(entry => entry.action === 'execute' && entry.checklist)
+        .map((entry) => {
+            const { higherValidation, recommendation } = getEntryRecommendation(entry);
+
+            if (recommendation.recommendation === 0) {
+                return {
+                    entry,
+                    reason: `Executed on ${recommendation.status}: ${recommendation.reason}`
+                };
+            }
+
+            const riskTaken = parseFloat(entry.positionData?.riskPercent);
+            if (!isNaN(riskTaken) && riskTaken > higherValidation.recommendedRisk) {
+                return {
+                    entry,
+                    reason: `Risked ${riskTaken}% vs ${higherValidation.recommendedRisk}% recommended (${recommendation.status})`
+                };
+            }
+
+            return null;
+        })
+        .filter(Boolean);
+}
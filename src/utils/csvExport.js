@@ -0,0 +1,142 @@
+/**
+ * CSV Export for the Trade Journal
+ * Flattens journal records (checklist, prices, sizing, decision, outcome)
+ * into one row per trade for spreadsheet reviews
+ */
+
+import { calculateRiskReward } from './tradingCalculators';
+import { CHECKLIST_CHECKS } from './complianceAnalytics';
+
+const TIER_PREFIXES = {
+    higherTF: 'higher',
+    midTF: 'mid',
+    lowerTF: 'lower'
+};
+
+const formatBoolean = (value) => (value ? 'Y' : 'N');
+
+/**
+ * R:R of the mid TF plan (entry/stop/target)
+ */
+const getPlannedRR = (entry) => {
+    const result = calculateRiskReward({
+        entryPrice: entry.prices?.entry,
+        stopLoss: entry.prices?.stop,
+        targetPrice: entry.prices?.target
+    });
+    return result.success ? result.data.rrRatio : '';
+};
+
+/**
+ * One column per checklist check, named e.g. 'higher_uptrendConfirmed'
+ */
+const CHECK_COLUMNS = Object.entries(CHECKLIST_CHECKS).flatMap(([tier, checks]) => [
+    ...checks.map(({ id }) => ({
+        header: `${TIER_PREFIXES[tier]}_${id}`,
+        value: (entry) => formatBoolean(entry.checklist?.[tier]?.[id])
+    })),
+    {
+        header: `${TIER_PREFIXES[tier]}_passed`,
+        value: (entry) => formatBoolean(entry.checklist?.[tier]?.isPassed)
+    }
+]);
+
+/**
+ * Column schema, in output order
+ * New columns go at the end so existing spreadsheets keep lining up
+ */
+export const JOURNAL_CSV_COLUMNS = [
+    { header: 'id', value: (entry) => entry.id },
+    { header: 'date', value: (entry) => entry.timestamp },
+    { header: 'ticker', value: (entry) => entry.ticker },
+    { header: 'name', value: (entry) => entry.symbol?.name },
+    { header: 'exchange', value: (entry) => entry.symbol?.exchange },
+    { header: 'asset_class', value: (entry) => entry.symbol?.assetClass },
+    { header: 'trading_style', value: (entry) => entry.tradingStyle },
+    { header: 'higher_tf', value: (entry) => entry.timeframeConfig?.higher },
+    { header: 'mid_tf', value: (entry) => entry.timeframeConfig?.mid },
+    { header: 'lower_tf', value: (entry) => entry.timeframeConfig?.lower },
+    ...CHECK_COLUMNS,
+    { header: 'pattern_type', value: (entry) => entry.checklist?.midTF?.patternType },
+    { header: 'gap_percent', value: (entry) => entry.checklist?.midTF?.gapPercentage },
+    { header: 'planned_entry', value: (entry) => entry.prices?.entry },
+    { header: 'planned_stop', value: (entry) => entry.prices?.stop },
+    { header: 'planned_target', value: (entry) => entry.prices?.target },
+    { header: 'planned_rr', value: getPlannedRR },
+    { header: 'account_size', value: (entry) => entry.positionData?.accountSize },
+    { header: 'risk_percent', value: (entry) => entry.positionData?.riskPercent },
+    { header: 'entry', value: (entry) => entry.positionData?.entry },
+    { header: 'stop', value: (entry) => entry.positionData?.stop },
+    { header: 'position_type', value: (entry) => entry.positionSize?.positionType },
+    { header: 'shares', value: (entry) => entry.positionSize?.shares },
+    { header: 'position_value', value: (entry) => entry.positionSize?.positionValue },
+    { header: 'risk_amount', value: (entry) => entry.positionSize?.riskAmount },
+    { header: 'decision', value: (entry) => entry.action },
+    { header: 'recommendation_status', value: (entry) => entry.recommendation?.status },
+    { header: 'recommended_size_percent', value: (entry) => entry.recommendation?.recommendation },
+    { header: 'exit_price', value: (entry) => entry.outcome?.exitPrice },
+    { header: 'exit_date', value: (entry) => entry.outcome?.exitDate },
+    { header: 'r_multiple', value: (entry) => entry.outcome?.rMultiple },
+    { header: 'pnl', value: (entry) => entry.outcome?.pnl },
+    { header: 'notes', value: (entry) => entry.notes },
+    { header: 'break_even_trigger', value: (entry) => entry.managementPlan?.breakEven.triggerPrice },
+    { header: 'break_even_stop', value: (entry) => entry.managementPlan?.breakEven.stopPrice }
+];
+
+/**
+ * Escape a single CSV cell (RFC 4180)
+ * Text starting with a formula character is prefixed with ' so spreadsheets
+ * don't evaluate it
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Build a CSV document from journal records
+ * @param {Array} entries - Journal records (one row each)
+ * @returns {string} CSV text with a header row
+ */
+export function journalEntriesToCsv(entries) {
+    const header = JOURNAL_CSV_COLUMNS.map(column => escapeCsvValue(column.header)).join(',');
+    const rows = entries.map(entry =>
+        JOURNAL_CSV_COLUMNS.map(column => escapeCsvValue(column.value(entry))).join(',')
+    );
+
+    return [header, ...rows].join('\r\n');
+}
+
+/**
+ * Trigger download of journal records as a CSV file
+ * @param {Array} entries - Journal records
+ * @param {string} filename - File name without extension
+ */
+export function downloadJournalCsv(entries, filename = `trade-journal-${new Date().toISOString().split('T')[0]}`) {
+    try {
+        // BOM so Excel opens the file as UTF-8
+        const blob = new Blob(['\uFEFF', journalEntriesToCsv(entries)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${filename}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Failed to download journal CSV:', error);
+    }
+}
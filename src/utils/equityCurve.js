@@ -0,0 +1,97 @@
+/**
+ * Account Equity Curve
+ * Builds the balance history from deposits, withdrawals and closed-trade P&L,
+ * and derives the drawdown-based risk throttle
+ */
+
+/**
+ * Build the account balance history
+ * Deposits and withdrawals move the peak with the balance, so only trading
+ * losses count as drawdown
+ * @param {Array} transactions - Ledger: [{ id, type: 'deposit'|'withdrawal', amount, date }]
+ * @param {Array} closedTrades - Closed trade outcomes: [{ id, ticker, exitDate, pnl }]
+ * @returns {Object|null} { points, netDeposits, tradingPnl, currentBalance, peakBalance,
+ *   currentDrawdownPercent, maxDrawdownPercent }, or null when there is no history
+ */
+export function buildEquityCurve(transactions, closedTrades) {
+    const cashFlows = transactions
+        .map(transaction => ({
+            id: transaction.id,
+            date: transaction.date,
+            type: transaction.type,
+            label: transaction.note || (transaction.type === 'deposit' ? 'Deposit' : 'Withdrawal'),
+            change: transaction.type === 'withdrawal'
+                ? -Math.abs(parseFloat(transaction.amount))
+                : Math.abs(parseFloat(transaction.amount))
+        }));
+    const trades = closedTrades
+        .map(trade => ({
+            id: `trade_${trade.id}`,
+            date: trade.exitDate,
+            type: 'trade',
+            label: trade.ticker,
+            change: parseFloat(trade.pnl)
+        }));
+
+    // Cash flows first on the same day (sort is stable)
+    const events = [...cashFlows, ...trades]
+        .filter(event => event.date && !isNaN(event.change))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (events.length === 0) return null;
+
+    let balance = 0;
+    let peak = 0;
+    let maxDrawdownPercent = 0;
+    let netDeposits = 0;
+
+    const points = events.map((event) => {
+        balance += event.change;
+        if (event.type === 'trade') {
+            peak = Math.max(peak, balance);
+        } else {
+            netDeposits += event.change;
+            peak = Math.max(peak + event.change, balance);
+        }
+
+        const drawdownPercent = peak > 0 ? ((peak - balance) / peak) * 100 : 0;
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+
+        return { ...event, balance, peak, drawdownPercent };
+    });
+
+    const last = points[points.length - 1];
+
+    return {
+        points,
+        netDeposits: netDeposits.toFixed(2),
+        tradingPnl: (balance - netDeposits).toFixed(2),
+        currentBalance: balance.toFixed(2),
+        peakBalance: last.peak.toFixed(2),
+        currentDrawdownPercent: last.drawdownPercent.toFixed(2),
+        maxDrawdownPercent: maxDrawdownPercent.toFixed(2)
+    };
+}
+
+/**
+ * Find the risk cut that applies at the current drawdown
+ * The deepest tier the drawdown has reached wins; tiers need a multiplier above 0 and below 1
+ * @param {number|string} drawdownPercent - Current drawdown from peak
+ * @param {Object} rules - { enabled, tiers: [{ drawdownPercent, riskMultiplier }] }
+ * @returns {Object|null} { drawdownPercent, threshold, multiplier }, or null when no tier applies
+ */
+export function getDrawdownThrottle(drawdownPercent, rules) {
+    const drawdown = parseFloat(drawdownPercent);
+    if (!rules?.enabled || isNaN(drawdown)) return null;
+
+    const tier = rules.tiers
+        .map(({ drawdownPercent: threshold, riskMultiplier }) => ({
+            threshold: parseFloat(threshold),
+            multiplier: parseFloat(riskMultiplier)
+        }))
+        .filter(({ threshold, multiplier }) => threshold > 0 && multiplier > 0 && multiplier < 1)
+        .sort((a, b) => b.threshold - a.threshold)
+        .find(({ threshold }) => drawdown >= threshold);
+
+    return tier ? { drawdownPercent: drawdown, ...tier } : null;
+}
@@ -0,0 +1,189 @@
+/**
+ * IndexedDB Helper Functions for the Trade Journal
+ * Persists every checklist decision (execute, pass, save for later)
+ * Unlike checklistStorage, journal records never expire
+ */
+
+import { calculatePositionSize } from './tradingCalculators';
+import { getChecklistSizingInstrument } from '../constants/instruments';
+import { getSerializableState, getTradeManagementPlan } from '../selectors/checklistSelectors';
+
+const DB_NAME = 'vqm_trade_journal';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+export const JOURNAL_ACTIONS = {
+    EXECUTE: 'execute',
+    PASS: 'pass',
+    SAVE: 'save'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the journal database
+ * Connection is cached for the lifetime of the page
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openJournalDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+                store.createIndex('action', 'action');
+                store.createIndex('tradingStyle', 'tradingStyle');
+                store.createIndex('ticker', 'ticker');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the entries store
+ * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+async function runStoreRequest(mode, operation) {
+    const db = await openJournalDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Build a journal record from the current checklist and decision
+ * @param {Object} params - Record inputs
+ * @param {Object} params.checklistState - Checklist reducer state
+ * @param {string} params.tradingStyle - Trading style ID
+ * @param {Object} params.timeframeConfig - Timeframe codes: { higher, mid, lower }
+ * @param {Object} params.decision - Decision from FinalDecisionPanel ({ action, timestamp, ... })
+ * @param {Object} [params.currencies] - { accountCurrency, quoteCurrency, fxRate } the position is sized in
+ * @returns {Object} Journal record (without id)
+ */
+export function createJournalEntry({ checklistState, tradingStyle, timeframeConfig, decision, currencies }) {
+    const { positionData } = checklistState.lowerTF;
+    const sizing = calculatePositionSize({
+        accountSize: positionData.accountSize,
+        riskPercent: positionData.riskPercent,
+        entryPrice: positionData.entry,
+        stopLoss: positionData.stop,
+        instrument: getChecklistSizingInstrument(checklistState.symbol?.assetClass),
+        ...currencies
+    });
+    const timestamp = decision?.timestamp || new Date().toISOString();
+
+    return {
+        timestamp,
+        updatedAt: timestamp,
+        action: decision?.action || JOURNAL_ACTIONS.SAVE,
+        ticker: (checklistState.symbol?.ticker || '').trim().toUpperCase(),
+        symbol: checklistState.symbol || null,
+        tradingStyle: tradingStyle || 'swing',
+        timeframeConfig,
+        prices: { ...checklistState.midTF.prices },
+        positionData: { ...positionData },
+        positionSize: sizing.success ? sizing.data : null,
+        recommendation: decision?.recommendation || null,
+        managementPlan: getTradeManagementPlan(checklistState),
+        checklist: getSerializableState(checklistState),
+        decision,
+        notes: ''
+    };
+}
+
+/**
+ * Add a record to the journal
+ * @param {Object} entry - Record built by createJournalEntry
+ * @returns {Promise<Object|null>} Stored record with its id, or null on failure
+ */
+export async function saveJournalEntry(entry) {
+    try {
+        const id = await runStoreRequest('readwrite', (store) => store.add(entry));
+        return { ...entry, id };
+    } catch (error) {
+        console.error('Failed to save journal entry:', error);
+        return null;
+    }
+}
+
+/**
+ * Load every journal record, newest first
+ * @returns {Promise<Array>} Journal records (empty on failure)
+ */
+export async function loadJournalEntries() {
+    try {
+        const entries = await runStoreRequest('readonly', (store) => store.getAll());
+        return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    } catch (error) {
+        console.error('Failed to load journal entries:', error);
+        return [];
+    }
+}
+
+/**
+ * Merge changes into an existing record
+ * @param {number} id - Record id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated record, or null on failure
+ */
+export async function updateJournalEntry(id, changes) {
+    try {
+        const existing = await runStoreRequest('readonly', (store) => store.get(id));
+        if (!existing) return null;
+
+        const updated = {
+            ...existing,
+            ...changes,
+            id,
+            updatedAt: new Date().toISOString()
+        };
+        await runStoreRequest('readwrite', (store) => store.put(updated));
+        return updated;
+    } catch (error) {
+        console.error('Failed to update journal entry:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove a record from the journal
+ * @param {number} id - Record id
+ * @returns {Promise<boolean>} True if delete successful
+ */
+export async function deleteJournalEntry(id) {
+    try {
+        await runStoreRequest('readwrite', (store) => store.delete(id));
+        return true;
+    } catch (error) {
+        console.error('Failed to delete journal entry:', error);
+        return false;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Monte Carlo Trade Simulation
+ * Probability-weighted expectancy and simulated equity paths for a
+ * fixed-fractional plan (every trade risks the same percent of current equity)
+ * Free of DOM and React so it can run inside a Web Worker (see workers/monteCarlo.worker.js)
+ */
+
+import { TRADING_LIMITS } from '../constants/tradingLimits';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so a run can be repeated
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Value at a percentile of an ascending list (nearest rank)
+ * @param {Float64Array} sorted - Values in ascending order
+ * @param {number} percentile - 0-100
+ * @returns {number} Value at the percentile
+ */
+function getPercentile(sorted, percentile) {
+    const rank = Math.ceil((percentile / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+
+/**
+ * Calculate the probability-weighted expectancy of a trade plan
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.winRate - Win rate in percent (0-100)
+ * @param {number} params.rrRatio - Reward per unit of risk on a win (losses are -1R)
+ * @param {number} [params.riskPercent] - Risk per trade in percent, enables expectancy in percent
+ * @returns {Object} Expectancy in R (and percent of equity), break-even win rate, or error
+ */
+export function calculateExpectancy({ winRate, rrRatio, riskPercent }) {
+    // Step 1: Type checking and conversion
+    const winPct = parseFloat(winRate);
+    const rr = parseFloat(rrRatio);
+    const risk = isBlank(riskPercent) ? null : parseFloat(riskPercent);
+
+    // Step 2: Range validation
+    if (isNaN(winPct) || winPct < 0 || winPct > 100) {
+        return {
+            success: false,
+            error: 'Win rate must be between 0 and 100 percent',
+            field: 'winRate'
+        };
+    }
+
+    if (isNaN(rr) || !isFinite(rr) || rr <= 0) {
+        return {
+            success: false,
+            error: 'R:R must be greater than zero',
+            field: 'rrRatio'
+        };
+    }
+
+    if (risk !== null && (isNaN(risk) || risk <= 0 || risk > 100)) {
+        return {
+            success: false,
+            error: 'Risk percent must be between 0 and 100',
+            field: 'riskPercent'
+        };
+    }
+
+    // Step 3: Calculate
+    const p = winPct / 100;
+    const expectancyR = p * rr - (1 - p);
+
+    return {
+        success: true,
+        data: {
+            winRate: winPct,
+            rrRatio: rr,
+            expectancyR: expectancyR.toFixed(2),
+            expectancyPercent: risk !== null ? (expectancyR * risk).toFixed(2) : null,
+            breakEvenWinRate: ((1 / (1 + rr)) * 100).toFixed(1),
+            isPositive: expectancyR > 0
+        }
+    };
+}
+
+/**
+ * Simulate equity paths of a trade plan
+ * Each trade wins `rrRatio` times the risk with probability `winRate`, otherwise loses the risk.
+ * A path is ruined (and stops trading) once equity falls to the ruin level.
+ * @param {Object} params - Simulation parameters
+ * @param {number} params.winRate - Win rate in percent (0-100)
+ * @param {number} params.rrRatio - Reward per unit of risk on a win
+ * @param {number} params.riskPercent - Risk per trade in percent of current equity
+ * @param {number} [params.tradeCount] - Trades per path
+ * @param {number} [params.pathCount] - Number of paths
+ * @param {number} [params.startingEquity] - Starting account equity (default 10,000)
+ * @param {number} [params.ruinPercent] - Loss of starting equity that counts as ruin
+ * @param {number} [params.seed] - Random seed, for repeatable runs
+ * @returns {Object} Ending equity and drawdown percentiles, risk of ruin, or error
+ */
+export function simulateEquityPaths({
+    winRate, rrRatio, riskPercent, tradeCount, pathCount, startingEquity, ruinPercent, seed
+}) {
+    try {
+        // Step 1: Expectancy validates win rate, R:R and risk
+        const expectancy = calculateExpectancy({ winRate, rrRatio, riskPercent });
+        if (!expectancy.success) return expectancy;
+
+        if (isBlank(riskPercent)) {
+            return {
+                success: false,
+                error: 'Risk percent is required',
+                field: 'riskPercent'
+            };
+        }
+
+        // Step 2: Simulation size and account (blank = defaults)
+        const trades = isBlank(tradeCount) ? TRADING_LIMITS.DEFAULT_SIMULATED_TRADES : Number(tradeCount);
+        if (!Number.isInteger(trades) || trades < 1 || trades > TRADING_LIMITS.MAX_SIMULATED_TRADES) {
+            return {
+                success: false,
+                error: `Number of trades must be a whole number from 1 to ${TRADING_LIMITS.MAX_SIMULATED_TRADES}`,
+                field: 'tradeCount'
+            };
+        }
+
+        const paths = isBlank(pathCount) ? TRADING_LIMITS.DEFAULT_SIMULATION_PATHS : Number(pathCount);
+        if (!Number.isInteger(paths) || paths < 100 || paths > TRADING_LIMITS.MAX_SIMULATION_PATHS) {
+            return {
+                success: false,
+                error: `Number of paths must be a whole number from 100 to ${TRADING_LIMITS.MAX_SIMULATION_PATHS.toLocaleString()}`,
+                field: 'pathCount'
+            };
+        }
+
+        const equity = isBlank(startingEquity) ? 10000 : parseFloat(startingEquity);
+        if (isNaN(equity) || !isFinite(equity) || equity <= 0) {
+            return {
+                success: false,
+                error: 'Starting equity must be greater than zero',
+                field: 'startingEquity'
+            };
+        }
+
+        const ruin = isBlank(ruinPercent) ? TRADING_LIMITS.DEFAULT_RUIN_DRAWDOWN : parseFloat(ruinPercent);
+        if (isNaN(ruin) || ruin <= 0 || ruin > 100) {
+            return {
+                success: false,
+                error: 'Ruin level must be between 0 and 100 percent',
+                field: 'ruinPercent'
+            };
+        }
+
+        // Step 3: Run the paths, keeping only what the summary needs
+        const random = createRandom(isBlank(seed) ? Math.floor(Math.random() * 4294967296) : Number(seed));
+        const p = expectancy.data.winRate / 100;
+        const risk = parseFloat(riskPercent) / 100;
+        const winGrowth = 1 + risk * expectancy.data.rrRatio;
+        const lossGrowth = 1 - risk;
+        const ruinLevel = equity * (1 - ruin / 100);
+
+        const endings = new Float64Array(paths);
+        const drawdowns = new Float64Array(paths);
+        let ruinedCount = 0;
+        let profitableCount = 0;
+
+        for (let path = 0; path < paths; path++) {
+            let balance = equity;
+            let peak = equity;
+            let maxDrawdown = 0;
+
+            for (let trade = 0; trade < trades; trade++) {
+                balance *= random() < p ? winGrowth : lossGrowth;
+                peak = Math.max(peak, balance);
+                maxDrawdown = Math.max(maxDrawdown, (peak - balance) / peak);
+
+                if (balance <= ruinLevel) {
+                    ruinedCount++;
+                    break;
+                }
+            }
+
+            endings[path] = balance;
+            drawdowns[path] = maxDrawdown * 100;
+            if (balance > equity) profitableCount++;
+        }
+
+        // Step 4: Summarize
+        endings.sort();
+        drawdowns.sort();
+        const medianEnding = getPercentile(endings, 50);
+
+        return {
+            success: true,
+            data: {
+                expectancy: expectancy.data,
+                pathCount: paths,
+                tradeCount: trades,
+                startingEquity: equity.toFixed(2),
+                ruinPercent: ruin,
+                ruinLevel: ruinLevel.toFixed(2),
+                endingEquity: {
+                    p5: getPercentile(endings, 5).toFixed(2),
+                    median: medianEnding.toFixed(2),
+                    p95: getPercentile(endings, 95).toFixed(2)
+                },
+                medianReturnPercent: (((medianEnding - equity) / equity) * 100).toFixed(2),
+                maxDrawdown: {
+                    median: getPercentile(drawdowns, 50).toFixed(2),
+                    p90: getPercentile(drawdowns, 90).toFixed(2),
+                    p95: getPercentile(drawdowns, 95).toFixed(2),
+                    p99: getPercentile(drawdowns, 99).toFixed(2)
+                },
+                riskOfRuin: ((ruinedCount / paths) * 100).toFixed(2),
+                profitablePercent: ((profitableCount / paths) * 100).toFixed(1)
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Simulation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * Options trade calculations
+ * Expiration payoff, break-evens and contract sizing for defined-risk option strategies
+ * Following the same API handler pattern as tradingCalculators
+ */
+
+import { TRADING_LIMITS, formatCurrency } from '../constants/tradingLimits';
+import { OPTION_STRATEGIES, DEFAULT_OPTION_MULTIPLIER } from '../constants/optionStrategies';
+import { resolveFxRate } from './tradingCalculators';
+
+const EPSILON = 1e-9;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parse the strike and premium of every leg of a strategy
+ * @param {Object} strategy - OPTION_STRATEGIES entry
+ * @param {Object} legs - { [legKey]: { strike, premium } }
+ * @returns {{ values: Array }|{ error: string, legKey: string }} Parsed legs (ascending strikes) or error
+ */
+function parseLegs(strategy, legs = {}) {
+    const values = [];
+
+    for (const leg of strategy.legs) {
+        const strike = parseFloat(legs?.[leg.key]?.strike);
+        const premium = parseFloat(legs?.[leg.key]?.premium);
+
+        if (isNaN(strike) || !isFinite(strike) || strike <= 0 || strike > TRADING_LIMITS.MAX_PRICE) {
+            return { error: `${leg.label} strike must be a positive number`, legKey: leg.key };
+        }
+
+        if (isNaN(premium) || !isFinite(premium) || premium < 0 || premium > TRADING_LIMITS.MAX_PRICE) {
+            return { error: `${leg.label} premium must be zero or a positive number`, legKey: leg.key };
+        }
+
+        values.push({ ...leg, strike, premium, sign: leg.side === 'long' ? 1 : -1 });
+    }
+
+    for (let index = 1; index < values.length; index++) {
+        if (values[index].strike <= values[index - 1].strike) {
+            return {
+                error: `Strikes must be in ascending order: ${strategy.legs.map(leg => leg.label).join(' < ')}`,
+                legKey: values[index].key
+            };
+        }
+    }
+
+    return { values };
+}
+
+/**
+ * P&L per share of the underlying at expiration
+ * @param {Array} legs - Parsed legs
+ * @param {number} price - Underlying price at expiration
+ * @returns {number} Sum of intrinsic value minus premium, signed by side
+ */
+function getPayoffAtExpiry(legs, price) {
+    return legs.reduce((total, leg) => {
+        const intrinsic = leg.type === 'call' ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price);
+        return total + leg.sign * (intrinsic - leg.premium);
+    }, 0);
+}
+
+/**
+ * Calculate the expiration payoff of an option strategy (one contract of each leg)
+ * The payoff is linear between strikes, so its extremes sit at zero or on a strike,
+ * and past the highest strike it follows the net call slope.
+ * @param {Object} params - Calculation parameters
+ * @param {string} params.strategy - OPTION_STRATEGIES id
+ * @param {Object} params.legs - { [legKey]: { strike, premium } }, premiums per share
+ * @param {number} [params.multiplier] - Shares per contract (default 100)
+ * @returns {Object} Max profit/loss per contract, break-evens and R:R, or error
+ */
+export function calculateOptionPayoff({ strategy, legs, multiplier }) {
+    try {
+        // Step 1: Resolve the strategy
+        const definition = OPTION_STRATEGIES[strategy];
+        if (!definition) {
+            return {
+                success: false,
+                error: 'Unknown option strategy',
+                field: 'strategy'
+            };
+        }
+
+        // Step 2: Contract multiplier (blank = standard 100 shares)
+        const contractMultiplier = isBlank(multiplier) ? DEFAULT_OPTION_MULTIPLIER : parseFloat(multiplier);
+        if (isNaN(contractMultiplier) || !isFinite(contractMultiplier) || contractMultiplier <= 0) {
+            return {
+                success: false,
+                error: 'Contract multiplier must be greater than zero',
+                field: 'multiplier'
+            };
+        }
+
+        // Step 3: Validate strikes and premiums
+        const parsed = parseLegs(definition, legs);
+        if (parsed.error) {
+            return {
+                success: false,
+                error: parsed.error,
+                field: 'legs',
+                legKey: parsed.legKey
+            };
+        }
+        const legValues = parsed.values;
+
+        // Step 4: Payoff at every breakpoint, plus the slope above the highest strike
+        const breakpoints = [0, ...legValues.map(leg => leg.strike)];
+        const payoffs = breakpoints.map(price => getPayoffAtExpiry(legValues, price));
+        const upsideSlope = legValues
+            .filter(leg => leg.type === 'call')
+            .reduce((slope, leg) => slope + leg.sign, 0);
+
+        const isProfitUnlimited = upsideSlope > 0;
+        const maxProfitPerShare = isProfitUnlimited ? null : Math.max(...payoffs);
+        const maxLossPerShare = upsideSlope < 0 ? null : -Math.min(...payoffs);
+
+        // Step 5: Defined-risk sanity checks
+        if (maxLossPerShare === null) {
+            return {
+                success: false,
+                error: 'Strategy has unlimited risk and cannot be sized',
+                field: 'strategy'
+            };
+        }
+
+        if (maxLossPerShare <= EPSILON) {
+            return {
+                success: false,
+                error: 'Premiums leave no risk at any price. Check the strikes and premiums.',
+                field: 'legs'
+            };
+        }
+
+        if (!isProfitUnlimited && maxProfitPerShare <= EPSILON) {
+            return {
+                success: false,
+                error: 'Premiums leave no profit at any price. Check the strikes and premiums.',
+                field: 'legs'
+            };
+        }
+
+        // Step 6: Break-evens where the payoff crosses zero
+        const breakEvens = [];
+        for (let index = 1; index < breakpoints.length; index++) {
+            const [from, to] = [payoffs[index - 1], payoffs[index]];
+            if (Math.abs(to) <= EPSILON && (index < breakpoints.length - 1 || upsideSlope !== 0)) {
+                breakEvens.push(breakpoints[index]);
+            } else if (from * to < 0) {
+                const [low, high] = [breakpoints[index - 1], breakpoints[index]];
+                breakEvens.push(low + (-from * (high - low)) / (to - from));
+            }
+        }
+
+        const lastPayoff = payoffs.at(-1);
+        if (upsideSlope !== 0 && lastPayoff * upsideSlope < 0) {
+            breakEvens.push(breakpoints.at(-1) - lastPayoff / upsideSlope);
+        }
+
+        // Step 7: Net premium (positive = debit paid, negative = credit received)
+        const netPremium = legValues.reduce((total, leg) => total + leg.sign * leg.premium, 0);
+        const rrRatio = isProfitUnlimited ? null : maxProfitPerShare / maxLossPerShare;
+
+        return {
+            success: true,
+            data: {
+                strategy: definition.id,
+                label: definition.label,
+                multiplier: contractMultiplier,
+                premiumType: netPremium >= 0 ? 'debit' : 'credit',
+                netPremium: Math.abs(netPremium).toFixed(2),
+                netPremiumPerContract: (Math.abs(netPremium) * contractMultiplier).toFixed(2),
+                maxLossPerShare: maxLossPerShare.toFixed(2),
+                maxLossPerContract: (maxLossPerShare * contractMultiplier).toFixed(2),
+                maxProfitPerShare: isProfitUnlimited ? null : maxProfitPerShare.toFixed(2),
+                maxProfitPerContract: isProfitUnlimited ? null : (maxProfitPerShare * contractMultiplier).toFixed(2),
+                isProfitUnlimited,
+                breakEvens: breakEvens.map(price => price.toFixed(2)),
+                rrRatio: rrRatio !== null ? rrRatio.toFixed(2) : null,
+                isValidTrade: isProfitUnlimited || rrRatio >= 1
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Size an option position from account risk
+ * Contracts are sized so the max loss at expiration fits the risk amount,
+ * the way calculatePositionSize sizes shares from the loss at the stop
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.accountSize - Total account size
+ * @param {number} params.riskPercent - Risk percentage (1-100)
+ * @param {number} [params.dollarRisk] - Dollar risk per trade, used instead of riskPercent when given
+ * @param {string} params.strategy - OPTION_STRATEGIES id
+ * @param {Object} params.legs - { [legKey]: { strike, premium } }
+ * @param {number} [params.multiplier] - Shares per contract (default 100)
+ * @param {string} [params.accountCurrency] - Currency of the account and risk (default USD)
+ * @param {string} [params.quoteCurrency] - Currency strikes and premiums are quoted in (default: the account's)
+ * @param {number} [params.fxRate] - Account currency per 1 unit of quote currency, required when the currencies differ
+ * @returns {Object} Payoff data (quote currency) plus contracts and position totals (account currency), or error
+ */
+export function calculateOptionPositionSize({
+    accountSize, riskPercent, dollarRisk, strategy, legs, multiplier, accountCurrency, quoteCurrency, fxRate
+}) {
+    try {
+        // Step 1: Type checking and conversion (a dollar risk is turned into a percent)
+        const account = parseFloat(accountSize);
+        const hasDollarRisk = !isBlank(dollarRisk);
+        const riskPct = hasDollarRisk ? (parseFloat(dollarRisk) / account) * 100 : parseFloat(riskPercent);
+
+        if (isNaN(account) || isNaN(riskPct) || !isFinite(account) || !isFinite(riskPct)) {
+            return {
+                success: false,
+                error: 'Account size and risk must be valid numbers',
+                field: 'all'
+            };
+        }
+
+        // Step 2: Currencies - premiums are converted into the account currency at the FX rate
+        const fx = resolveFxRate({ accountCurrency, quoteCurrency, fxRate });
+        if (fx.error) {
+            return {
+                success: false,
+                error: fx.error,
+                field: fx.field
+            };
+        }
+        const { rate } = fx.values;
+
+        // Step 3: Range validation - Account size and risk
+        if (account <= 0 || account > TRADING_LIMITS.MAX_ACCOUNT_SIZE) {
+            return {
+                success: false,
+                error: `Account size must be above zero and below ${formatCurrency(TRADING_LIMITS.MAX_ACCOUNT_SIZE, fx.values.accountCurrency, 0)}`,
+                field: 'accountSize'
+            };
+        }
+
+        if (riskPct <= 0 || riskPct > 100) {
+            return {
+                success: false,
+                error: hasDollarRisk
+                    ? 'Dollar risk must be above zero and no more than the account size'
+                    : 'Risk percent must be between 0 and 100',
+                field: hasDollarRisk ? 'dollarRisk' : 'riskPercent'
+            };
+        }
+
+        // Step 4: Payoff of one contract
+        const payoff = calculateOptionPayoff({ strategy, legs, multiplier });
+        if (!payoff.success) return payoff;
+
+        // Step 5: Contracts the risk amount can carry at max loss
+        const riskAmount = (account * riskPct) / 100;
+        const maxLossPerContract = parseFloat(payoff.data.maxLossPerContract) * rate;
+        const contracts = Math.floor(riskAmount / maxLossPerContract + EPSILON);
+
+        if (contracts === 0) {
+            return {
+                success: false,
+                error: `Risk amount (${formatCurrency(riskAmount, fx.values.accountCurrency)}) is below the max loss of one contract (${formatCurrency(maxLossPerContract, fx.values.accountCurrency)}). Increase account size or risk percent.`,
+                field: 'calculation'
+            };
+        }
+
+        const totalMaxLoss = contracts * maxLossPerContract;
+        const totalMaxProfit = payoff.data.isProfitUnlimited
+            ? null
+            : contracts * parseFloat(payoff.data.maxProfitPerContract) * rate;
+
+        return {
+            success: true,
+            data: {
+                ...payoff.data,
+                contracts,
+                accountCurrency: fx.values.accountCurrency,
+                quoteCurrency: fx.values.quoteCurrency,
+                fxRate: rate,
+                riskAmount: riskAmount.toFixed(2),
+                totalPremium: (contracts * parseFloat(payoff.data.netPremiumPerContract) * rate).toFixed(2),
+                totalMaxLoss: totalMaxLoss.toFixed(2),
+                totalMaxProfit: totalMaxProfit !== null ? totalMaxProfit.toFixed(2) : null,
+                maxLossPercent: ((totalMaxLoss / account) * 100).toFixed(2)
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
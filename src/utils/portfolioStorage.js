@@ -0,0 +1,94 @@
+/**
+ * localStorage Helper Functions for Portfolio Heat
+ * Keeps manually entered open positions and the heat cap between visits;
+ * executed checklist trades come from the journal instead
+ */
+
+import { TRADING_LIMITS } from '../constants/tradingLimits';
+
+const OPEN_POSITIONS_KEY = 'vqm_open_positions';
+const HEAT_CAP_KEY = 'vqm_heat_cap';
+
+/**
+ * Load the manually entered open positions
+ * @returns {Array} Positions: [{ id, source, ticker, entry, stop, shares, pointValue, openedAt }]
+ */
+export function loadOpenPositions() {
+    try {
+        const stored = localStorage.getItem(OPEN_POSITIONS_KEY);
+        if (!stored) return [];
+
+        const positions = JSON.parse(stored);
+        return Array.isArray(positions) ? positions : [];
+    } catch (error) {
+        console.error('Failed to load open positions:', error);
+        return [];
+    }
+}
+
+/**
+ * Add a manually entered open position
+ * @param {Object} position - { ticker, entry, stop, shares, pointValue }
+ * @returns {Array|null} Updated positions, or null on failure
+ */
+export function addOpenPosition(position) {
+    try {
+        const updated = [
+            ...loadOpenPositions(),
+            {
+                ...position,
+                id: `manual_${Date.now().toString(36)}`,
+                source: 'manual',
+                ticker: (position.ticker || '').trim().toUpperCase(),
+                openedAt: new Date().toISOString()
+            }
+        ];
+        localStorage.setItem(OPEN_POSITIONS_KEY, JSON.stringify(updated));
+        return updated;
+    } catch (error) {
+        console.error('Failed to save open position:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove a manually entered open position
+ * @param {string} id - Position ID
+ * @returns {Array} Remaining positions
+ */
+export function removeOpenPosition(id) {
+    const remaining = loadOpenPositions().filter(position => position.id !== id);
+
+    try {
+        localStorage.setItem(OPEN_POSITIONS_KEY, JSON.stringify(remaining));
+    } catch (error) {
+        console.error('Failed to remove open position:', error);
+    }
+    return remaining;
+}
+
+/**
+ * Load the heat cap (percent of account, blank disables it)
+ * @returns {string} Heat cap
+ */
+export function loadHeatCap() {
+    try {
+        const stored = localStorage.getItem(HEAT_CAP_KEY);
+        return stored === null ? String(TRADING_LIMITS.DEFAULT_HEAT_CAP) : stored;
+    } catch (error) {
+        console.error('Failed to load heat cap:', error);
+        return String(TRADING_LIMITS.DEFAULT_HEAT_CAP);
+    }
+}
+
+/**
+ * Remember the heat cap
+ * @param {string} heatCap - Heat cap in percent
+ */
+export function saveHeatCap(heatCap) {
+    try {
+        localStorage.setItem(HEAT_CAP_KEY, heatCap);
+    } catch (error) {
+        console.error('Failed to save heat cap:', error);
+    }
+}
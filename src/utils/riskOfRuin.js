@@ -0,0 +1,176 @@
+/**
+ * Risk of Ruin and Drawdown Recovery
+ * Analytic counterparts of the Monte Carlo simulator (see monteCarlo.js) for a
+ * fixed-fractional plan: each trade risks the same percent of current equity,
+ * wins `payoffRatio` times the risk or loses the risk.
+ */
+
+import { TRADING_LIMITS } from '../constants/tradingLimits';
+import { TIMEFRAME_CONFIGS } from './TimeframeConfig';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Adjustment coefficient of the log-equity random walk (Cramér-Lundberg)
+ * Positive root of p(1 + rb)^-θ + q(1 - r)^-θ = 1
+ * @returns {number} θ, or 0 when the plan doesn't grow equity
+ */
+function solveAdjustmentCoefficient(p, b, r) {
+    const q = 1 - p;
+    const f = (theta) => p * Math.pow(1 + r * b, -theta) + q * Math.pow(1 - r, -theta) - 1;
+
+    // Expand until the root is bracketed; the function is convex with f(0) = 0
+    let high = 1;
+    for (let i = 0; i < 200 && f(high) < 0; i++) high *= 2;
+    let low = 0;
+
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (f(mid) < 0) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Risk of ruin, streaks and recovery for one risk level
+ * Callers validate the inputs first
+ */
+function analyzeRiskLevel({ p, b, risk, ruin, trades, drawdown }) {
+    const q = 1 - p;
+    // Expected log growth per trade; ruin is certain without it
+    const growth = p * Math.log(1 + risk * b) + q * Math.log(1 - risk);
+
+    let riskOfRuin;
+    if (q === 0) riskOfRuin = 0;
+    else if (growth <= 0) riskOfRuin = 1;
+    else riskOfRuin = Math.min(1, Math.pow(1 - ruin, solveAdjustmentCoefficient(p, b, risk)));
+
+    // Expected longest losing run over `trades` trades: ln(n) / ln(1/q)
+    const losingStreak = q === 0 ? 0 : q === 1 ? trades : Math.log(trades) / -Math.log(q);
+    const streakDrawdown = 1 - Math.pow(1 - risk, losingStreak);
+
+    const tradesToRecover = drawdown !== null && growth > 0
+        ? Math.log(1 / (1 - drawdown)) / growth
+        : null;
+
+    return {
+        riskOfRuin: (riskOfRuin * 100).toFixed(2),
+        expectedGrowthPercent: ((Math.exp(growth) - 1) * 100).toFixed(3),
+        expectedMaxLosingStreak: losingStreak.toFixed(1),
+        streakDrawdownPercent: (streakDrawdown * 100).toFixed(2),
+        tradesToRecover: tradesToRecover !== null ? Math.ceil(tradesToRecover) : null
+    };
+}
+
+/**
+ * Calculate the analytic risk of ruin and drawdown recovery of a trade plan
+ * Risk of ruin is the probability of ever losing `ruinPercent` of the starting
+ * equity over an unlimited number of trades (Cramér-Lundberg approximation on log equity)
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.winRate - Win rate in percent (0-100)
+ * @param {number} params.payoffRatio - Average win / average loss
+ * @param {number} params.riskPercent - Risk per trade in percent of current equity
+ * @param {number} [params.ruinPercent] - Loss of starting equity that counts as ruin (default 50)
+ * @param {number} [params.tradeCount] - Trades the losing streak is expected over (default 100)
+ * @param {number} [params.drawdownPercent] - Drawdown to recover from, enables recovery figures
+ * @returns {Object} Risk of ruin, expected losing streak, recovery and a per-style comparison, or error
+ */
+export function calculateRiskOfRuin({ winRate, payoffRatio, riskPercent, ruinPercent, tradeCount, drawdownPercent }) {
+    try {
+        // Step 1: Type checking and conversion
+        const winPct = parseFloat(winRate);
+        const b = parseFloat(payoffRatio);
+        const riskPct = parseFloat(riskPercent);
+        const ruinPct = isBlank(ruinPercent) ? TRADING_LIMITS.DEFAULT_RUIN_DRAWDOWN : parseFloat(ruinPercent);
+        const trades = isBlank(tradeCount) ? TRADING_LIMITS.DEFAULT_SIMULATED_TRADES : Number(tradeCount);
+        const drawdownPct = isBlank(drawdownPercent) ? null : parseFloat(drawdownPercent);
+
+        // Step 2: Range validation
+        if (isNaN(winPct) || winPct < 0 || winPct > 100) {
+            return {
+                success: false,
+                error: 'Win rate must be between 0 and 100 percent',
+                field: 'winRate'
+            };
+        }
+
+        if (isNaN(b) || !isFinite(b) || b <= 0) {
+            return {
+                success: false,
+                error: 'Payoff ratio must be greater than zero',
+                field: 'payoffRatio'
+            };
+        }
+
+        if (isNaN(riskPct) || riskPct <= 0 || riskPct >= 100) {
+            return {
+                success: false,
+                error: 'Risk percent must be above 0 and below 100',
+                field: 'riskPercent'
+            };
+        }
+
+        if (isNaN(ruinPct) || ruinPct <= 0 || ruinPct >= 100) {
+            return {
+                success: false,
+                error: 'Ruin level must be above 0 and below 100 percent',
+                field: 'ruinPercent'
+            };
+        }
+
+        if (!Number.isInteger(trades) || trades < 2 || trades > TRADING_LIMITS.MAX_SIMULATED_TRADES) {
+            return {
+                success: false,
+                error: `Number of trades must be a whole number from 2 to ${TRADING_LIMITS.MAX_SIMULATED_TRADES}`,
+                field: 'tradeCount'
+            };
+        }
+
+        if (drawdownPct !== null && (isNaN(drawdownPct) || drawdownPct <= 0 || drawdownPct >= 100)) {
+            return {
+                success: false,
+                error: 'Drawdown must be above 0 and below 100 percent',
+                field: 'drawdownPercent'
+            };
+        }
+
+        // Step 3: Calculate for the entered risk and for each style's risk level
+        const shared = {
+            p: winPct / 100,
+            b,
+            ruin: ruinPct / 100,
+            trades,
+            drawdown: drawdownPct !== null ? drawdownPct / 100 : null
+        };
+        const drawdown = shared.drawdown;
+
+        return {
+            success: true,
+            data: {
+                riskPercent: riskPct,
+                ruinPercent: ruinPct,
+                tradeCount: trades,
+                expectancyR: (shared.p * b - (1 - shared.p)).toFixed(2),
+                ...analyzeRiskLevel({ ...shared, risk: riskPct / 100 }),
+                drawdownPercent: drawdownPct,
+                recoveryGainPercent: drawdown !== null ? ((drawdown / (1 - drawdown)) * 100).toFixed(2) : null,
+                styles: Object.values(TIMEFRAME_CONFIGS).map(config => ({
+                    id: config.id,
+                    label: config.label,
+                    icon: config.icon,
+                    riskPercent: config.riskPerTrade,
+                    ...analyzeRiskLevel({ ...shared, risk: config.riskPerTrade / 100 })
+                }))
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Trade Statistics
+ * Aggregate performance metrics from realized R-multiples
+ */
+
+import { TIMEFRAME_CONFIGS } from './TimeframeConfig';
+
+/**
+ * Calculate aggregate statistics for a list of closed trades
+ * Trades are expected in chronological order for the losing-streak count
+ * @param {Array<{ rMultiple: number|string, pnl?: number|string }>} trades - Closed trade outcomes
+ * @returns {Object|null} Statistics or null if there are no trades
+ */
+export function calculateTradeStatistics(trades) {
+    const rMultiples = trades
+        .map(trade => parseFloat(trade.rMultiple))
+        .filter(r => !isNaN(r));
+
+    if (rMultiples.length === 0) return null;
+
+    const wins = rMultiples.filter(r => r > 0);
+    const losses = rMultiples.filter(r => r < 0);
+
+    const totalR = rMultiples.reduce((sum, r) => sum + r, 0);
+    const grossWinR = wins.reduce((sum, r) => sum + r, 0);
+    const grossLossR = Math.abs(losses.reduce((sum, r) => sum + r, 0));
+
+    const winRate = wins.length / rMultiples.length;
+    const lossRate = losses.length / rMultiples.length;
+    const averageWinR = wins.length ? grossWinR / wins.length : 0;
+    const averageLossR = losses.length ? grossLossR / losses.length : 0;
+
+    // Longest run of consecutive losing trades (breakeven trades end a streak)
+    let maxConsecutiveLosses = 0;
+    let currentStreak = 0;
+    rMultiples.forEach((r) => {
+        currentStreak = r < 0 ? currentStreak + 1 : 0;
+        maxConsecutiveLosses = Math.max(maxConsecutiveLosses, currentStreak);
+    });
+
+    const totalPnl = trades.reduce((sum, trade) => {
+        const pnl = parseFloat(trade.pnl);
+        return isNaN(pnl) ? sum : sum + pnl;
+    }, 0);
+
+    return {
+        tradeCount: rMultiples.length,
+        winCount: wins.length,
+        lossCount: losses.length,
+        winRate: (winRate * 100).toFixed(1),
+        averageR: (totalR / rMultiples.length).toFixed(2),
+        averageWinR: averageWinR.toFixed(2),
+        averageLossR: averageLossR.toFixed(2),
+        expectancy: (winRate * averageWinR - lossRate * averageLossR).toFixed(2),
+        profitFactor: grossLossR > 0 ? (grossWinR / grossLossR).toFixed(2) : null,
+        maxConsecutiveLosses,
+        totalR: totalR.toFixed(2),
+        totalPnl: totalPnl.toFixed(2)
+    };
+}
+
+/**
+ * Win rate and payoff ratio (average win / average loss) of closed trades
+ * @param {Array<{ rMultiple: number|string }>} trades - Closed trade outcomes
+ * @returns {Object|null} { winRate, payoffRatio, tradeCount }, or null without a losing trade
+ */
+export function calculatePayoffStats(trades) {
+    const rMultiples = trades
+        .map(trade => parseFloat(trade.rMultiple))
+        .filter(r => !isNaN(r));
+
+    const wins = rMultiples.filter(r => r > 0);
+    const losses = rMultiples.filter(r => r < 0);
+    if (losses.length === 0) return null;
+
+    // Ratio of the unrounded averages, so rounding isn't compounded
+    const averageWinR = wins.reduce((sum, r) => sum + r, 0) / (wins.length || 1);
+    const averageLossR = Math.abs(losses.reduce((sum, r) => sum + r, 0)) / losses.length;
+
+    return {
+        winRate: ((wins.length / rMultiples.length) * 100).toFixed(1),
+        payoffRatio: (averageWinR / averageLossR).toFixed(2),
+        tradeCount: rMultiples.length
+    };
+}
+
+/**
+ * Calculate statistics for each trading style
+ * @param {Array<{ tradingStyle: string, rMultiple: number|string }>} trades - Closed trade outcomes
+ * @returns {Object} Map of style ID to statistics (null when the style has no trades)
+ */
+export function calculateStatisticsByStyle(trades) {
+    return Object.keys(TIMEFRAME_CONFIGS).reduce((byStyle, styleId) => ({
+        ...byStyle,
+        [styleId]: calculateTradeStatistics(trades.filter(trade => trade.tradingStyle === styleId))
+    }), {});
+}
@@ -3,15 +3,166 @@
  * Following the API handler pattern for centralized logic
  */
 
+import { TRADING_LIMITS, formatCurrency } from '../constants/tradingLimits';
+import { DEFAULT_ASSET_CLASS, SIZING_MODELS } from '../constants/instruments';
+import { DEFAULT_CURRENCY, isSupportedCurrency } from '../constants/currencies';
+import { SIZING_STRATEGIES, DEFAULT_KELLY_FRACTION } from '../constants/sizingStrategies';
+
+const COST_FIELDS = ['commissionPerShare', 'commissionPerTrade', 'feePercent', 'slippagePerShare'];
+
+/**
+ * Parse optional trading costs; blank fields count as zero
+ * @param {Object} [costs] - { commissionPerShare, commissionPerTrade, feePercent, slippagePerShare }
+ * @returns {{ values: Object }|{ error: string }} Numeric costs or error
+ */
+function parseTradingCosts(costs = {}) {
+    const values = {};
+    for (const field of COST_FIELDS) {
+        const raw = costs?.[field];
+        const value = raw === undefined || raw === null || raw === '' ? 0 : parseFloat(raw);
+
+        if (isNaN(value) || !isFinite(value) || value < 0) {
+            return { error: 'Commissions, fees and slippage must be zero or positive numbers' };
+        }
+        values[field] = value;
+    }
+    return { values };
+}
+
+/**
+ * Round-trip cost per share (or contract/lot) of entering at `entry` and exiting at `exit`, in the account currency
+ * Commissions and slippage are entered in the account currency and charged on both fills.
+ * The fee is charged on both notionals, which are in the quote currency and converted at `fxRate`.
+ * The per-trade commission is spread over `shares`, and left out when unknown.
+ */
+function getRoundTripCostPerUnit(costs, entry, exit, shares, pointValue = 1, fxRate = 1) {
+    const perTrade = shares ? (2 * costs.commissionPerTrade) / shares : 0;
+    return 2 * (costs.commissionPerShare + costs.slippagePerShare) +
+        (costs.feePercent / 100) * (entry + exit) * pointValue * fxRate +
+        perTrade;
+}
+
+const INSTRUMENT_FIELDS = ['tickSize', 'tickValue', 'multiplier', 'lotSize', 'pipValue', 'quantityStep', 'minQuantity', 'marginPerUnit'];
+
+// Decimal places of a number, including exponent forms such as 1e-8
+const countDecimals = (value) => {
+    const [mantissa, exponent] = String(value).split('e-');
+    const decimals = mantissa.split('.')[1]?.length || 0;
+    return exponent ? decimals + parseInt(exponent, 10) : decimals;
+};
+
+/**
+ * Resolve the contract specs used to size a position
+ * Blank fields fall back to the asset class defaults in SIZING_MODELS
+ * @param {Object} [instrument] - { assetClass, tickSize, tickValue, multiplier, lotSize, pipValue,
+ *   quantityDecimals, quantityStep, minQuantity, marginPerUnit }
+ * @returns {{ values: Object }|{ error: string }} Resolved specs (with pointValue and quantityStep) or error
+ */
+function resolveInstrument(instrument = {}) {
+    const assetClass = instrument?.assetClass || DEFAULT_ASSET_CLASS;
+    const model = SIZING_MODELS[assetClass];
+    if (!model) {
+        return { error: `Unknown asset class: ${assetClass}` };
+    }
+
+    const values = { ...model, assetClass };
+    for (const field of INSTRUMENT_FIELDS) {
+        const raw = instrument?.[field];
+        if (raw === undefined || raw === null || raw === '') continue;
+
+        const value = parseFloat(raw);
+        if (isNaN(value) || !isFinite(value) || value <= 0) {
+            return { error: 'Contract specs must be positive numbers' };
+        }
+        values[field] = value;
+    }
+
+    // Quantity precision: whole units (0) up to MAX_SHARES_DECIMALS
+    const rawDecimals = instrument?.quantityDecimals;
+    if (rawDecimals !== undefined && rawDecimals !== null && rawDecimals !== '') {
+        const decimals = Number(rawDecimals);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > TRADING_LIMITS.MAX_SHARES_DECIMALS) {
+            return { error: `Quantity decimals must be a whole number from 0 to ${TRADING_LIMITS.MAX_SHARES_DECIMALS}` };
+        }
+        values.quantityDecimals = decimals;
+    }
+
+    // An explicit order step wins over the decimals
+    if (!values.quantityStep) {
+        values.quantityStep = parseFloat((10 ** -values.quantityDecimals).toFixed(values.quantityDecimals));
+    }
+    values.quantityDecimals = countDecimals(values.quantityStep);
+
+    if (assetClass === 'futures') {
+        values.pointValue = values.tickValue / values.tickSize;
+    } else if (assetClass === 'forex') {
+        values.pointValue = values.pipValue / values.tickSize;
+    } else {
+        values.pointValue = values.multiplier;
+    }
+
+    return { values };
+}
+
+/**
+ * Resolve the conversion from the instrument's quote currency into the account currency
+ * The rate is only needed (and only checked) when the two currencies differ
+ * @param {Object} [params] - { accountCurrency, quoteCurrency, fxRate }
+ * @returns {{ values: Object }|{ error: string, field: string }} { accountCurrency, quoteCurrency, rate } or error
+ */
+export function resolveFxRate({ accountCurrency, quoteCurrency, fxRate } = {}) {
+    const account = accountCurrency || DEFAULT_CURRENCY;
+    const quote = quoteCurrency || account;
+
+    if (!isSupportedCurrency(account)) {
+        return { error: `Unsupported account currency: ${account}`, field: 'accountCurrency' };
+    }
+    if (!isSupportedCurrency(quote)) {
+        return { error: `Unsupported quote currency: ${quote}`, field: 'quoteCurrency' };
+    }
+    if (quote === account) {
+        return { values: { accountCurrency: account, quoteCurrency: quote, rate: 1 } };
+    }
+
+    const rate = parseFloat(fxRate);
+    if (isNaN(rate) || !isFinite(rate) || rate <= 0) {
+        return { error: `Enter the ${quote}/${account} FX rate (${account} per 1 ${quote})`, field: 'fxRate' };
+    }
+    return { values: { accountCurrency: account, quoteCurrency: quote, rate } };
+}
+
+// Decimals needed to show a price on the instrument's tick grid (at least cents)
+const getPriceDecimals = (tickSize) => (tickSize ? Math.max(2, countDecimals(tickSize)) : 2);
+
+/**
+ * Move a stop onto the tick grid, away from entry so the risk is never understated
+ */
+const roundStopToTick = (stop, tickSize, isLongPosition) => {
+    if (!tickSize) return stop;
+    // Nudge before rounding so a stop already on the grid isn't moved by float error
+    const ticks = stop / tickSize;
+    const rounded = isLongPosition ? Math.floor(ticks + 1e-9) : Math.ceil(ticks - 1e-9);
+    return parseFloat((rounded * tickSize).toFixed(getPriceDecimals(tickSize)));
+};
+
+// Largest multiple of `step` not above `quantity`
+const floorToStep = (quantity, step) =>
+    parseFloat((Math.floor(quantity / step + 1e-9) * step).toFixed(countDecimals(step)));
+
 /**
  * Calculate Risk/Reward metrics with comprehensive validation
  * @param {Object} params - Calculation parameters
  * @param {number} params.entryPrice - Entry price per share
  * @param {number} params.stopLoss - Stop loss price per share
  * @param {number} params.targetPrice - Target price per share
- * @returns {Object} Calculated risk/reward metrics or error
+ * @param {number} [params.shares] - Position size, spreads the per-trade commission
+ * @param {Object} [params.costs] - Trading costs in the account currency (see parseTradingCosts), enables net figures
+ * @param {string} [params.accountCurrency] - Currency the costs are in (default USD)
+ * @param {string} [params.quoteCurrency] - Currency the prices are quoted in (default: the account's)
+ * @param {number} [params.fxRate] - Account currency per 1 unit of quote currency, required for costs when the currencies differ
+ * @returns {Object} Calculated gross and net risk/reward metrics (per share, in the quote currency) or error
  */
-export function calculateRiskReward({ entryPrice, stopLoss, targetPrice }) {
+export function calculateRiskReward({ entryPrice, stopLoss, targetPrice, shares, costs, accountCurrency, quoteCurrency, fxRate }) {
     try {
         // Step 1: Type checking and conversion
         const entry = parseFloat(entryPrice);
@@ -50,7 +201,7 @@ export function calculateRiskReward({ entryPrice, stopLoss, targetPrice }) {
         if (entry > MAX_PRICE || stop > MAX_PRICE || target > MAX_PRICE) {
             return {
                 success: false,
-                error: `Prices must be below $${MAX_PRICE.toLocaleString()}`,
+                error: `Prices must be below ${MAX_PRICE.toLocaleString()}`,
                 field: 'all'
             };
         }
@@ -82,12 +233,45 @@ export function calculateRiskReward({ entryPrice, stopLoss, targetPrice }) {
 
         const rrRatio = rewardPerShare / riskPerShare;
 
+        // Step 9: Net of trading costs - losing trades pay costs too
+        const tradingCosts = parseTradingCosts(costs);
+        if (tradingCosts.error) {
+            return {
+                success: false,
+                error: tradingCosts.error,
+                field: 'costs'
+            };
+        }
+
+        // Costs are in the account currency, so the FX rate is only needed when there are some
+        const hasCosts = COST_FIELDS.some(field => tradingCosts.values[field] > 0);
+        const fx = hasCosts ? resolveFxRate({ accountCurrency, quoteCurrency, fxRate }) : { values: { rate: 1 } };
+        if (fx.error) {
+            return {
+                success: false,
+                error: fx.error,
+                field: fx.field
+            };
+        }
+        const { rate } = fx.values;
+
+        // Converted back to the quote currency so they net against the per-share prices
+        const quantity = parseFloat(shares);
+        const costShares = !isNaN(quantity) && quantity > 0 ? quantity : null;
+        const costAtStop = getRoundTripCostPerUnit(tradingCosts.values, entry, stop, costShares, 1, rate) / rate;
+        const costAtTarget = getRoundTripCostPerUnit(tradingCosts.values, entry, target, costShares, 1, rate) / rate;
+        const netRiskPerShare = riskPerShare + costAtStop;
+        const netRewardPerShare = rewardPerShare - costAtTarget;
+
         return {
             success: true,
             data: {
                 riskPerShare: riskPerShare.toFixed(2),
                 rewardPerShare: rewardPerShare.toFixed(2),
                 rrRatio: rrRatio.toFixed(2),
+                netRiskPerShare: netRiskPerShare.toFixed(2),
+                netRewardPerShare: netRewardPerShare.toFixed(2),
+                netRRRatio: (netRewardPerShare / netRiskPerShare).toFixed(2),
                 positionType: isLongPosition ? 'Long' : 'Short',
                 isValidTrade: rrRatio >= 1
             }
@@ -103,20 +287,303 @@ export function calculateRiskReward({ entryPrice, stopLoss, targetPrice }) {
     }
 }
 
+/**
+ * Calculate a scale-out plan: several targets, each closing a share of the position
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.entryPrice - Entry price per share
+ * @param {number} params.stopLoss - Stop loss price per share
+ * @param {Array<{price: number, allocation: number}>} params.targets - Exits; allocations (%) must add up to 100
+ * @param {number} [params.shares] - Position size, enables P&L per exit
+ * @param {number} [params.quantityDecimals] - Decimals each exit's size is rounded down to (default 0, whole shares)
+ * @param {Object} [params.costs] - Trading costs, enables net figures
+ * @param {string} [params.accountCurrency] - Currency the costs are in (see calculateRiskReward)
+ * @param {string} [params.quoteCurrency] - Currency the prices are quoted in
+ * @param {number} [params.fxRate] - Account currency per 1 unit of quote currency
+ * @returns {Object} Per-target and blended (allocation-weighted) metrics or error
+ */
+export function calculateScaleOutPlan({
+    entryPrice, stopLoss, targets, shares, quantityDecimals, costs, accountCurrency, quoteCurrency, fxRate
+}) {
+    try {
+        // Step 1: At least one target
+        if (!Array.isArray(targets) || targets.length === 0) {
+            return {
+                success: false,
+                error: 'Add at least one target',
+                field: 'targets'
+            };
+        }
+
+        // Step 2: Allocations must be positive and add up to 100%
+        const allocations = targets.map(target => parseFloat(target.allocation));
+        const invalidIndex = allocations.findIndex(allocation => isNaN(allocation) || allocation <= 0);
+        if (invalidIndex !== -1) {
+            return {
+                success: false,
+                error: `Target ${invalidIndex + 1}: allocation must be greater than 0%`,
+                field: 'allocation',
+                targetIndex: invalidIndex
+            };
+        }
+
+        const totalAllocation = allocations.reduce((sum, allocation) => sum + allocation, 0);
+        if (Math.abs(totalAllocation - 100) > 0.01) {
+            return {
+                success: false,
+                error: `Allocations must add up to 100% (currently ${parseFloat(totalAllocation.toFixed(2))}%)`,
+                field: 'allocation'
+            };
+        }
+
+        // Step 3: Optional share count for P&L, split on the quantity precision
+        const quantity = parseFloat(shares);
+        const hasShares = !isNaN(quantity) && quantity > 0;
+        const decimals = Math.min(Math.max(parseInt(quantityDecimals, 10) || 0, 0), TRADING_LIMITS.MAX_SHARES_DECIMALS);
+        const quantityStep = parseFloat((10 ** -decimals).toFixed(decimals));
+
+        // Costs apply to every exit, so report a bad value once rather than per target
+        const tradingCosts = parseTradingCosts(costs);
+        if (tradingCosts.error) {
+            return {
+                success: false,
+                error: tradingCosts.error,
+                field: 'costs'
+            };
+        }
+
+        // Step 4: Validate and price each target with the single-target calculator
+        const legs = [];
+        for (let index = 0; index < targets.length; index++) {
+            const result = calculateRiskReward({
+                entryPrice,
+                stopLoss,
+                targetPrice: targets[index].price,
+                shares,
+                costs,
+                accountCurrency,
+                quoteCurrency,
+                fxRate
+            });
+
+            if (!result.success) {
+                return {
+                    ...result,
+                    error: `Target ${index + 1}: ${result.error}`,
+                    targetIndex: index
+                };
+            }
+
+            legs.push({ ...result.data, allocation: allocations[index], price: parseFloat(targets[index].price) });
+        }
+
+        // Step 5: Blend by allocation
+        const riskPerShare = parseFloat(legs[0].riskPerShare);
+        const blendedRR = legs.reduce((sum, leg) => sum + (leg.allocation / 100) * parseFloat(leg.rrRatio), 0);
+        const weightedReward = legs.reduce((sum, leg) => sum + (leg.allocation / 100) * parseFloat(leg.rewardPerShare), 0);
+        const netRiskPerShare = parseFloat(legs[0].netRiskPerShare);
+        const netWeightedReward = legs.reduce((sum, leg) => sum + (leg.allocation / 100) * parseFloat(leg.netRewardPerShare), 0);
+
+        // Step 6: Shares per exit, rounded down; the final target takes what rounding leaves over
+        const legShares = legs.map(leg => (hasShares ? floorToStep(quantity * leg.allocation / 100, quantityStep) : null));
+        if (hasShares) {
+            const allocated = legShares.slice(0, -1).reduce((sum, count) => sum + count, 0);
+            legShares[legShares.length - 1] = parseFloat((quantity - allocated).toFixed(decimals));
+        }
+        const sumPnl = (field) => legs.reduce((sum, leg, index) => sum + parseFloat(leg[field]) * legShares[index], 0);
+
+        return {
+            success: true,
+            data: {
+                riskPerShare: riskPerShare.toFixed(2),
+                weightedRewardPerShare: weightedReward.toFixed(2),
+                blendedRR: blendedRR.toFixed(2),
+                netRiskPerShare: netRiskPerShare.toFixed(2),
+                netWeightedRewardPerShare: netWeightedReward.toFixed(2),
+                netBlendedRR: (netWeightedReward / netRiskPerShare).toFixed(2),
+                positionType: legs[0].positionType,
+                isValidTrade: blendedRR >= 1,
+                riskAmount: hasShares ? (riskPerShare * quantity).toFixed(2) : null,
+                totalPnl: hasShares ? sumPnl('rewardPerShare').toFixed(2) : null,
+                netRiskAmount: hasShares ? (netRiskPerShare * quantity).toFixed(2) : null,
+                netTotalPnl: hasShares ? sumPnl('netRewardPerShare').toFixed(2) : null,
+                targets: legs.map((leg, index) => ({
+                    price: leg.price.toFixed(2),
+                    allocation: leg.allocation,
+                    rrRatio: leg.rrRatio,
+                    rewardPerShare: leg.rewardPerShare,
+                    netRewardPerShare: leg.netRewardPerShare,
+                    shares: legShares[index],
+                    pnl: hasShares ? (parseFloat(leg.rewardPerShare) * legShares[index]).toFixed(2) : null
+                }))
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Calculate a trade management plan: when to move the stop to break-even, where
+ * the trailing stop sits at each R multiple, and the R locked in after each partial exit
+ * The stop trails `trailDistanceR` behind the last `trailStepR` level reached and never
+ * sits below entry once price has reached `breakEvenAtR`. Targets are assumed to fill
+ * nearest first.
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.entryPrice - Entry price per share
+ * @param {number} params.stopLoss - Initial stop loss price per share
+ * @param {Array<{price: number, allocation: number}>} params.targets - Exits, as for calculateScaleOutPlan
+ * @param {number} [params.breakEvenAtR] - Profit (in R) that moves the stop to entry (default 1)
+ * @param {number} [params.trailStepR] - R interval between trailing stop moves (default 1)
+ * @param {number} [params.trailDistanceR] - How far (in R) the stop trails the level reached (default 1)
+ * @returns {Object} Break-even move, trailing levels and partial exits, or error
+ */
+export function calculateTradeManagementPlan({ entryPrice, stopLoss, targets, breakEvenAtR, trailStepR, trailDistanceR }) {
+    try {
+        // Step 1: Validate prices and targets with the scale-out calculator
+        const scaleOut = calculateScaleOutPlan({ entryPrice, stopLoss, targets });
+        if (!scaleOut.success) return scaleOut;
+
+        // Step 2: Management rules (blank fields use the defaults)
+        const readR = (value, fallback) =>
+            (value === undefined || value === null || value === '' ? fallback : parseFloat(value));
+        const breakEvenR = readR(breakEvenAtR, TRADING_LIMITS.DEFAULT_BREAK_EVEN_R);
+        const stepR = readR(trailStepR, TRADING_LIMITS.DEFAULT_TRAIL_STEP_R);
+        const distanceR = readR(trailDistanceR, TRADING_LIMITS.DEFAULT_TRAIL_DISTANCE_R);
+
+        const invalidRule = [
+            ['breakEvenAtR', breakEvenR, 'Break-even trigger'],
+            ['trailStepR', stepR, 'Trailing step'],
+            ['trailDistanceR', distanceR, 'Trailing distance']
+        ].find(([, value]) => isNaN(value) || !isFinite(value) || value <= 0);
+        if (invalidRule) {
+            return {
+                success: false,
+                error: `${invalidRule[2]} must be greater than 0R`,
+                field: invalidRule[0]
+            };
+        }
+
+        // Step 3: Price at any R multiple, on the entry's decimals
+        const entry = parseFloat(entryPrice);
+        const stop = parseFloat(stopLoss);
+        const direction = stop < entry ? 1 : -1;
+        const risk = Math.abs(entry - stop);
+        const decimals = Math.max(2, countDecimals(entryPrice), countDecimals(stopLoss));
+        const priceAt = (r) => (entry + direction * r * risk).toFixed(decimals);
+
+        // Stop (in R) once price has reached `reachedR`: initial, break-even, then trailing
+        const stopRAt = (reachedR) => {
+            let stopR = reachedR >= breakEvenR - 1e-9 ? 0 : -1;
+            const steps = Math.floor(reachedR / stepR + 1e-9);
+            if (steps >= 1) stopR = Math.max(stopR, steps * stepR - distanceR);
+            return stopR;
+        };
+
+        // Step 4: Trailing stop levels up to the furthest target
+        const legs = [...scaleOut.data.targets].sort((a, b) => parseFloat(a.rrRatio) - parseFloat(b.rrRatio));
+        const maxR = parseFloat(legs[legs.length - 1].rrRatio);
+        const levelCount = Math.min(Math.floor(maxR / stepR + 1e-9), TRADING_LIMITS.MAX_TRAIL_LEVELS);
+
+        const trailingStops = Array.from({ length: levelCount }, (_, index) => {
+            const reachedR = (index + 1) * stepR;
+            const stopR = stopRAt(reachedR);
+            return {
+                r: parseFloat(reachedR.toFixed(2)),
+                triggerPrice: priceAt(reachedR),
+                stopPrice: priceAt(stopR),
+                lockedR: stopR.toFixed(2)
+            };
+        });
+
+        // Step 5: R banked by each exit plus the worst case on what is left
+        let realizedR = 0;
+        let remaining = 100;
+        const partialExits = legs.map((leg) => {
+            const exitR = parseFloat(leg.rrRatio);
+            const stopR = stopRAt(exitR);
+            realizedR += (leg.allocation / 100) * exitR;
+            remaining -= leg.allocation;
+            const remainingPercent = Math.max(0, parseFloat(remaining.toFixed(2)));
+
+            return {
+                price: parseFloat(leg.price).toFixed(decimals),
+                allocation: leg.allocation,
+                rrRatio: leg.rrRatio,
+                remainingPercent,
+                stopAfterPrice: remainingPercent > 0 ? priceAt(stopR) : null,
+                stopAfterR: remainingPercent > 0 ? stopR.toFixed(2) : null,
+                realizedR: realizedR.toFixed(2),
+                lockedR: (realizedR + (remainingPercent / 100) * stopR).toFixed(2)
+            };
+        });
+
+        return {
+            success: true,
+            data: {
+                positionType: scaleOut.data.positionType,
+                riskPerShare: risk.toFixed(decimals),
+                breakEven: {
+                    triggerR: breakEvenR,
+                    triggerPrice: priceAt(breakEvenR),
+                    stopPrice: priceAt(0)
+                },
+                trailStepR: stepR,
+                trailDistanceR: distanceR,
+                trailingStops,
+                partialExits,
+                blendedRR: scaleOut.data.blendedRR
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
 /**
  * Calculate Position Size with comprehensive validation
  * @param {Object} params - Calculation parameters
  * @param {number} params.accountSize - Total account size
  * @param {number} params.riskPercent - Risk percentage (1-100)
+ * @param {number} [params.dollarRisk] - Dollar risk per trade, used instead of riskPercent when given
  * @param {number} params.entryPrice - Entry price per share
  * @param {number} params.stopLoss - Stop loss price per share
- * @returns {Object} Calculated position size metrics or error
+ * @param {string} [params.direction] - 'long' | 'short' (inferred from entry/stop when omitted)
+ * @param {number} [params.targetPrice] - Target price per share, enables reward and R:R
+ * @param {Object} [params.costs] - Trading costs, enables net risk/reward
+ * @param {Object} [params.instrument] - Contract specs (see resolveInstrument), defaults to equities
+ * @param {number} [params.leverage] - Buying power as a multiple of the account (default 1, cash)
+ * @param {number} [params.openRisk] - Dollar risk at stop already carried by open positions
+ * @param {number} [params.heatCap] - Maximum total open risk as a percent of the account (no cap when omitted)
+ * @param {string} [params.accountCurrency] - Currency of the account, risk and costs (default USD)
+ * @param {string} [params.quoteCurrency] - Currency the prices and contract specs are quoted in (default: the account's)
+ * @param {number} [params.fxRate] - Account currency per 1 unit of quote currency, required when the currencies differ
+ * @returns {Object} Calculated position size metrics or error. `shares` holds the
+ *   quantity in the instrument's unit (shares, contracts or lots), the smallest of
+ *   what the risk allows, what the buying power can carry and what fits under the
+ *   heat cap (`bindingConstraint`). Amounts are in the account currency;
+ *   `positionValueQuote` is the position value in the quote currency
  */
-export function calculatePositionSize({ accountSize, riskPercent, entryPrice, stopLoss }) {
+export function calculatePositionSize({
+    accountSize, riskPercent, dollarRisk, entryPrice, stopLoss, direction, targetPrice, costs, instrument, leverage,
+    openRisk, heatCap, accountCurrency, quoteCurrency, fxRate
+}) {
     try {
-        // Step 1: Type checking and conversion
+        // Step 1: Type checking and conversion (a dollar risk is turned into a percent)
         const account = parseFloat(accountSize);
-        const riskPct = parseFloat(riskPercent);
+        const hasDollarRisk = dollarRisk !== undefined && dollarRisk !== null && dollarRisk !== '';
+        const riskPct = hasDollarRisk ? (parseFloat(dollarRisk) / account) * 100 : parseFloat(riskPercent);
         const entry = parseFloat(entryPrice);
         const stop = parseFloat(stopLoss);
 
@@ -138,7 +605,19 @@ export function calculatePositionSize({ accountSize, riskPercent, entryPrice, st
             };
         }
 
-        // Step 4: Range validation - Account size
+        // Step 4: Currencies - prices are converted into the account currency at the FX rate
+        const fx = resolveFxRate({ accountCurrency, quoteCurrency, fxRate });
+        if (fx.error) {
+            return {
+                success: false,
+                error: fx.error,
+                field: fx.field
+            };
+        }
+        const { rate } = fx.values;
+        const formatAccount = (value) => formatCurrency(value, fx.values.accountCurrency);
+
+        // Step 5: Range validation - Account size
         if (account <= 0) {
             return {
                 success: false,
@@ -151,17 +630,19 @@ export function calculatePositionSize({ accountSize, riskPercent, entryPrice, st
         if (account > MAX_ACCOUNT) {
             return {
                 success: false,
-                error: `Account size must be below $${MAX_ACCOUNT.toLocaleString()}`,
+                error: `Account size must be below ${formatCurrency(MAX_ACCOUNT, fx.values.accountCurrency, 0)}`,
                 field: 'accountSize'
             };
         }
 
-        // Step 5: Range validation - Risk percent
+        // Step 6: Range validation - Risk percent
         if (riskPct <= 0 || riskPct > 100) {
             return {
                 success: false,
-                error: 'Risk percent must be between 0 and 100',
-                field: 'riskPercent'
+                error: hasDollarRisk
+                    ? 'Dollar risk must be above zero and no more than the account size'
+                    : 'Risk percent must be between 0 and 100',
+                field: hasDollarRisk ? 'dollarRisk' : 'riskPercent'
             };
         }
 
@@ -171,7 +652,7 @@ export function calculatePositionSize({ accountSize, riskPercent, entryPrice, st
             console.warn('Risk percent exceeds 10% - high risk detected');
         }
 
-        // Step 6: Range validation - Prices
+        // Step 7: Range validation - Prices
         if (entry <= 0 || stop <= 0) {
             return {
                 success: false,
@@ -184,63 +665,800 @@ export function calculatePositionSize({ accountSize, riskPercent, entryPrice, st
         if (entry > MAX_PRICE || stop > MAX_PRICE) {
             return {
                 success: false,
-                error: `Prices must be below $${MAX_PRICE.toLocaleString()}`,
+                error: `Prices must be below ${formatCurrency(MAX_PRICE, fx.values.quoteCurrency, 0)}`,
                 field: 'all'
             };
         }
 
-        // Step 7: Business logic validation (long position only)
-        if (entry <= stop) {
+        // Step 8: Check for division by zero
+        if (entry === stop) {
+            return {
+                success: false,
+                error: 'Stop loss cannot equal entry price',
+                field: 'stopLoss'
+            };
+        }
+
+        // Step 9: Business logic validation - direction inferred from stop side
+        const isLongPosition = stop < entry;
+        const requestedDirection = direction ? String(direction).toLowerCase() : null;
+
+        if (requestedDirection && requestedDirection !== 'long' && requestedDirection !== 'short') {
+            return {
+                success: false,
+                error: 'Direction must be either long or short',
+                field: 'direction'
+            };
+        }
+
+        if (requestedDirection === 'long' && !isLongPosition) {
             return {
                 success: false,
-                error: 'Entry price must be greater than stop loss (long position)',
+                error: 'Stop loss must be below entry price for a long position',
                 field: 'relationship'
             };
         }
 
-        // Step 8: Calculate (now safe)
-        const risk = riskPct / 100;
-        const riskAmount = account * risk;
-        const riskPerShare = Math.abs(entry - stop);
+        if (requestedDirection === 'short' && isLongPosition) {
+            return {
+                success: false,
+                error: 'Stop loss must be above entry price for a short position',
+                field: 'relationship'
+            };
+        }
 
-        // Step 9: Check for division by zero
-        if (riskPerShare === 0) {
+        // Step 10: Optional target must sit on the profit side of entry
+        const target = targetPrice === undefined || targetPrice === null || targetPrice === ''
+            ? null
+            : parseFloat(targetPrice);
+
+        if (target !== null) {
+            if (isNaN(target) || !isFinite(target) || target <= 0 || target > MAX_PRICE) {
+                return {
+                    success: false,
+                    error: 'Target price must be a positive number',
+                    field: 'targetPrice'
+                };
+            }
+
+            if (isLongPosition ? target <= entry : target >= entry) {
+                return {
+                    success: false,
+                    error: isLongPosition
+                        ? 'Target must be above entry price for a long position'
+                        : 'Target must be below entry price for a short position',
+                    field: 'targetPrice'
+                };
+            }
+        }
+
+        const tradingCosts = parseTradingCosts(costs);
+        if (tradingCosts.error) {
             return {
                 success: false,
-                error: 'Stop loss cannot equal entry price',
+                error: tradingCosts.error,
+                field: 'costs'
+            };
+        }
+
+        // Buying power multiple of the account (1 = cash account)
+        const hasLeverage = leverage !== undefined && leverage !== null && leverage !== '';
+        const accountLeverage = hasLeverage ? parseFloat(leverage) : 1;
+        if (isNaN(accountLeverage) || accountLeverage < 1 || accountLeverage > TRADING_LIMITS.MAX_LEVERAGE) {
+            return {
+                success: false,
+                error: `Leverage must be between 1 and ${TRADING_LIMITS.MAX_LEVERAGE}`,
+                field: 'leverage'
+            };
+        }
+
+        // Portfolio heat: total risk at stop across open positions, capped as a percent of the account
+        const hasHeatCap = heatCap !== undefined && heatCap !== null && heatCap !== '';
+        const heatCapPct = hasHeatCap ? parseFloat(heatCap) : null;
+        if (hasHeatCap && (isNaN(heatCapPct) || heatCapPct <= 0 || heatCapPct > 100)) {
+            return {
+                success: false,
+                error: 'Portfolio heat cap must be between 0 and 100 percent',
+                field: 'heatCap'
+            };
+        }
+
+        const existingRisk = openRisk === undefined || openRisk === null || openRisk === '' ? 0 : parseFloat(openRisk);
+        if (isNaN(existingRisk) || !isFinite(existingRisk) || existingRisk < 0) {
+            return {
+                success: false,
+                error: 'Open risk must be zero or a positive number',
+                field: 'openRisk'
+            };
+        }
+
+        const specs = resolveInstrument(instrument);
+        if (specs.error) {
+            return {
+                success: false,
+                error: specs.error,
+                field: 'instrument'
+            };
+        }
+        const {
+            unit, tickSize, pointValue, quantityStep, quantityDecimals, minQuantity, lotSize, marginPerUnit, leveraged
+        } = specs.values;
+
+        // Step 11: Calculate (now safe) - stop moved onto the tick grid first
+        const sizedStop = roundStopToTick(stop, tickSize, isLongPosition);
+        if (sizedStop <= 0) {
+            return {
+                success: false,
+                error: 'Stop loss rounds to zero on this tick size. Move it closer to entry.',
                 field: 'stopLoss'
             };
         }
 
-        // Step 10: Calculate position size
-        const shares = Math.floor(riskAmount / riskPerShare);
-        const positionValue = shares * entry;
+        const risk = riskPct / 100;
+        const riskAmount = account * risk;
+        const riskPerShare = Math.abs(entry - sizedStop);
+        // Point value is quoted in the quote currency; convert it once so every amount below is in account currency
+        const accountPointValue = pointValue * rate;
+        const riskPerUnit = riskPerShare * accountPointValue;
+
+        // Step 12: Calculate position size on the instrument's quantity step,
+        // capped by what the buying power can carry
+        const notionalPerUnit = (specs.values.assetClass === 'forex' ? lotSize * entry : entry * pointValue) * rate;
+
+        // Margin posted per unit: futures/forex per contract/lot (or notional / leverage),
+        // otherwise the notional (shorts: initial margin on the proceeds) spread over the leverage
+        let marginPerUnitPosted;
+        if (leveraged) {
+            marginPerUnitPosted = marginPerUnit ? marginPerUnit * rate : (hasLeverage ? notionalPerUnit / accountLeverage : null);
+        } else {
+            const marginRate = isLongPosition ? 1 : TRADING_LIMITS.SHORT_MARGIN_PERCENT / 100;
+            marginPerUnitPosted = (notionalPerUnit * marginRate) / accountLeverage;
+        }
+
+        const maxSharesByRisk = floorToStep(riskAmount / riskPerUnit, quantityStep);
+        const maxSharesByBuyingPower = marginPerUnitPosted
+            ? floorToStep(account / marginPerUnitPosted, quantityStep)
+            : null;
+
+        // Room left under the heat cap once open positions are counted
+        const heatCapAmount = hasHeatCap ? (account * heatCapPct) / 100 : null;
+        const heatRoom = hasHeatCap ? Math.max(0, heatCapAmount - existingRisk) : null;
+        const maxSharesByHeat = hasHeatCap ? floorToStep(heatRoom / riskPerUnit, quantityStep) : null;
+
+        // Risk wins ties, so a cap only binds when it actually cuts the size
+        const uncappedShares = maxSharesByBuyingPower !== null
+            ? Math.min(maxSharesByRisk, maxSharesByBuyingPower)
+            : maxSharesByRisk;
+        const isBuyingPowerBound = uncappedShares < maxSharesByRisk;
+        const isHeatBound = maxSharesByHeat !== null && maxSharesByHeat < uncappedShares;
+        const shares = isHeatBound ? maxSharesByHeat : uncappedShares;
+        const bindingConstraint = isHeatBound ? 'heat' : isBuyingPowerBound ? 'buyingPower' : 'risk';
+
+        const positionValue = shares * notionalPerUnit;
+        const marginRequired = marginPerUnitPosted ? shares * marginPerUnitPosted : null;
+
+        // Step 13: Sanity check - position size
+        if (shares === 0 && isHeatBound) {
+            return {
+                success: false,
+                error: `Open positions already risk ${formatAccount(existingRisk)} of your ${heatCapPct}% heat cap (${formatAccount(heatCapAmount)}), leaving no room for one ${unit.replace(/s$/, '')}. Close or tighten a position first.`,
+                field: 'heatCap'
+            };
+        }
 
-        // Step 11: Sanity check - position size
         if (shares === 0) {
             return {
                 success: false,
-                error: 'Risk amount too small to buy any shares. Increase account size or risk percent.',
+                error: isBuyingPowerBound
+                    ? `Buying power too small for one ${unit.replace(/s$/, '')}. Increase account size or leverage.`
+                    : `Risk amount too small to buy any ${unit}. Increase account size or risk percent.`,
                 field: 'calculation'
             };
         }
 
-        if (positionValue > account) {
+        if (minQuantity && shares < minQuantity) {
             return {
                 success: false,
-                error: 'Position value exceeds account size. Check your inputs.',
+                error: `Position of ${shares} ${unit} is below the minimum order size of ${minQuantity}. Increase account size or risk percent.`,
                 field: 'calculation'
             };
         }
 
+        // Step 14: Gross vs net of trading costs for the sized position
+        const grossRisk = shares * riskPerUnit;
+        const costsAtStop = getRoundTripCostPerUnit(tradingCosts.values, entry, sizedStop, shares, pointValue, rate) * shares;
+        const netRisk = grossRisk + costsAtStop;
+        const grossReward = target !== null ? shares * Math.abs(target - entry) * accountPointValue : null;
+        const netReward = target !== null
+            ? grossReward - getRoundTripCostPerUnit(tradingCosts.values, entry, target, shares, pointValue, rate) * shares
+            : null;
+        const priceDecimals = getPriceDecimals(tickSize);
+        const totalHeat = existingRisk + grossRisk;
+        const uncappedHeat = existingRisk + uncappedShares * riskPerUnit;
+
         return {
             success: true,
             data: {
                 shares,
+                unit,
+                quantityDecimals,
+                assetClass: specs.values.assetClass,
+                stopLoss: sizedStop.toFixed(priceDecimals),
+                stopAdjusted: sizedStop !== stop,
+                stopTicks: tickSize ? Math.round(riskPerShare / tickSize) : null,
+                pointValue: accountPointValue.toFixed(2),
                 positionValue: positionValue.toFixed(2),
+                positionValueQuote: (positionValue / rate).toFixed(2),
+                accountCurrency: fx.values.accountCurrency,
+                quoteCurrency: fx.values.quoteCurrency,
+                fxRate: rate,
                 riskAmount: riskAmount.toFixed(2),
-                riskPerShare: riskPerShare.toFixed(2),
-                percentOfAccount: ((positionValue / account) * 100).toFixed(2)
+                riskPerShare: riskPerShare.toFixed(priceDecimals),
+                riskPerUnit: riskPerUnit.toFixed(2),
+                percentOfAccount: ((positionValue / account) * 100).toFixed(2),
+                marginRequired: marginRequired !== null ? marginRequired.toFixed(2) : null,
+                leverage: accountLeverage,
+                buyingPower: marginPerUnitPosted ? (account * notionalPerUnit / marginPerUnitPosted).toFixed(2) : null,
+                effectiveLeverage: (positionValue / account).toFixed(2),
+                maxSharesByRisk,
+                maxSharesByBuyingPower,
+                maxSharesByHeat,
+                bindingConstraint,
+                positionType: isLongPosition ? 'Long' : 'Short',
+                grossRiskAmount: grossRisk.toFixed(2),
+                grossRiskPercent: ((grossRisk / account) * 100).toFixed(2),
+                costsAtStop: costsAtStop.toFixed(2),
+                netRiskAmount: netRisk.toFixed(2),
+                netRiskPercent: ((netRisk / account) * 100).toFixed(2),
+                rewardAmount: grossReward !== null ? grossReward.toFixed(2) : null,
+                netRewardAmount: netReward !== null ? netReward.toFixed(2) : null,
+                rrRatio: grossReward !== null ? (grossReward / grossRisk).toFixed(2) : null,
+                netRRRatio: netReward !== null ? (netReward / netRisk).toFixed(2) : null,
+                openRisk: existingRisk.toFixed(2),
+                heatCap: heatCapPct,
+                heatCapAmount: heatCapAmount !== null ? heatCapAmount.toFixed(2) : null,
+                totalHeat: totalHeat.toFixed(2),
+                totalHeatPercent: ((totalHeat / account) * 100).toFixed(2),
+                uncappedHeatPercent: ((uncappedHeat / account) * 100).toFixed(2)
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Calculate portfolio heat: the total risk at stop across open positions
+ * Positions without a usable entry, stop or size are listed but left out of the total
+ * @param {Object} params - Calculation parameters
+ * @param {Array} params.positions - Open positions: [{ id, ticker, entry, stop, shares, pointValue }]
+ * @param {number} [params.accountSize] - Account size, enables percent heat
+ * @param {number} [params.heatCap] - Maximum total open risk as a percent of the account
+ * @returns {Object} Heat totals and per-position risk, or error
+ */
+export function calculatePortfolioHeat({ positions, accountSize, heatCap }) {
+    try {
+        // Step 1: Validate the cap (blank disables it)
+        const hasHeatCap = heatCap !== undefined && heatCap !== null && heatCap !== '';
+        const heatCapPct = hasHeatCap ? parseFloat(heatCap) : null;
+        if (hasHeatCap && (isNaN(heatCapPct) || heatCapPct <= 0 || heatCapPct > 100)) {
+            return {
+                success: false,
+                error: 'Portfolio heat cap must be between 0 and 100 percent',
+                field: 'heatCap'
+            };
+        }
+
+        // Step 2: Percentages only when the account size is known
+        const account = parseFloat(accountSize);
+        const hasAccount = !isNaN(account) && isFinite(account) && account > 0;
+
+        // Step 3: Risk at stop per position
+        const priced = (Array.isArray(positions) ? positions : []).map((position) => {
+            const entry = parseFloat(position.entry);
+            const stop = parseFloat(position.stop);
+            const quantity = parseFloat(position.shares);
+            const pointValue = parseFloat(position.pointValue) || 1;
+            const isPriced = [entry, stop, quantity].every(value => isFinite(value) && value > 0);
+            const risk = isPriced ? Math.abs(entry - stop) * quantity * pointValue : null;
+
+            return {
+                ...position,
+                riskAmount: risk !== null ? risk.toFixed(2) : null,
+                riskPercent: risk !== null && hasAccount ? ((risk / account) * 100).toFixed(2) : null
+            };
+        });
+
+        // Step 4: Totals against the cap
+        const totalRisk = priced.reduce((sum, position) => sum + (parseFloat(position.riskAmount) || 0), 0);
+        const heatCapAmount = hasHeatCap && hasAccount ? (account * heatCapPct) / 100 : null;
+
+        return {
+            success: true,
+            data: {
+                positions: priced,
+                totalRisk: totalRisk.toFixed(2),
+                totalRiskPercent: hasAccount ? ((totalRisk / account) * 100).toFixed(2) : null,
+                heatCap: heatCapPct,
+                heatCapAmount: heatCapAmount !== null ? heatCapAmount.toFixed(2) : null,
+                remainingRisk: heatCapAmount !== null ? Math.max(0, heatCapAmount - totalRisk).toFixed(2) : null,
+                isOverCap: heatCapAmount !== null && totalRisk > heatCapAmount,
+                unpricedCount: priced.filter(position => position.riskAmount === null).length
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Calculate the Kelly fraction of the account to risk per trade
+ * f* = W - (1 - W) / R, with W the win rate and R the average win / average loss
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.winRate - Win rate in percent (0-100)
+ * @param {number} params.payoffRatio - Average win divided by average loss
+ * @param {number} [params.fraction] - Share of full Kelly to use (default 0.5, half Kelly)
+ * @returns {Object} Kelly percentages or error
+ */
+export function calculateKellyFraction({ winRate, payoffRatio, fraction = DEFAULT_KELLY_FRACTION }) {
+    try {
+        // Step 1: Type checking and conversion
+        const win = parseFloat(winRate);
+        const payoff = parseFloat(payoffRatio);
+        const kellyFraction = fraction === undefined || fraction === null || fraction === ''
+            ? DEFAULT_KELLY_FRACTION
+            : parseFloat(fraction);
+
+        // Step 2: Range validation
+        if (isNaN(win) || win < 0 || win > 100) {
+            return {
+                success: false,
+                error: 'Win rate must be between 0 and 100 percent',
+                field: 'winRate'
+            };
+        }
+
+        if (isNaN(payoff) || !isFinite(payoff) || payoff <= 0) {
+            return {
+                success: false,
+                error: 'Payoff ratio must be greater than zero',
+                field: 'payoffRatio'
+            };
+        }
+
+        if (isNaN(kellyFraction) || kellyFraction <= 0 || kellyFraction > 1) {
+            return {
+                success: false,
+                error: 'Kelly fraction must be above 0 and at most 1',
+                field: 'kellyFraction'
+            };
+        }
+
+        // Step 3: Calculate - no edge means no position
+        const winProbability = win / 100;
+        const fullKelly = winProbability - (1 - winProbability) / payoff;
+        const riskFraction = Math.max(0, fullKelly) * kellyFraction;
+
+        return {
+            success: true,
+            data: {
+                kellyPercent: (fullKelly * 100).toFixed(2),
+                riskPercent: (riskFraction * 100).toFixed(2),
+                fraction: kellyFraction,
+                hasEdge: fullKelly > 0
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Calculate the fixed-ratio size level (Ryan Jones)
+ * Going from N to N + 1 levels takes N x delta more profit, so
+ * N = floor((1 + sqrt(1 + 8 x profit / delta)) / 2), never below 1
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.accountSize - Current account size
+ * @param {number} params.startingBalance - Balance the strategy started at
+ * @param {number} params.delta - Profit per level needed to add the next level
+ * @returns {Object} Size level and next step, or error
+ */
+export function calculateFixedRatioLevel({ accountSize, startingBalance, delta }) {
+    try {
+        // Step 1: Type checking and conversion
+        const account = parseFloat(accountSize);
+        const start = parseFloat(startingBalance);
+        const step = parseFloat(delta);
+
+        // Step 2: Range validation
+        if (isNaN(account) || isNaN(start) || account <= 0 || start <= 0) {
+            return {
+                success: false,
+                error: 'Account size and starting balance must be greater than zero',
+                field: isNaN(start) || start <= 0 ? 'startingBalance' : 'accountSize'
+            };
+        }
+
+        if (isNaN(step) || !isFinite(step) || step <= 0) {
+            return {
+                success: false,
+                error: 'Delta must be greater than zero',
+                field: 'delta'
+            };
+        }
+
+        // Step 3: Calculate - losses below the start keep the first level
+        const profit = Math.max(0, account - start);
+        const level = Math.floor((1 + Math.sqrt(1 + (8 * profit) / step)) / 2 + 1e-9);
+
+        return {
+            success: true,
+            data: {
+                level,
+                profit: profit.toFixed(2),
+                nextLevelBalance: (start + (step * level * (level + 1)) / 2).toFixed(2)
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Exact risk per unit at the tick-rounded stop, in account currency
+ * (calculatePositionSize reports it rounded)
+ */
+function getUnitRisk({ entryPrice, stopLoss, instrument, accountCurrency, quoteCurrency, fxRate }) {
+    const entry = parseFloat(entryPrice);
+    const stop = parseFloat(stopLoss);
+    const specs = resolveInstrument(instrument);
+    const fx = resolveFxRate({ accountCurrency, quoteCurrency, fxRate });
+    if (specs.error || fx.error || !(entry > 0) || !(stop > 0) || entry === stop) return null;
+
+    const sizedStop = roundStopToTick(stop, specs.values.tickSize, stop < entry);
+    return Math.abs(entry - sizedStop) * specs.values.pointValue * fx.values.rate;
+}
+
+/**
+ * Compare position sizes across the sizing strategies (see SIZING_STRATEGIES)
+ * Each strategy sets a dollar risk that goes through calculatePositionSize, so
+ * tick rounding, buying power and the heat cap apply to all of them alike
+ * @param {Object} params - calculatePositionSize parameters, plus:
+ * @param {Object} [params.kelly] - { winRate, payoffRatio, fraction } (see calculateKellyFraction)
+ * @param {Object} [params.fixedRatio] - { startingBalance, delta, unitsPerLevel } (see calculateFixedRatioLevel)
+ * @param {number} [params.fixedDollarRisk] - Dollar risk for the fixed-dollar strategy
+ * @returns {Object} { strategies: [{ id, basis, response }] } - `response` is the
+ *   calculatePositionSize result for that strategy (its grossRiskPercent is against the
+ *   account size compared with), `basis` how its risk was derived
+ */
+export function compareSizingStrategies({ kelly, fixedRatio, fixedDollarRisk, ...sizing }) {
+    try {
+        const sizeWith = (id, basis, overrides) => ({
+            id,
+            basis,
+            response: calculatePositionSize({ ...sizing, ...overrides })
+        });
+        const isBlank = (value) => value === undefined || value === null || value === '';
+        const missing = (id, error, field) => ({ id, basis: null, response: { success: false, error, field } });
+
+        // Fixed fractional: the risk percent as entered
+        const fixedFractionalRow = sizeWith(SIZING_STRATEGIES.fixedFractional.id, null, {});
+
+        // Fractional Kelly: risk percent from win rate and payoff
+        let kellyRow;
+        const kellyResult = calculateKellyFraction(kelly || {});
+        if (isBlank(kelly?.winRate) || isBlank(kelly?.payoffRatio)) {
+            kellyRow = missing(SIZING_STRATEGIES.kelly.id, 'Enter a win rate and payoff ratio', 'winRate');
+        } else if (!kellyResult.success) {
+            kellyRow = missing(SIZING_STRATEGIES.kelly.id, kellyResult.error, kellyResult.field);
+        } else if (!kellyResult.data.hasEdge) {
+            kellyRow = missing(
+                SIZING_STRATEGIES.kelly.id,
+                `No edge: Kelly is ${kellyResult.data.kellyPercent}% at this win rate and payoff`,
+                'winRate'
+            );
+        } else {
+            kellyRow = sizeWith(SIZING_STRATEGIES.kelly.id, kellyResult.data, { riskPercent: kellyResult.data.riskPercent });
+        }
+
+        // Fixed ratio: a whole number of size levels, risked at the stop
+        let fixedRatioRow;
+        const levelResult = calculateFixedRatioLevel({ accountSize: sizing.accountSize, ...fixedRatio });
+        const unitsPerLevel = parseFloat(fixedRatio?.unitsPerLevel) || 1;
+        const unitRisk = getUnitRisk(sizing);
+        if (isBlank(fixedRatio?.startingBalance) || isBlank(fixedRatio?.delta)) {
+            fixedRatioRow = missing(SIZING_STRATEGIES.fixedRatio.id, 'Enter a starting balance and delta', 'startingBalance');
+        } else if (!levelResult.success) {
+            fixedRatioRow = missing(SIZING_STRATEGIES.fixedRatio.id, levelResult.error, levelResult.field);
+        } else if (unitRisk === null) {
+            // Entry, stop, contract specs or FX rate are invalid; any in-range risk surfaces that error
+            fixedRatioRow = sizeWith(SIZING_STRATEGIES.fixedRatio.id, levelResult.data, { dollarRisk: sizing.accountSize });
+        } else {
+            fixedRatioRow = sizeWith(
+                SIZING_STRATEGIES.fixedRatio.id,
+                { ...levelResult.data, unitsPerLevel },
+                { dollarRisk: levelResult.data.level * unitsPerLevel * unitRisk }
+            );
+        }
+
+        // Fixed dollar: the same dollar risk every trade
+        const fixedDollarRow = !isBlank(fixedDollarRisk)
+            ? sizeWith(SIZING_STRATEGIES.fixedDollar.id, null, { dollarRisk: fixedDollarRisk })
+            : missing(SIZING_STRATEGIES.fixedDollar.id, 'Enter a dollar risk per trade', 'fixedDollarRisk');
+
+        return {
+            success: true,
+            data: {
+                strategies: [fixedFractionalRow, kellyRow, fixedRatioRow, fixedDollarRow]
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Parse pasted OHLC bars, one per line, oldest first
+ * Accepts comma, tab or space separated columns with an optional leading
+ * date column and trailing volume; header lines are skipped
+ * @param {string} text - Pasted bars, e.g. "2024-01-02,50.1,51.2,49.8,50.9"
+ * @returns {Array<{open: number, high: number, low: number, close: number}>} Parsed bars
+ */
+export function parseOhlcBars(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .map(line => line.trim().split(/[,\t;]+|\s+/).map(Number).filter(value => !isNaN(value)))
+        // A numeric date (e.g. 20240102) leaves five or more values; O/H/L/C are the next four
+        .map(values => (values.length >= 5 && values[0] > values[1] * 10 ? values.slice(1) : values))
+        .filter(values => values.length >= 4)
+        .map(([open, high, low, close]) => ({ open, high, low, close }));
+}
+
+/**
+ * Calculate the Average True Range (Wilder's smoothing)
+ * @param {Object} params - Calculation parameters
+ * @param {Array<{high: number, low: number, close: number}>} params.bars - OHLC bars, oldest first
+ * @param {number} [params.period] - ATR period (default 14); fewer bars average what is there
+ * @returns {Object} ATR or error
+ */
+export function calculateATR({ bars, period = 14 }) {
+    try {
+        // Step 1: Need a previous close for the first true range
+        if (!Array.isArray(bars) || bars.length < 2) {
+            return {
+                success: false,
+                error: 'Paste at least 2 bars (open, high, low, close) to calculate ATR',
+                field: 'bars'
+            };
+        }
+
+        const length = parseInt(period, 10);
+        if (isNaN(length) || length < 1) {
+            return {
+                success: false,
+                error: 'ATR period must be at least 1',
+                field: 'period'
+            };
+        }
+
+        // Step 2: Validate each bar
+        const invalidIndex = bars.findIndex(({ high, low, close }) =>
+            ![high, low, close].every(value => isFinite(value) && value > 0) || high < low
+        );
+        if (invalidIndex !== -1) {
+            return {
+                success: false,
+                error: `Bar ${invalidIndex + 1}: prices must be positive with high at or above low`,
+                field: 'bars'
+            };
+        }
+
+        // Step 3: True range of each bar after the first
+        const trueRanges = bars.slice(1).map((bar, index) => {
+            const previousClose = bars[index].close;
+            return Math.max(
+                bar.high - bar.low,
+                Math.abs(bar.high - previousClose),
+                Math.abs(bar.low - previousClose)
+            );
+        });
+
+        // Step 4: Seed with a simple average, then smooth the rest
+        const seedLength = Math.min(length, trueRanges.length);
+        let atr = trueRanges.slice(0, seedLength).reduce((sum, range) => sum + range, 0) / seedLength;
+        for (let index = seedLength; index < trueRanges.length; index++) {
+            atr = (atr * (length - 1) + trueRanges[index]) / length;
+        }
+
+        return {
+            success: true,
+            data: {
+                atr: parseFloat(atr.toFixed(6)),
+                period: length,
+                barsUsed: bars.length,
+                isFullPeriod: trueRanges.length >= length
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Derive a volatility stop k x ATR away from entry
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.entryPrice - Entry price per share
+ * @param {number} params.atr - Average True Range, in price
+ * @param {number} params.multiplier - ATR multiple (k)
+ * @param {string} [params.direction] - 'long' (stop below entry, default) | 'short'
+ * @returns {Object} Stop price and distance or error
+ */
+export function calculateAtrStop({ entryPrice, atr, multiplier, direction = 'long' }) {
+    try {
+        // Step 1: Type checking and conversion
+        const entry = parseFloat(entryPrice);
+        const range = parseFloat(atr);
+        const k = parseFloat(multiplier);
+
+        // Step 2: Range validation
+        if (isNaN(entry) || entry <= 0) {
+            return {
+                success: false,
+                error: 'Entry price must be greater than zero',
+                field: 'entryPrice'
+            };
+        }
+
+        if (isNaN(range) || !isFinite(range) || range <= 0) {
+            return {
+                success: false,
+                error: 'ATR must be greater than zero',
+                field: 'atr'
+            };
+        }
+
+        if (isNaN(k) || !isFinite(k) || k <= 0) {
+            return {
+                success: false,
+                error: 'ATR multiplier must be greater than zero',
+                field: 'multiplier'
+            };
+        }
+
+        // Step 3: Calculate
+        const stopDistance = range * k;
+        const isLongPosition = direction !== 'short';
+        const stop = isLongPosition ? entry - stopDistance : entry + stopDistance;
+
+        if (stop <= 0) {
+            return {
+                success: false,
+                error: 'Stop falls below zero. Use a smaller ATR multiplier.',
+                field: 'multiplier'
+            };
+        }
+
+        // Keep sub-cent precision for low-priced instruments
+        const decimals = Math.min(4, Math.max(2, countDecimals(range)));
+
+        return {
+            success: true,
+            data: {
+                stopLoss: stop.toFixed(decimals),
+                stopDistance: stopDistance.toFixed(decimals),
+                multiplier: k,
+                positionType: isLongPosition ? 'Long' : 'Short'
+            }
+        };
+
+    } catch (error) {
+        // Unexpected errors
+        return {
+            success: false,
+            error: 'Calculation failed. Please check your inputs.',
+            details: error.message
+        };
+    }
+}
+
+/**
+ * Calculate the realized R-multiple of a closed trade
+ * Direction is inferred from the stop side, same as calculatePositionSize
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.entryPrice - Entry price per share
+ * @param {number} params.stopLoss - Initial stop loss price per share
+ * @param {number} params.exitPrice - Actual exit price per share
+ * @param {number} [params.shares] - Shares traded (enables the total P&L)
+ * @param {number} [params.pointValue] - Account currency per 1.00 price move per unit, as sized (default 1)
+ * @returns {Object} Realized trade metrics or error
+ */
+export function calculateRMultiple({ entryPrice, stopLoss, exitPrice, shares, pointValue }) {
+    try {
+        // Step 1: Type checking and conversion
+        const entry = parseFloat(entryPrice);
+        const stop = parseFloat(stopLoss);
+        const exit = parseFloat(exitPrice);
+        const quantity = parseFloat(shares);
+        const unitValue = parseFloat(pointValue) > 0 ? parseFloat(pointValue) : 1;
+
+        // Step 2: Check for invalid numbers
+        if (isNaN(entry) || isNaN(stop) || isNaN(exit)) {
+            return {
+                success: false,
+                error: 'Entry, stop and exit must contain valid numbers',
+                field: 'all'
+            };
+        }
+
+        // Step 3: Range validation
+        if (entry <= 0 || stop <= 0 || exit <= 0) {
+            return {
+                success: false,
+                error: 'All prices must be greater than zero',
+                field: entry <= 0 ? 'entryPrice' : stop <= 0 ? 'stopLoss' : 'exitPrice'
+            };
+        }
+
+        // Step 4: Check for division by zero
+        if (entry === stop) {
+            return {
+                success: false,
+                error: 'Stop loss cannot equal entry price',
+                field: 'stopLoss'
+            };
+        }
+
+        // Step 5: Calculate - signed so a short's favourable move is positive
+        const isLongPosition = stop < entry;
+        const riskPerShare = Math.abs(entry - stop);
+        const pnlPerShare = isLongPosition ? exit - entry : entry - exit;
+        const rMultiple = pnlPerShare / riskPerShare;
+        const hasShares = !isNaN(quantity) && quantity > 0;
+
+        return {
+            success: true,
+            data: {
+                rMultiple: rMultiple.toFixed(2),
+                pnlPerShare: pnlPerShare.toFixed(2),
+                pnl: hasShares ? (pnlPerShare * quantity * unitValue).toFixed(2) : null,
+                positionType: isLongPosition ? 'Long' : 'Short',
+                isWin: rMultiple > 0
             }
         };
 
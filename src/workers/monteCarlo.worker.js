@@ -0,0 +1,12 @@
+/**
+ * Monte Carlo Web Worker
+ * Runs simulateEquityPaths off the main thread
+ * Message in: { id, params } - message out: { id, response } (API handler response)
+ */
+
+import { simulateEquityPaths } from '../utils/monteCarlo';
+
+self.onmessage = (event) => {
+    const { id, params } = event.data;
+    self.postMessage({ id, response: simulateEquityPaths(params) });
+};